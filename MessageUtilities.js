@@ -9,17 +9,315 @@
 "use strict";
 
 const STORAGE_SLOT = "FakeMessageComposerConfig";
-const MESSAGE_ID_PREFIX = "fake-message-composer";
+const CONFIG_BACKUP_SLOT = "FakeMessageComposerConfigBackup";
+const PROFILES_SLOT = "FakeMessageComposerProfiles";
+// Rolling copies of recently stored configs, restored when the stored JSON is corrupt.
+const CONFIG_HISTORY_SLOT = "FakeMessageComposerConfigHistory";
+const DEFAULT_PROFILE_ID = "profile-default";
+const CONFIG_SCHEMA_VERSION = 4;
+const PACK_FORMAT = "fake-message-composer-pack";
+const PACK_VERSION = 1;
+const PACK_SCHEMA_URL = "https://tfgttuijujiju7-oss.github.io/testfilehey/schemas/pack.schema.json";
+// Discord's snowflake epoch (2015-01-01); message IDs are (ms since epoch) << 22 | worker | process | increment.
+const DISCORD_EPOCH_MS = 1420070400000n;
+// Worker and process bits set on every generated ID, so they rarely collide with real ones.
+const SNOWFLAKE_LOCAL_BITS = (31n << 17n) | (31n << 12n);
+const PERSONA_AUTHOR_PREFIX = "fake-persona";
 const LOCAL_BADGE_TEXT = "LOCAL FAKE";
+// Ways a local message is labelled. Injection stops if none of them is seen working.
+const BADGE_STRATEGIES = Object.freeze({
+    timestamp: "Timestamp badge",
+    accessory: "Message row banner",
+    prefix: "Content prefix"
+});
+// Stronger label for messages shown as a real account other than the current user.
+const IMPERSONATION_BADGE_TEXT = "FAKE - NOT SENT BY THIS USER";
+const BADGE_COLOR = "#f0b429";
+const IMPERSONATION_BADGE_COLOR = "#ed4245";
+// How long the self-check gives Discord to render freshly injected messages.
+const BADGE_CHECK_DELAY_MS = 2000;
 const PERSIST_DEBOUNCE_MS = 250;
+// `<slot>.commit` holds the checksum of the last write, so a torn or tampered slot is noticed.
+const STORAGE_COMMIT_SUFFIX = ".commit";
+// Backups share the quota with everything else, so they are capped by size rather than count.
+const CONFIG_HISTORY_MAX_BYTES = 512 * 1024;
+const CONFIG_HISTORY_INTERVAL_MS = 5 * 60 * 1000;
+// What browsers and Electron give localStorage per origin; PluginStorage reports no quota.
+const LOCAL_STORAGE_QUOTA_BYTES = 5 * 1024 * 1024;
+const STORAGE_WARNING_RATIO = 0.8;
+// Undo steps kept for the settings panel; keystrokes in one field within the window form one step.
+const EDIT_HISTORY_LIMIT = 100;
+const EDIT_GROUP_MS = 1000;
+// Discord stops grouping consecutive messages from one author after seven minutes.
+const GROUPED_MESSAGE_GAP_MS = 60 * 1000;
+const UNGROUPED_MESSAGE_GAP_MS = 8 * 60 * 1000;
+
+const DEFAULT_PERSONA_COLOR = "#5865f2";
+const DEFAULT_EMBED_COLOR = "#5865f2";
+// Attachments are persisted inline as data: URIs, so large files eat into storage quickly.
+const ATTACHMENT_SIZE_WARNING_BYTES = 2 * 1024 * 1024;
+const COMPONENT_TYPES = Object.freeze({
+    ACTION_ROW: 1,
+    BUTTON: 2,
+    STRING_SELECT: 3,
+    USER_SELECT: 5,
+    ROLE_SELECT: 6,
+    MENTIONABLE_SELECT: 7,
+    CHANNEL_SELECT: 8
+});
+const LINK_BUTTON_STYLE = 5;
+const INTERACTION_LOG_LIMIT = 50;
+// Flux actions Discord emits while sending a component interaction.
+const INTERACTION_ACTION_TYPES = Object.freeze(["INTERACTION_QUEUE", "INTERACTION_CREATE"]);
+// Message actions that would reach Discord's API; on local messages they are
+// blocked or done locally. `messageId` picks the target out of the call's arguments.
+const GUARDED_MESSAGE_ACTIONS = Object.freeze([
+    { action: "edit", props: ["editMessage", "startEditMessage"], method: "editMessage", messageId: (args) => args[1] },
+    { action: "delete", props: ["deleteMessage", "editMessage"], method: "deleteMessage", messageId: (args) => args[1] },
+    { action: "pin", props: ["pinMessage", "unpinMessage"], method: "pinMessage", messageId: (args) => args[1] },
+    { action: "pin", props: ["pinMessage", "unpinMessage"], method: "unpinMessage", messageId: (args) => args[1] },
+    {
+        action: "reply",
+        props: ["createPendingReply"],
+        method: "createPendingReply",
+        messageId: (args) => args[0]?.message?.id
+    },
+    {
+        action: "report",
+        props: ["showReportModalForMessage"],
+        method: "showReportModalForMessage",
+        messageId: (args) => args[0]?.id
+    }
+]);
+// The same guard for actions that are dispatched instead of called.
+const GUARDED_DISPATCH_ACTIONS = Object.freeze({ CREATE_PENDING_REPLY: "reply" });
+const GUARDED_ACTION_NOTICES = Object.freeze({
+    reply: "Fake messages only exist on this device, so they cannot be replied to.",
+    edit: "Edited on this device only; nothing was sent to Discord.",
+    delete: "Removed from this device only; nothing was sent to Discord.",
+    pin: "Fake messages only exist on this device, so they cannot be pinned.",
+    report: "Fake messages only exist on this device, so there is nothing to report.",
+    copyLink: "Fake messages have no link; nothing was copied."
+});
+const MESSAGE_LINK_PATTERN = /\/channels\/(?:@me|\d+)\/\d+\/(\d+)/g;
+const STRESS_DEFAULT_COUNT = 500;
+const STRESS_MAX_COUNT = 5000;
+const STRESS_BATCH_SIZE = 100;
+const STRESS_EMBED_RATIO = 0.15;
+const STRESS_MARKDOWN_SAMPLES = Object.freeze([
+    "**Bold**, *italic*, __underline__, ~~strike~~ and `inline code` in one line.",
+    "```js\nconst answer = 42;\nconsole.log(`answer: ${answer}`);\n```",
+    "> A quoted line\n> and another one\nfollowed by a reply.",
+    "# Heading\n## Subheading\n- first item\n- second item\n  - nested item",
+    "||This is a spoiler|| next to a link https://example.com and an emoji :smile:",
+    "1. one\n2. two\n3. three",
+    "-# small subtext under everything else"
+]);
+const LOREM_WORDS = Object.freeze(
+    (
+        "lorem ipsum dolor sit amet consectetur adipiscing elit sed do eiusmod tempor incididunt ut labore et dolore " +
+        "magna aliqua enim ad minim veniam quis nostrud exercitation ullamco laboris nisi aliquip ex ea commodo consequat"
+    ).split(" ")
+);
+// Variables available as {{name}} in message content; shown as help in the panel.
+const TEMPLATE_VARIABLES = Object.freeze({
+    channel: "channel name",
+    guild: "server name",
+    user: "your name",
+    relative: "relative time, e.g. {{relative:-5m}}",
+    time: "time, e.g. {{time:+2h}}",
+    date: "date",
+    datetime: "date and time",
+    counter: "counts up per use, e.g. {{counter:ticket:100}}",
+    lorem: "filler text: {{lorem:12}} words, {{lorem:3s}} sentences, {{lorem:2p}} paragraphs"
+});
+const TEMPLATE_LOREM_MAX = 200;
+// Events emitted through on()/off() for every local message.
+const PLUGIN_EVENTS = Object.freeze(["injected", "updated", "removed"]);
+// Actions after which Discord's MessageStore may have dropped local messages:
+// history loads (including jumps) replace a channel's list, reconnects reset every cache.
+const STORE_RESET_ACTIONS = Object.freeze(["LOAD_MESSAGES_SUCCESS", "CONNECTION_OPEN"]);
+const COLOR_SWATCHES = Object.freeze(["#5865f2", "#57f287", "#fee75c", "#eb459e", "#ed4245", "#f0b429", "#ffffff", "#23272a"]);
+const EMBED_THUMBNAIL_SIZE = Object.freeze({ width: 80, height: 80 });
+const EMBED_IMAGE_SIZE = Object.freeze({ width: 400, height: 225 });
+// Discord rejects embeds beyond these limits, so fixtures respect them too.
+const EMBED_LIMITS = Object.freeze({
+    title: 256,
+    description: 4096,
+    fields: 25,
+    fieldName: 256,
+    fieldValue: 1024,
+    footerText: 2048,
+    authorName: 256
+});
+
+// Channel kinds a scenario can be limited to, mapped from Discord channel types.
+const CHANNEL_KINDS = Object.freeze({
+    dm: "DM",
+    group_dm: "Group DM",
+    text: "Text",
+    thread: "Thread",
+    forum_post: "Forum post",
+    voice_text: "Voice text chat"
+});
+const FORUM_CHANNEL_TYPES = Object.freeze([15, 16]);
+const THREAD_CHANNEL_TYPES = Object.freeze([10, 11, 12]);
+const CATEGORY_CHANNEL_TYPE = 4;
+// Prefixes shown before channel names in the picker, as Discord's sidebar does.
+const CHANNEL_GLYPHS = Object.freeze({
+    dm: "@",
+    group_dm: "@",
+    text: "#",
+    thread: "> ",
+    forum_post: "> ",
+    voice_text: "#"
+});
+const CHANNEL_PICKER_DM_LIMIT = 20;
+const CHANNEL_PICKER_RESULT_LIMIT = 100;
+
+const DEFAULT_RULES = Object.freeze({
+    allowChannelIds: [],
+    denyChannelIds: [],
+    allowGuildIds: [],
+    denyGuildIds: [],
+    channelKinds: [], // empty means every kind
+    nsfw: "any" // "any" | "nsfw" | "sfw"
+});
+
+// Where a scenario's messages land; Discord orders the message list by ID.
+const PLACEMENT_MODES = Object.freeze({
+    bottom: "Bottom of channel",
+    top: "Top of loaded history",
+    after: "After message"
+});
+
+const DEFAULT_PLACEMENT = Object.freeze({
+    mode: "bottom", // "bottom" | "top" | "after"
+    messageId: "" // after only
+});
+
+// Scripted playback; a scenario with an enabled timeline is only shown through it.
+const TIMELINE_ACTIONS = Object.freeze({
+    typing: "Typing",
+    send: "Send",
+    edit: "Edit",
+    delete: "Delete"
+});
+// Discord drops a typing indicator on its own after ten seconds.
+const TYPING_INDICATOR_MAX_MS = 10 * 1000;
+
+const DEFAULT_TIMELINE_STEP = Object.freeze({
+    action: "send", // "typing" | "send" | "edit" | "delete"
+    entryId: "",
+    delayMs: 1000, // wait after the previous step before this one runs
+    durationMs: 2000, // typing only
+    content: "" // edit only
+});
+
+const DEFAULT_TIMELINE = Object.freeze({
+    enabled: false,
+    autoplay: false,
+    steps: []
+});
+
+const DEFAULT_REPLY = Object.freeze({
+    kind: "none", // "none" | "fixture" | "message"
+    fixtureId: "",
+    messageId: "",
+    mentionAuthor: true,
+    deleted: false
+});
+
+const DEFAULT_MESSAGE = Object.freeze({
+    authorType: "user", // "user" | "persona"
+    discordId: "",
+    personaId: "",
+    content: "This is a local-only fake message.",
+    groupWithPrevious: true,
+    embeds: [],
+    attachments: [],
+    reactions: [],
+    reply: DEFAULT_REPLY,
+    components: []
+});
 
 const DEFAULT_CONFIG = Object.freeze({
+    schemaVersion: CONFIG_SCHEMA_VERSION,
     enabled: true,
-    discordId: "",
-    messageContent: "This is a local-only fake message.",
-    channelMode: "any", // "any" | "specific"
-    targetChannelId: "",
-    embeds: []
+    scenarios: [
+        Object.freeze({
+            name: "Default Scenario",
+            enabled: true,
+            rules: DEFAULT_RULES,
+            placement: DEFAULT_PLACEMENT,
+            timeline: DEFAULT_TIMELINE,
+            messages: [DEFAULT_MESSAGE]
+        })
+    ],
+    personas: [],
+    impersonationAcknowledged: false
+});
+
+/**
+ * Stored config upgrades, keyed by the schema version they produce. Each step
+ * receives the raw object saved at the previous version and must not rely on
+ * normalisation having run. Configs saved before versioning count as version 1.
+ */
+const CONFIG_MIGRATIONS = Object.freeze({
+    // v1 kept a single message at the top level and called link embed titles `label`.
+    2: (config) => {
+        const { messageContent, discordId, embeds, ...rest } = config;
+        const renameLabel = (embed) =>
+            embed && typeof embed === "object" && "label" in embed && !("title" in embed)
+                ? (({ label, ...others }) => ({ ...others, title: label }))(embed)
+                : embed;
+
+        let messages = rest.messages;
+        if (!Array.isArray(messages)) {
+            messages =
+                typeof messageContent === "string" || typeof discordId === "string"
+                    ? [{ discordId: discordId ?? "", content: messageContent ?? "", embeds: embeds ?? [] }]
+                    : undefined;
+        }
+        return {
+            ...rest,
+            messages: messages?.map((message) =>
+                message && Array.isArray(message.embeds)
+                    ? { ...message, embeds: message.embeds.map(renameLabel) }
+                    : message
+            )
+        };
+    },
+    // v2 had one message list; v3 groups messages into named scenarios.
+    3: (config) => {
+        const { messages, ...rest } = config;
+        if (Array.isArray(rest.scenarios)) return rest;
+        return {
+            ...rest,
+            scenarios: [{ id: "scenario-default", name: "Default Scenario", enabled: true, messages }]
+        };
+    },
+    // v3 targeted channels globally; v4 gives every scenario its own rule set.
+    4: (config) => {
+        const { channelMode, targetChannelId, ...rest } = config;
+        const specific = channelMode === "specific";
+        const target = typeof targetChannelId === "string" ? targetChannelId.trim() : "";
+        const validTarget = /^\d{5,}$/.test(target);
+        return {
+            ...rest,
+            scenarios: Array.isArray(rest.scenarios)
+                ? rest.scenarios.map((scenario) => {
+                      if (!scenario || typeof scenario !== "object" || scenario.rules) return scenario;
+                      return {
+                          ...scenario,
+                          // "specific" without a usable channel rendered nowhere; keep it that way.
+                          enabled: specific && !validTarget ? false : scenario.enabled,
+                          rules: { allowChannelIds: specific && validTarget ? [target] : [] }
+                      };
+                  })
+                : rest.scenarios
+        };
+    }
 });
 
 class FakeMessageComposer {
@@ -37,15 +335,58 @@ class FakeMessageComposer {
         this.dispatcher = null;
         this.userStore = null;
         this.channelStore = null;
+        this.guildStore = null;
         this.selectedChannelStore = null;
+        this.messageStore = null;
         this.messageActions = null;
+        this.messageRenderer = undefined; // looked up on first preview
 
         this.config = this.getDefaultConfig();
+        this.profileRegistry = null;
         this.persistTimer = null;
+        this.persistedText = null; // JSON of the config as last stored
+        this.storageSizes = new Map(); // slot -> stored size in bytes
+        this.storageError = null;
+        this.storageRecovery = null;
+        this.storageListeners = new Set();
+        this.configHistoryIntervalMs = CONFIG_HISTORY_INTERVAL_MS;
+        this.configHistoryMaxBytes = CONFIG_HISTORY_MAX_BYTES;
+        this.editHistory = { past: [], future: [], groupKey: null, groupAt: 0 };
+        this.editHistoryListeners = new Set();
+        this.configHistorySavedAt = null; // newest history entry, once known; saves reading the slot per write
         this.timestampBadgePatched = false;
+        this.accessoryBadgePatched = false;
+        this.badgeProblems = {}; // strategy -> why it is unavailable
+        this.verifiedBadgeStrategies = new Set();
+        this.badgeRenderedIds = new Set();
+        this.badgeCheckIds = new Map(); // messageId -> channelId, awaiting the self-check
+        this.badgeCheckTimer = null;
+        this.badgeCheckDelayMs = BADGE_CHECK_DELAY_MS;
+        this.badgeFailure = null;
+        this.badgeListeners = new Set();
+        this.impersonationIds = new Set();
+        this.impersonationNoticeShown = false;
         this.injectedMessages = new Map();
+        this.scenarioMessages = new Map(); // messageId -> built message, for re-injection
+        this.localMessageIds = new Set(); // every ID allocated to a message that is still live
+        this.localApplicationId = this.createSnowflake(); // owner of component messages, never a real app
+        this.reconcileChannelIds = new Set();
+        this.reconcileTimer = null;
+        this.refreshGenerations = new Map();
         this.userCache = new Map();
         this.channelSelectUnsub = null;
+        this.storeResetUnsubs = [];
+        this.unguardedActions = {}; // originals of guarded message actions the plugin itself still needs
+        this.interactionLog = [];
+        this.interactionLogListeners = new Set();
+        this.timelinePlayers = new Map();
+        this.timelineListeners = new Set();
+        this.stressMessages = new Map();
+        this.stressRun = null;
+        this.stressReport = null;
+        this.stressListeners = new Set();
+        this.apiMessages = new Map();
+        this.eventListeners = new Map();
         this.started = false;
         this.patches = [];
     }
@@ -54,6 +395,7 @@ class FakeMessageComposer {
         this.log("Starting FakeMessageComposer");
         this.config = this.loadConfig();
         this.started = true;
+        this.badgeFailure = null;
 
         try {
             await this.bootstrap();
@@ -67,13 +409,20 @@ class FakeMessageComposer {
         this.started = false;
         this.unsubscribeFromChannelChanges();
         this.unpatchAll();
+        this.stopAllTimelines();
         this.clearInjectedMessages();
-        this.clearPersistTimer();
+        this.clearBadgeCheck();
+        this.flushPersist();
     }
 
     async bootstrap() {
         await this.ensureModules();
         await this.patchTimestampBadge();
+        this.patchMessageAccessories();
+        await this.patchPersonaAvatars();
+        await this.patchReactionActions();
+        await this.patchInteractionSandbox();
+        this.patchMessageActionGuard();
         this.subscribeToChannelChanges();
         this.refreshForCurrentChannel(true);
     }
@@ -83,42 +432,641 @@ class FakeMessageComposer {
 
     getDefaultConfig() {
         return {
+            schemaVersion: DEFAULT_CONFIG.schemaVersion,
             enabled: DEFAULT_CONFIG.enabled,
-            discordId: DEFAULT_CONFIG.discordId,
-            messageContent: DEFAULT_CONFIG.messageContent,
-            channelMode: DEFAULT_CONFIG.channelMode,
-            targetChannelId: DEFAULT_CONFIG.targetChannelId,
-            embeds: []
+            scenarios: DEFAULT_CONFIG.scenarios.map((scenario) =>
+                this.createScenario({
+                    ...scenario,
+                    messages: scenario.messages.map((entry) => this.createMessageEntry(entry))
+                })
+            ),
+            personas: [],
+            impersonationAcknowledged: DEFAULT_CONFIG.impersonationAcknowledged
+        };
+    }
+
+    createMessageEntry(overrides = {}) {
+        return {
+            id: overrides.id ?? this.createLocalId("message"),
+            authorType: overrides.authorType ?? DEFAULT_MESSAGE.authorType,
+            discordId: overrides.discordId ?? DEFAULT_MESSAGE.discordId,
+            personaId: overrides.personaId ?? DEFAULT_MESSAGE.personaId,
+            content: overrides.content ?? DEFAULT_MESSAGE.content,
+            groupWithPrevious: overrides.groupWithPrevious ?? DEFAULT_MESSAGE.groupWithPrevious,
+            embeds: this.normalizeEmbeds(overrides.embeds ?? []),
+            attachments: this.normalizeAttachments(overrides.attachments ?? []),
+            reactions: this.normalizeReactions(overrides.reactions ?? []),
+            reply: this.normalizeReply(overrides.reply),
+            components: this.normalizeComponents(overrides.components ?? [])
         };
     }
 
     loadConfig() {
+        let parsed = null;
         try {
-            const saved = this.storage?.get?.(this.id, STORAGE_SLOT);
-            if (!saved) return this.getDefaultConfig();
+            parsed = this.readSlot(STORAGE_SLOT);
+            if (parsed !== null && (typeof parsed !== "object" || Array.isArray(parsed))) {
+                throw new Error("Stored config is not an object");
+            }
+        } catch (error) {
+            // Unreadable JSON: keep the broken text and fall back to the newest backup that still loads.
+            this.warn("Stored config is corrupt", error);
+            this.backupConfigBlob(this.storage?.get?.(this.id, STORAGE_SLOT), error);
+            return this.restoreConfigHistory(error) ?? this.getDefaultConfig();
+        }
+        if (!parsed) return this.getDefaultConfig();
 
-            const parsed = typeof saved === "string" ? JSON.parse(saved) : saved;
-            return this.mergeWithDefaults(parsed);
+        try {
+            const fromVersion = this.getSchemaVersion(parsed);
+            const config = this.mergeWithDefaults(this.migrateConfig(parsed));
+            if (fromVersion !== CONFIG_SCHEMA_VERSION) {
+                this.log(`Migrated config from schema ${fromVersion} to ${CONFIG_SCHEMA_VERSION}`);
+                this.writeSlot(STORAGE_SLOT, config);
+            }
+            this.persistedText = JSON.stringify(config);
+            return config;
         } catch (error) {
             this.warn("Failed to load config, reverting to defaults", error);
+            this.backupConfigBlob(parsed, error);
             return this.getDefaultConfig();
         }
     }
 
+    getSchemaVersion(configLike) {
+        return Number.isInteger(configLike?.schemaVersion) ? configLike.schemaVersion : 1;
+    }
+
+    /**
+     * Runs every migration between the stored schema version and the current
+     * one. Throws when a step is missing or fails, or when the config was
+     * written by a newer plugin version, so the caller can keep the original.
+     */
+    migrateConfig(configLike) {
+        if (!configLike || typeof configLike !== "object" || Array.isArray(configLike)) {
+            throw new Error("Stored config is not an object");
+        }
+
+        let version = this.getSchemaVersion(configLike);
+        if (version > CONFIG_SCHEMA_VERSION) {
+            throw new Error(`Config schema ${version} is newer than supported schema ${CONFIG_SCHEMA_VERSION}`);
+        }
+
+        let config = { ...configLike };
+        while (version < CONFIG_SCHEMA_VERSION) {
+            const migrate = CONFIG_MIGRATIONS[version + 1];
+            if (!migrate) {
+                throw new Error(`No config migration from schema ${version} to ${version + 1}`);
+            }
+            try {
+                config = migrate(config);
+            } catch (error) {
+                throw new Error(`Config migration to schema ${version + 1} failed: ${error?.message ?? error}`);
+            }
+            version += 1;
+            config.schemaVersion = version;
+        }
+        return config;
+    }
+
+    backupConfigBlob(blob, error) {
+        try {
+            this.storage?.set?.(this.id, CONFIG_BACKUP_SLOT, {
+                savedAt: new Date().toISOString(),
+                reason: String(error?.message ?? error),
+                blob
+            });
+            this.warn(`Original config was backed up under "${CONFIG_BACKUP_SLOT}"`);
+        } catch (backupError) {
+            this.warn("Failed to back up the original config", backupError);
+        }
+    }
+
+    getConfigBackup() {
+        try {
+            return this.storage?.get?.(this.id, CONFIG_BACKUP_SLOT) ?? null;
+        } catch {
+            return null;
+        }
+    }
+
     mergeWithDefaults(configLike = {}) {
+        const defaults = this.getDefaultConfig();
+        const source = configLike ?? {};
+        return {
+            schemaVersion: CONFIG_SCHEMA_VERSION,
+            enabled: typeof source.enabled === "boolean" ? source.enabled : defaults.enabled,
+            scenarios: Array.isArray(source.scenarios) ? this.normalizeScenarios(source.scenarios) : defaults.scenarios,
+            personas: this.normalizePersonas(source.personas),
+            // Showing messages as other real accounts needs an explicit, one-time yes.
+            impersonationAcknowledged: source.impersonationAcknowledged === true
+        };
+    }
+
+    createScenario(overrides = {}) {
+        return {
+            id: overrides.id ?? this.createLocalId("scenario"),
+            name: overrides.name ?? "New Scenario",
+            enabled: overrides.enabled ?? true,
+            rules: this.normalizeRules(overrides.rules),
+            placement: this.normalizePlacement(overrides.placement),
+            timeline: this.normalizeTimeline(overrides.timeline),
+            messages: overrides.messages ?? []
+        };
+    }
+
+    normalizeRules(candidate) {
+        const ids = (value) =>
+            Array.isArray(value)
+                ? Array.from(new Set(value.filter((id) => this.isSnowflake(id)).map((id) => id.trim())))
+                : [];
+        return {
+            allowChannelIds: ids(candidate?.allowChannelIds),
+            denyChannelIds: ids(candidate?.denyChannelIds),
+            allowGuildIds: ids(candidate?.allowGuildIds),
+            denyGuildIds: ids(candidate?.denyGuildIds),
+            channelKinds: Array.isArray(candidate?.channelKinds)
+                ? Array.from(new Set(candidate.channelKinds.filter((kind) => Object.hasOwn(CHANNEL_KINDS, kind))))
+                : [],
+            nsfw: candidate?.nsfw === "nsfw" || candidate?.nsfw === "sfw" ? candidate.nsfw : "any"
+        };
+    }
+
+    normalizePlacement(candidate) {
+        const mode = Object.hasOwn(PLACEMENT_MODES, candidate?.mode) ? candidate.mode : DEFAULT_PLACEMENT.mode;
+        const messageId = typeof candidate?.messageId === "string" ? candidate.messageId : "";
+        return { mode, messageId };
+    }
+
+    createTimelineStep(overrides = {}) {
+        return {
+            id: overrides.id ?? this.createLocalId("step"),
+            action: overrides.action ?? DEFAULT_TIMELINE_STEP.action,
+            entryId: overrides.entryId ?? DEFAULT_TIMELINE_STEP.entryId,
+            delayMs: overrides.delayMs ?? DEFAULT_TIMELINE_STEP.delayMs,
+            durationMs: overrides.durationMs ?? DEFAULT_TIMELINE_STEP.durationMs,
+            content: overrides.content ?? DEFAULT_TIMELINE_STEP.content
+        };
+    }
+
+    normalizeTimeline(candidate) {
+        const duration = (value, fallback) => (Number.isFinite(value) && value >= 0 ? Math.floor(value) : fallback);
+        const steps = Array.isArray(candidate?.steps)
+            ? candidate.steps
+                  .filter((step) => step && typeof step === "object")
+                  .map((step) =>
+                      this.createTimelineStep({
+                          id: typeof step.id === "string" && step.id ? step.id : undefined,
+                          action: Object.hasOwn(TIMELINE_ACTIONS, step.action) ? step.action : DEFAULT_TIMELINE_STEP.action,
+                          entryId: typeof step.entryId === "string" ? step.entryId : "",
+                          delayMs: duration(step.delayMs, DEFAULT_TIMELINE_STEP.delayMs),
+                          durationMs: Math.min(
+                              duration(step.durationMs, DEFAULT_TIMELINE_STEP.durationMs),
+                              TYPING_INDICATOR_MAX_MS
+                          ),
+                          content: typeof step.content === "string" ? step.content : ""
+                      })
+                  )
+            : [];
+        return {
+            enabled: candidate?.enabled === true,
+            autoplay: candidate?.autoplay === true,
+            steps
+        };
+    }
+
+    // Flags steps that cannot run: a missing message, or an edit/delete
+    // before the message has been sent by an earlier step.
+    validateTimeline(timeline, messages) {
+        const problems = [];
+        const entries = new Map(messages.map((entry) => [entry.id, entry]));
+        const sent = new Set();
+        timeline.steps.forEach((step, index) => {
+            const entry = entries.get(step.entryId);
+            if (!entry) {
+                problems.push(`Step ${index + 1}: pick a message.`);
+                return;
+            }
+            if (step.action === "typing") {
+                const hasAuthor =
+                    entry.authorType === "persona" ? !!this.findPersona(entry.personaId) : this.isSnowflake(entry.discordId);
+                if (!hasAuthor) problems.push(`Step ${index + 1}: the message needs an author to type.`);
+            } else if (step.action === "send") {
+                if (!this.isRenderableMessage(entry)) {
+                    problems.push(`Step ${index + 1}: the message needs an author and content.`);
+                }
+                sent.add(step.entryId);
+            } else if ((step.action === "edit" || step.action === "delete") && !sent.has(step.entryId)) {
+                problems.push(`Step ${index + 1}: the message has not been sent yet.`);
+            } else if (step.action === "delete") {
+                sent.delete(step.entryId);
+            }
+        });
+        return problems;
+    }
+
+    normalizeScenarios(candidate) {
+        if (!Array.isArray(candidate)) return [];
+        const seen = new Set();
+        return candidate
+            .filter((entry) => entry && typeof entry === "object")
+            .map((entry) => {
+                const id = typeof entry.id === "string" && entry.id && !seen.has(entry.id) ? entry.id : undefined;
+                const scenario = this.createScenario({
+                    id,
+                    name: typeof entry.name === "string" ? entry.name : "",
+                    enabled: typeof entry.enabled === "boolean" ? entry.enabled : true,
+                    rules: entry.rules,
+                    placement: entry.placement,
+                    timeline: entry.timeline,
+                    messages: this.normalizeMessages(entry.messages)
+                });
+                seen.add(scenario.id);
+                return scenario;
+            });
+    }
+
+    normalizeMessages(candidate) {
+        if (!Array.isArray(candidate)) return [];
+        const seen = new Set();
+        return candidate
+            .filter((entry) => entry && typeof entry === "object")
+            .map((entry) => {
+                // Duplicated ids (e.g. from a copied entry) get a fresh one so replies stay unambiguous.
+                const id = typeof entry.id === "string" && entry.id && !seen.has(entry.id) ? entry.id : undefined;
+                const message = this.createMessageEntry({
+                    id,
+                    authorType: entry.authorType === "persona" ? "persona" : "user",
+                    discordId: typeof entry.discordId === "string" ? entry.discordId : "",
+                    personaId: typeof entry.personaId === "string" ? entry.personaId : "",
+                    content: typeof entry.content === "string" ? entry.content : "",
+                    groupWithPrevious: typeof entry.groupWithPrevious === "boolean" ? entry.groupWithPrevious : true,
+                    embeds: entry.embeds,
+                    attachments: entry.attachments,
+                    reactions: entry.reactions,
+                    reply: entry.reply,
+                    components: entry.components
+                });
+                seen.add(message.id);
+                return message;
+            });
+    }
+
+    normalizeReply(candidate) {
+        const kind = candidate?.kind === "fixture" || candidate?.kind === "message" ? candidate.kind : "none";
+        return {
+            kind,
+            fixtureId: typeof candidate?.fixtureId === "string" ? candidate.fixtureId : "",
+            messageId: typeof candidate?.messageId === "string" ? candidate.messageId : "",
+            mentionAuthor: typeof candidate?.mentionAuthor === "boolean" ? candidate.mentionAuthor : DEFAULT_REPLY.mentionAuthor,
+            deleted: candidate?.deleted === true
+        };
+    }
+
+    createAttachmentEntry(overrides = {}) {
+        return {
+            filename: overrides.filename ?? "",
+            contentType: overrides.contentType ?? "",
+            size: overrides.size ?? 0,
+            width: overrides.width ?? 0,
+            height: overrides.height ?? 0,
+            spoiler: overrides.spoiler ?? false,
+            url: overrides.url ?? ""
+        };
+    }
+
+    normalizeAttachments(candidate) {
+        if (!Array.isArray(candidate)) return [];
+        const dimension = (value) => (Number.isFinite(value) && value > 0 ? Math.round(value) : 0);
+        return candidate
+            .filter((entry) => entry && typeof entry === "object")
+            .map((entry) =>
+                this.createAttachmentEntry({
+                    filename: typeof entry.filename === "string" ? entry.filename : "",
+                    contentType: typeof entry.contentType === "string" ? entry.contentType : "",
+                    size: dimension(entry.size),
+                    width: dimension(entry.width),
+                    height: dimension(entry.height),
+                    spoiler: entry.spoiler === true,
+                    url: typeof entry.url === "string" ? entry.url : ""
+                })
+            );
+    }
+
+    createReactionEntry(overrides = {}) {
+        return {
+            emojiName: overrides.emojiName ?? "",
+            emojiId: overrides.emojiId ?? "",
+            animated: overrides.animated ?? false,
+            count: overrides.count ?? 1,
+            burstCount: overrides.burstCount ?? 0,
+            me: overrides.me ?? false,
+            meBurst: overrides.meBurst ?? false
+        };
+    }
+
+    normalizeReactions(candidate) {
+        if (!Array.isArray(candidate)) return [];
+        const count = (value) => (Number.isFinite(value) && value > 0 ? Math.floor(value) : 0);
+        return candidate
+            .filter((entry) => entry && typeof entry === "object")
+            .map((entry) =>
+                this.createReactionEntry({
+                    emojiName: typeof entry.emojiName === "string" ? entry.emojiName : "",
+                    emojiId: typeof entry.emojiId === "string" ? entry.emojiId : "",
+                    animated: entry.animated === true,
+                    count: count(entry.count),
+                    burstCount: count(entry.burstCount),
+                    me: entry.me === true,
+                    meBurst: entry.meBurst === true
+                })
+            );
+    }
+
+    normalizeComponents(candidate) {
+        return this.validateComponents(candidate).rows;
+    }
+
+    /**
+     * Checks action rows against Discord's component rules and returns the
+     * rows that survive along with human readable errors for the panel.
+     */
+    validateComponents(candidate) {
+        const errors = [];
+        if (!Array.isArray(candidate)) {
+            return { rows: [], errors: ["Components must be a JSON array of action rows."] };
+        }
+        if (candidate.length > 5) errors.push("Only the first 5 action rows are kept.");
+
+        const text = (value, limit) => (typeof value === "string" ? value.slice(0, limit) : undefined);
+        const emoji = (value) =>
+            value && typeof value === "object" && typeof value.name === "string"
+                ? { id: this.isSnowflake(value.id) ? value.id : null, name: value.name, animated: value.animated === true }
+                : undefined;
+        const selectBounds = (component, optionCount = 25) => {
+            const min = Number.isInteger(component.min_values) ? Math.min(Math.max(component.min_values, 0), optionCount) : 1;
+            const max = Number.isInteger(component.max_values) ? Math.min(Math.max(component.max_values, 1), optionCount) : 1;
+            return { min_values: min, max_values: Math.max(min, max) };
+        };
+
+        const rows = [];
+        candidate.slice(0, 5).forEach((row, rowIndex) => {
+            const where = `Row ${rowIndex + 1}`;
+            if (row?.type !== COMPONENT_TYPES.ACTION_ROW || !Array.isArray(row.components)) {
+                errors.push(`${where} must be { "type": 1, "components": [...] }.`);
+                return;
+            }
+
+            const components = [];
+            row.components.forEach((component, componentIndex) => {
+                const label = `${where}, component ${componentIndex + 1}`;
+                const customId = text(component?.custom_id, 100);
+
+                if (component?.type === COMPONENT_TYPES.BUTTON) {
+                    const style = Number.isInteger(component.style) && component.style >= 1 && component.style <= 5 ? component.style : 0;
+                    if (!style) {
+                        errors.push(`${label}: button style must be 1-5.`);
+                        return;
+                    }
+                    if (style === LINK_BUTTON_STYLE ? typeof component.url !== "string" : !customId) {
+                        errors.push(`${label}: ${style === LINK_BUTTON_STYLE ? "link buttons need a url" : "buttons need a custom_id"}.`);
+                        return;
+                    }
+                    if (!component.label && !component.emoji) {
+                        errors.push(`${label}: buttons need a label or an emoji.`);
+                        return;
+                    }
+                    components.push({
+                        type: COMPONENT_TYPES.BUTTON,
+                        style,
+                        label: text(component.label, 80),
+                        emoji: emoji(component.emoji),
+                        ...(style === LINK_BUTTON_STYLE ? { url: component.url } : { custom_id: customId }),
+                        disabled: component.disabled === true
+                    });
+                    return;
+                }
+
+                if (component?.type === COMPONENT_TYPES.STRING_SELECT) {
+                    const options = Array.isArray(component.options)
+                        ? component.options
+                              .filter((option) => typeof option?.label === "string" && typeof option?.value === "string")
+                              .slice(0, 25)
+                              .map((option) => ({
+                                  label: option.label.slice(0, 100),
+                                  value: option.value.slice(0, 100),
+                                  description: text(option.description, 100),
+                                  emoji: emoji(option.emoji),
+                                  default: option.default === true
+                              }))
+                        : [];
+                    if (!customId || !options.length) {
+                        errors.push(`${label}: select menus need a custom_id and at least one { label, value } option.`);
+                        return;
+                    }
+                    components.push({
+                        type: COMPONENT_TYPES.STRING_SELECT,
+                        custom_id: customId,
+                        placeholder: text(component.placeholder, 150),
+                        options,
+                        ...selectBounds(component, options.length),
+                        disabled: component.disabled === true
+                    });
+                    return;
+                }
+
+                if (
+                    [
+                        COMPONENT_TYPES.USER_SELECT,
+                        COMPONENT_TYPES.ROLE_SELECT,
+                        COMPONENT_TYPES.MENTIONABLE_SELECT,
+                        COMPONENT_TYPES.CHANNEL_SELECT
+                    ].includes(component?.type)
+                ) {
+                    if (!customId) {
+                        errors.push(`${label}: select menus need a custom_id.`);
+                        return;
+                    }
+                    components.push({
+                        type: component.type,
+                        custom_id: customId,
+                        placeholder: text(component.placeholder, 150),
+                        ...selectBounds(component),
+                        ...(component.type === COMPONENT_TYPES.CHANNEL_SELECT && Array.isArray(component.channel_types)
+                            ? { channel_types: component.channel_types.filter(Number.isInteger) }
+                            : {}),
+                        disabled: component.disabled === true
+                    });
+                    return;
+                }
+
+                errors.push(`${label}: unsupported component type ${JSON.stringify(component?.type)}.`);
+            });
+
+            const selects = components.filter((component) => component.type !== COMPONENT_TYPES.BUTTON);
+            if (selects.length && components.length > 1) {
+                errors.push(`${where}: a select menu must be the only component in its row; extra components dropped.`);
+                rows.push({ type: COMPONENT_TYPES.ACTION_ROW, components: [selects[0]] });
+                return;
+            }
+            if (components.length > 5) {
+                errors.push(`${where}: only 5 buttons fit in a row; extra buttons dropped.`);
+            }
+            if (components.length) {
+                rows.push({ type: COMPONENT_TYPES.ACTION_ROW, components: components.slice(0, 5) });
+            }
+        });
+
+        return { rows, errors };
+    }
+
+    parseComponentsJson(source) {
+        if (!source?.trim()) return { rows: [], errors: [] };
+        try {
+            return this.validateComponents(JSON.parse(source));
+        } catch (error) {
+            return { rows: null, errors: [`Invalid JSON: ${error.message}`] };
+        }
+    }
+
+    createPersona(overrides = {}) {
         return {
-            ...this.getDefaultConfig(),
-            ...(configLike ?? {}),
-            embeds: this.normalizeEmbeds(configLike?.embeds ?? [])
+            id: overrides.id ?? this.createLocalId("persona"),
+            name: overrides.name ?? "Test Persona",
+            avatar: overrides.avatar ?? "",
+            bot: overrides.bot ?? false,
+            accentColor: overrides.accentColor ?? DEFAULT_PERSONA_COLOR
         };
     }
 
+    normalizePersonas(candidate) {
+        if (!Array.isArray(candidate)) return [];
+        const seen = new Set();
+        return candidate
+            .filter((entry) => entry && typeof entry === "object")
+            .map((entry) => {
+                const id = typeof entry.id === "string" && entry.id && !seen.has(entry.id) ? entry.id : undefined;
+                const persona = this.createPersona({
+                    id,
+                    name: typeof entry.name === "string" ? entry.name : "",
+                    avatar: typeof entry.avatar === "string" ? entry.avatar : "",
+                    bot: typeof entry.bot === "boolean" ? entry.bot : false,
+                    accentColor: this.isHexColor(entry.accentColor) ? entry.accentColor : DEFAULT_PERSONA_COLOR
+                });
+                seen.add(persona.id);
+                return persona;
+            });
+    }
+
     normalizeEmbeds(candidate) {
         if (!Array.isArray(candidate)) return [];
-        return candidate.map((entry) => ({
-            label: typeof entry?.label === "string" ? entry.label : "",
-            url: typeof entry?.url === "string" ? entry.url : ""
-        }));
+        return candidate
+            .filter((entry) => entry && typeof entry === "object")
+            .map((entry) => {
+                const text = (value) => (typeof value === "string" ? value : "");
+                const fields = Array.isArray(entry.fields)
+                    ? entry.fields.filter((field) => field && typeof field === "object")
+                    : [];
+                if (fields.length > EMBED_LIMITS.fields) {
+                    this.warn(`Keeping the first ${EMBED_LIMITS.fields} of ${fields.length} embed fields`);
+                }
+                return this.createEmbedEntry({
+                    type: entry.type === "rich" ? "rich" : "link",
+                    title: text(entry.title),
+                    url: text(entry.url),
+                    description: text(entry.description),
+                    color: this.isHexColor(entry.color) ? entry.color : DEFAULT_EMBED_COLOR,
+                    authorName: text(entry.authorName),
+                    authorUrl: text(entry.authorUrl),
+                    authorIconUrl: text(entry.authorIconUrl),
+                    fields: fields.slice(0, EMBED_LIMITS.fields).map((field) => ({
+                        name: text(field.name),
+                        value: text(field.value),
+                        inline: field.inline === true
+                    })),
+                    thumbnailUrl: text(entry.thumbnailUrl),
+                    imageUrl: text(entry.imageUrl),
+                    footerText: text(entry.footerText),
+                    footerIconUrl: text(entry.footerIconUrl),
+                    timestamp: this.isValidTimestamp(entry.timestamp) ? entry.timestamp : ""
+                });
+            });
+    }
+
+    createEmbedEntry(overrides = {}) {
+        return {
+            type: overrides.type ?? "link",
+            title: overrides.title ?? "",
+            url: overrides.url ?? "",
+            description: overrides.description ?? "",
+            color: overrides.color ?? DEFAULT_EMBED_COLOR,
+            authorName: overrides.authorName ?? "",
+            authorUrl: overrides.authorUrl ?? "",
+            authorIconUrl: overrides.authorIconUrl ?? "",
+            fields: overrides.fields ?? [],
+            thumbnailUrl: overrides.thumbnailUrl ?? "",
+            imageUrl: overrides.imageUrl ?? "",
+            footerText: overrides.footerText ?? "",
+            footerIconUrl: overrides.footerIconUrl ?? "",
+            timestamp: overrides.timestamp ?? ""
+        };
+    }
+
+    /**
+     * Lists the problems the settings panel should flag for one embed entry.
+     * Everything here is still rendered locally; limits are clamped at build time.
+     */
+    validateEmbed(entry) {
+        const issues = [];
+        const isLinkLike = (value) => !value?.trim() || /^(https?:\/\/|data:image\/)/i.test(value.trim());
+        const overLimit = (value, limit) => (value ?? "").length > limit;
+
+        if (entry.url?.trim() && !/^https?:\/\//i.test(entry.url.trim())) {
+            issues.push("URL should start with http:// or https:// (still allowed locally).");
+        }
+        if (entry.type === "link") {
+            if (!entry.url?.trim()) issues.push("Link embeds need a URL.");
+            return issues;
+        }
+
+        if (overLimit(entry.title, EMBED_LIMITS.title)) {
+            issues.push(`Title is longer than ${EMBED_LIMITS.title} characters and will be cut.`);
+        }
+        if (overLimit(entry.description, EMBED_LIMITS.description)) {
+            issues.push(`Description is longer than ${EMBED_LIMITS.description} characters and will be cut.`);
+        }
+        if (overLimit(entry.authorName, EMBED_LIMITS.authorName)) {
+            issues.push(`Author name is longer than ${EMBED_LIMITS.authorName} characters and will be cut.`);
+        }
+        if (overLimit(entry.footerText, EMBED_LIMITS.footerText)) {
+            issues.push(`Footer is longer than ${EMBED_LIMITS.footerText} characters and will be cut.`);
+        }
+        if (!this.isHexColor(entry.color)) {
+            issues.push(`Colour must be #rrggbb; ${DEFAULT_EMBED_COLOR} is used until then.`);
+        }
+        if (entry.timestamp?.trim() && !this.isValidTimestamp(entry.timestamp.trim())) {
+            issues.push("Timestamp must be an ISO 8601 date such as 2024-01-31T12:00:00Z.");
+        }
+        for (const [label, value] of [
+            ["Author URL", entry.authorUrl],
+            ["Author icon", entry.authorIconUrl],
+            ["Thumbnail", entry.thumbnailUrl],
+            ["Image", entry.imageUrl],
+            ["Footer icon", entry.footerIconUrl]
+        ]) {
+            if (!isLinkLike(value)) issues.push(`${label} should be an http(s) or data:image URL.`);
+        }
+        (entry.fields ?? []).forEach((field, index) => {
+            if (!field.name?.trim() || !field.value?.trim()) {
+                issues.push(`Field ${index + 1} needs both a name and a value.`);
+            }
+            if (overLimit(field.name, EMBED_LIMITS.fieldName) || overLimit(field.value, EMBED_LIMITS.fieldValue)) {
+                issues.push(`Field ${index + 1} exceeds Discord's field length limits and will be cut.`);
+            }
+        });
+        if (!this.buildRichEmbed(entry)) {
+            issues.push("Add a title, description, field, image or footer - empty embeds are skipped.");
+        }
+        return issues;
     }
 
     applyConfig(nextConfig, options = {}) {
@@ -146,14 +1094,27 @@ class FakeMessageComposer {
     enqueuePersist() {
         this.clearPersistTimer();
         this.persistTimer = setTimeout(() => {
-            try {
-                this.storage?.set?.(this.id, STORAGE_SLOT, this.config);
-            } catch (error) {
-                this.warn("Failed to persist FakeMessageComposer configuration", error);
-            }
+            this.persistTimer = null;
+            this.persistConfig();
         }, PERSIST_DEBOUNCE_MS);
     }
 
+    // Writes a pending change now instead of dropping it with the timer.
+    flushPersist() {
+        if (!this.persistTimer) return;
+        this.clearPersistTimer();
+        this.persistConfig();
+    }
+
+    persistConfig() {
+        const text = JSON.stringify(this.config);
+        if (text === this.persistedText) return true;
+        this.rotateConfigHistory();
+        if (!this.writeSlot(STORAGE_SLOT, this.config)) return false;
+        this.persistedText = text;
+        return true;
+    }
+
     clearPersistTimer() {
         if (this.persistTimer) {
             clearTimeout(this.persistTimer);
@@ -164,22 +1125,22 @@ class FakeMessageComposer {
     buildFallbackStorage() {
         const backing = typeof window !== "undefined" ? window.localStorage : null;
         return {
+            quotaBytes: backing ? LOCAL_STORAGE_QUOTA_BYTES : null,
             get: (pluginId, key) => {
                 if (!backing) return null;
+                const raw = backing.getItem(`${pluginId}:${key}`);
+                if (!raw) return null;
                 try {
-                    const raw = backing.getItem(`${pluginId}:${key}`);
-                    return raw ? JSON.parse(raw) : null;
+                    return JSON.parse(raw);
                 } catch {
-                    return null;
+                    // Handed back as text so the storage layer can tell corruption from an empty slot.
+                    return raw;
                 }
             },
+            // Quota errors are thrown on purpose; writeSlot reports them.
             set: (pluginId, key, value) => {
                 if (!backing) return;
-                try {
-                    backing.setItem(`${pluginId}:${key}`, JSON.stringify(value));
-                } catch {
-                    // ignore quota/storage errors
-                }
+                backing.setItem(`${pluginId}:${key}`, JSON.stringify(value));
             },
             delete: (pluginId, key) => {
                 if (!backing) return;
@@ -188,559 +1149,5580 @@ class FakeMessageComposer {
                 } catch {
                     // ignore
                 }
+            },
+            // The quota is shared by the whole origin, so every key counts.
+            usage: () => {
+                if (!backing) return 0;
+                let chars = 0;
+                for (let index = 0; index < backing.length; index++) {
+                    const key = backing.key(index) ?? "";
+                    chars += key.length + (backing.getItem(key)?.length ?? 0);
+                }
+                return chars * 2;
             }
         };
     }
+
     // ------------------------------------------------------------------
-    // Module lookups and patches
+    // Storage layer
     // ------------------------------------------------------------------
 
-    async ensureModules() {
-        if (this.React && this.dispatcher) return;
+    /**
+     * Writes `value` after a commit record with the checksum of its JSON and
+     * of the write before it. readSlot accepts either, so a crash between the
+     * two writes still reads back a whole value, while anything else means
+     * the slot was damaged. `quiet` writes only warn when they fail and leave
+     * the reported storage error alone.
+     */
+    writeSlot(slot, value, options = {}) {
+        const text = JSON.stringify(value);
+        const commitKey = slot + STORAGE_COMMIT_SUFFIX;
+        let previous = null;
+        try {
+            previous = this.storage?.get?.(this.id, commitKey) ?? null;
+            this.storage?.set?.(this.id, commitKey, {
+                checksum: this.checksumText(text),
+                previous: previous?.checksum ?? null,
+                savedAt: new Date().toISOString()
+            });
+            this.storage?.set?.(this.id, slot, value);
+        } catch (error) {
+            // The slot still holds the previous write, so its record goes back too.
+            try {
+                if (previous) this.storage?.set?.(this.id, commitKey, previous);
+                else this.storage?.delete?.(this.id, commitKey);
+            } catch {
+                // nothing more to clean up
+            }
+            if (options.quiet) {
+                this.warn(`Failed to write "${slot}"`, error);
+                return false;
+            }
+            this.noteStorageError(slot, error);
+            return false;
+        }
+        this.storageSizes.set(slot, text.length * 2);
+        if (this.storageError && !options.quiet) {
+            this.storageError = null;
+            this.log("Storage writes are working again");
+        }
+        this.emitStorageChange();
+        return true;
+    }
 
-        const common = kettu?.Modules?.common ?? {};
-        this.React = common.React ?? window?.React ?? null;
-        this.ReactNative = common.ReactNative ?? null;
-        if (!this.React) {
-            throw new Error("React is unavailable - cannot render settings UI.");
+    // Parsed value of a slot, or null when empty. Throws when the stored text is not JSON or fails its checksum.
+    readSlot(slot) {
+        const saved = this.storage?.get?.(this.id, slot);
+        if (saved === null || saved === undefined) {
+            this.storageSizes.set(slot, 0);
+            return null;
         }
+        const text = typeof saved === "string" ? saved : JSON.stringify(saved);
+        this.storageSizes.set(slot, text.length * 2);
+        const value = typeof saved === "string" ? JSON.parse(saved) : saved;
 
-        this.dispatcher = common.FluxDispatcher ?? (await this.waitForModule(["dispatch", "subscribe"]));
-        this.userStore = await this.waitForModule(["getUser", "getCurrentUser"]);
-        this.channelStore = await this.waitForModule(["getChannel"]);
-        this.selectedChannelStore = await this.waitForModule(["getCurrentlySelectedChannelId", "getChannelId"]);
-        this.messageActions = kettu?.Modules?.getByProps?.("receiveMessage", "sendMessage", "deleteMessage") ?? null;
+        const commit = this.storage?.get?.(this.id, slot + STORAGE_COMMIT_SUFFIX);
+        if (commit?.checksum) {
+            const checksum = this.checksumText(JSON.stringify(value));
+            if (checksum !== commit.checksum && checksum !== commit.previous) {
+                throw new Error(`"${slot}" does not match its last committed write`);
+            }
+        }
+        return value;
     }
 
-    async patchTimestampBadge() {
-        try {
-            const timestampModule = await this.waitForModule((module) => {
-                return typeof module?.default === "function" && module.default.displayName === "MessageTimestamp";
-            });
-            if (!timestampModule) throw new Error("MessageTimestamp module not found");
+    // FNV-1a; only has to tell a whole write from a damaged one.
+    checksumText(text) {
+        let hash = 0x811c9dc5;
+        for (let index = 0; index < text.length; index++) {
+            hash ^= text.charCodeAt(index);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return hash.toString(16).padStart(8, "0");
+    }
 
-            const React = this.React;
-            const Original = timestampModule.default;
-            const Container = this.ReactNative?.View ?? "span";
-            const TextComponent = this.ReactNative?.Text ?? "span";
+    isQuotaError(error) {
+        return (
+            error?.name === "QuotaExceededError" ||
+            error?.name === "NS_ERROR_DOM_QUOTA_REACHED" ||
+            error?.code === 22 ||
+            /quota|storage is full/i.test(String(error?.message ?? ""))
+        );
+    }
 
-            const containerStyle = this.ReactNative
-                ? { flexDirection: "row", alignItems: "center" }
-                : { display: "inline-flex", alignItems: "center" };
-            const badgeStyle = this.ReactNative
-                ? {
-                      marginLeft: 6,
-                      paddingHorizontal: 8,
-                      paddingVertical: 2,
-                      borderRadius: 4,
-                      fontSize: 10,
-                      textTransform: "uppercase",
-                      color: "#f0b429",
-                      backgroundColor: "rgba(240, 180, 41, 0.15)"
-                  }
-                : {
-                      marginLeft: 6,
-                      padding: "0 6px",
-                      borderRadius: 4,
-                      fontSize: 10,
-                      textTransform: "uppercase",
-                      color: "#f0b429",
-                      backgroundColor: "rgba(240, 180, 41, 0.15)"
-                  };
+    noteStorageError(slot, error) {
+        const quota = this.isQuotaError(error);
+        const first = !this.storageError;
+        this.storageError = { slot, quota, message: String(error?.message ?? error), at: new Date().toISOString() };
+        this.warn(`Failed to write "${slot}"`, error);
+        if (first) {
+            this.notify(
+                quota
+                    ? "Storage is full, so changes are not being saved. Remove large attachments or unused profiles."
+                    : "Saving FakeMessageComposer settings failed. Changes are only kept until Discord restarts."
+            );
+        }
+        this.emitStorageChange();
+    }
 
-            timestampModule.default = function patchedTimestamp(props) {
-                const rendered = Original.apply(this, arguments);
-                if (!props?.message?.__fakeMessageComposer) {
-                    return rendered;
-                }
+    readConfigHistory() {
+        try {
+            const history = this.readSlot(CONFIG_HISTORY_SLOT);
+            return Array.isArray(history) ? history.filter((entry) => entry?.config && entry.savedAt) : [];
+        } catch (error) {
+            this.warn("Config history is unreadable", error);
+            return [];
+        }
+    }
 
-                return React.createElement(
-                    Container,
-                    { style: containerStyle },
-                    rendered,
-                    React.createElement(TextComponent, { style: badgeStyle }, LOCAL_BADGE_TEXT)
-                );
-            };
+    /**
+     * Before the stored config is overwritten, keeps a copy of it in the
+     * history once the newest copy is older than `configHistoryIntervalMs`.
+     * The oldest copies are dropped to stay under `configHistoryMaxBytes`, or
+     * when the store is full; the newest is kept even when it alone is over.
+     */
+    rotateConfigHistory() {
+        if (!this.persistedText) return;
+        const isRecent = (savedAt) => Date.now() - Date.parse(savedAt) < this.configHistoryIntervalMs;
+        if (this.configHistorySavedAt && isRecent(this.configHistorySavedAt)) return;
+        const history = this.readConfigHistory();
+        const newest = history[history.length - 1];
+        if (newest && isRecent(newest.savedAt)) {
+            this.configHistorySavedAt = newest.savedAt;
+            return;
+        }
 
-            this.timestampBadgePatched = true;
-            this.patches.push(() => {
-                timestampModule.default = Original;
-            });
-        } catch (error) {
-            this.timestampBadgePatched = false;
-            this.warn("Failed to patch MessageTimestamp - falling back to inline prefix", error);
+        const entry = { savedAt: new Date().toISOString(), config: JSON.parse(this.persistedText) };
+        const next = [...history, entry];
+        const sizes = next.map((candidate) => JSON.stringify(candidate).length * 2);
+        let bytes = sizes.reduce((total, size) => total + size, 0);
+        while (next.length > 1 && bytes > this.configHistoryMaxBytes) {
+            next.shift();
+            bytes -= sizes.shift();
         }
+        while (next.length) {
+            if (this.writeSlot(CONFIG_HISTORY_SLOT, next, { quiet: true })) {
+                this.configHistorySavedAt = entry.savedAt;
+                return;
+            }
+            next.shift();
+        }
+        this.warn("No room left for a config backup");
     }
 
-    unpatchAll() {
-        while (this.patches.length) {
-            const undo = this.patches.shift();
+    // Loads the newest history entry that still migrates, and stores it as the config.
+    restoreConfigHistory(reason) {
+        const history = this.readConfigHistory();
+        for (let index = history.length - 1; index >= 0; index--) {
+            const entry = history[index];
             try {
-                undo();
+                const config = this.mergeWithDefaults(this.migrateConfig(entry.config));
+                this.storageRecovery = { reason: String(reason?.message ?? reason), backupSavedAt: entry.savedAt };
+                this.warn(`Restored the config backup from ${entry.savedAt}`);
+                if (this.writeSlot(STORAGE_SLOT, config)) this.persistedText = JSON.stringify(config);
+                return config;
             } catch (error) {
-                this.warn("Failed to undo patch", error);
+                this.warn(`Skipping the config backup from ${entry.savedAt}`, error);
             }
         }
-        this.timestampBadgePatched = false;
+        return null;
     }
 
-    async waitForModule(match, timeout = 15000) {
-        const start = Date.now();
-        while (Date.now() - start < timeout) {
+    getStorageUsage() {
+        const quotaBytes = this.storage?.quotaBytes ?? null;
+        // Backups count towards the quota too; measure them even when none were written this session.
+        if (!this.storageSizes.has(CONFIG_HISTORY_SLOT)) this.readConfigHistory();
+        let pluginBytes = 0;
+        for (const bytes of this.storageSizes.values()) pluginBytes += bytes;
+        const usedBytes = typeof this.storage?.usage === "function" ? this.storage.usage() : pluginBytes;
+        return {
+            pluginBytes,
+            backupBytes: this.storageSizes.get(CONFIG_HISTORY_SLOT) ?? 0,
+            usedBytes,
+            quotaBytes,
+            ratio: quotaBytes ? usedBytes / quotaBytes : null,
+            error: this.storageError,
+            recovery: this.storageRecovery
+        };
+    }
+
+    onStorageChange(listener) {
+        this.storageListeners.add(listener);
+        return () => this.storageListeners.delete(listener);
+    }
+
+    emitStorageChange() {
+        if (!this.storageListeners.size) return;
+        const usage = this.getStorageUsage();
+        for (const listener of this.storageListeners) {
             try {
-                let module = null;
-                if (Array.isArray(match)) {
-                    module = kettu?.Modules?.getByProps?.(...match);
-                } else if (typeof match === "function") {
-                    module =
-                        kettu?.Modules?.find?.(match) ??
-                        kettu?.Modules?.getModule?.(match) ??
-                        null;
-                }
-                if (module) return module;
-            } catch {
-                // ignore errors while retrying
+                listener(usage);
+            } catch (error) {
+                this.warn("Storage listener failed", error);
             }
-            await this.delay(100);
         }
-        throw new Error(`Module ${Array.isArray(match) ? match.join(", ") : "predicate"} not found within timeout`);
     }
 
-    delay(ms) {
-        return new Promise((resolve) => setTimeout(resolve, ms));
+    formatBytes(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
     }
     // ------------------------------------------------------------------
-    // Message injection lifecycle
+    // Edit history
     // ------------------------------------------------------------------
 
-    subscribeToChannelChanges() {
-        if (!this.dispatcher || this.channelSelectUnsub) return;
+    /**
+     * Call before the config is replaced; keeps the current config, and the
+     * profile it belongs to, as an undo step. Edits sharing a `groupKey` less
+     * than EDIT_GROUP_MS apart extend the open step instead, so a typed word
+     * undoes in one go.
+     */
+    recordEdit(groupKey = null) {
+        const history = this.editHistory;
+        const now = Date.now();
+        const grouped = groupKey !== null && groupKey === history.groupKey && now - history.groupAt < EDIT_GROUP_MS;
+        history.groupKey = groupKey;
+        history.groupAt = now;
+        if (grouped) return;
 
-        const handler = (payload = {}) => {
-            const channelId =
-                payload?.channelId ??
-                payload?.channel?.id ??
-                payload?.id ??
-                (typeof payload === "string" ? payload : null);
-            if (channelId) {
-                this.refreshChannel(channelId);
-            }
-        };
+        history.past.push(this.captureEditStep());
+        if (history.past.length > EDIT_HISTORY_LIMIT) history.past.shift();
+        history.future = [];
+        this.emitEditHistoryChange();
+    }
 
-        if (this.dispatcher.subscribe && this.dispatcher.unsubscribe) {
-            this.dispatcher.subscribe("CHANNEL_SELECT", handler);
-            this.channelSelectUnsub = () => this.dispatcher.unsubscribe("CHANNEL_SELECT", handler);
-        } else if (this.dispatcher.addListener && this.dispatcher.removeListener) {
-            this.dispatcher.addListener("CHANNEL_SELECT", handler);
-            this.channelSelectUnsub = () => this.dispatcher.removeListener("CHANNEL_SELECT", handler);
-        } else {
-            this.warn("Flux dispatcher did not expose subscribe or unsubscribe APIs; channel tracking may be limited.");
+    undoEdit() {
+        return this.stepEditHistory("past", "future");
+    }
+
+    redoEdit() {
+        return this.stepEditHistory("future", "past");
+    }
+
+    stepEditHistory(from, to) {
+        const history = this.editHistory;
+        const target = history[from].pop();
+        if (!target) return null;
+        history[to].push(this.captureEditStep());
+        history.groupKey = null;
+        const config = this.restoreEditStep(target);
+        this.emitEditHistoryChange();
+        return config;
+    }
+
+    captureEditStep() {
+        const registry = this.getProfileRegistry();
+        const profile = registry.profiles.find((candidate) => candidate.id === registry.activeProfileId);
+        return { profileId: registry.activeProfileId, profileName: profile?.name ?? "", config: this.config };
+    }
+
+    // Steps go back to the profile they were taken in; a deleted profile is recreated.
+    restoreEditStep(step) {
+        const registry = this.getProfileRegistry();
+        if (!registry.profiles.some((profile) => profile.id === step.profileId)) {
+            registry.profiles = [...registry.profiles, { id: step.profileId, name: step.profileName, config: null }];
         }
+        if (step.profileId !== registry.activeProfileId) {
+            this.stashActiveProfileConfig();
+            registry.activeProfileId = step.profileId;
+        }
+        const config = this.applyConfig(step.config);
+        this.flushPersist();
+        this.persistProfileRegistry();
+        return config;
     }
 
-    unsubscribeFromChannelChanges() {
-        if (this.channelSelectUnsub) {
+    getEditHistoryState() {
+        return { undoCount: this.editHistory.past.length, redoCount: this.editHistory.future.length };
+    }
+
+    onEditHistoryChange(listener) {
+        this.editHistoryListeners.add(listener);
+        return () => this.editHistoryListeners.delete(listener);
+    }
+
+    emitEditHistoryChange() {
+        const state = this.getEditHistoryState();
+        for (const listener of this.editHistoryListeners) {
             try {
-                this.channelSelectUnsub();
+                listener(state);
             } catch (error) {
-                this.warn("Failed to unsubscribe from CHANNEL_SELECT", error);
+                this.warn("Edit history listener failed", error);
             }
         }
-        this.channelSelectUnsub = null;
     }
 
-    refreshForCurrentChannel(force = false) {
-        if (!this.started && !force) return;
-        const current = this.getCurrentChannelId();
-        if (current) {
-            this.refreshChannel(current);
+    /**
+     * Path of the single string that differs between two panel states, or
+     * null when anything else changed. Panel updates copy only the branch
+     * they touch, so unchanged subtrees are skipped by reference.
+     */
+    findTextEditPath(previous, next) {
+        let found = null;
+        const walk = (before, after, path) => {
+            if (before === after) return true;
+            if (typeof before === "string" && typeof after === "string") {
+                if (found !== null) return false;
+                found = path;
+                return true;
+            }
+            if (!before || !after || typeof before !== "object" || typeof after !== "object") return false;
+            if (Array.isArray(before) !== Array.isArray(after)) return false;
+            if (Array.isArray(before) && before.length !== after.length) return false;
+            const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+            for (const key of keys) {
+                if (!walk(before[key], after[key], `${path}/${key}`)) return false;
+            }
+            return true;
+        };
+        return walk(previous, next, "") ? found : null;
+    }
+
+    // ------------------------------------------------------------------
+    // Profiles
+    // ------------------------------------------------------------------
+
+    /**
+     * Profiles live in their own storage slot. The active profile's config is
+     * `this.config` (persisted under STORAGE_SLOT as before); the registry only
+     * holds it while another profile is active.
+     */
+    getProfileRegistry() {
+        if (!this.profileRegistry) {
+            this.profileRegistry = this.loadProfileRegistry();
         }
+        return this.profileRegistry;
     }
 
-    async refreshChannel(channelIdRaw) {
-        if (!channelIdRaw) return;
-        const channelId = channelIdRaw.toString();
+    loadProfileRegistry() {
+        const fallback = {
+            activeProfileId: DEFAULT_PROFILE_ID,
+            profiles: [{ id: DEFAULT_PROFILE_ID, name: "Default", config: null }]
+        };
+        try {
+            const parsed = this.readSlot(PROFILES_SLOT);
+            if (!parsed || !Array.isArray(parsed.profiles)) return fallback;
 
-        this.removeFakeMessage(channelId);
+            const seen = new Set();
+            const profiles = parsed.profiles
+                .filter((profile) => typeof profile?.id === "string" && profile.id && !seen.has(profile.id))
+                .map((profile) => {
+                    seen.add(profile.id);
+                    return {
+                        id: profile.id,
+                        name: typeof profile.name === "string" ? profile.name : "",
+                        config: profile.config && typeof profile.config === "object" ? profile.config : null
+                    };
+                });
+            if (!profiles.length) return fallback;
 
-        if (!this.shouldRenderInChannel(channelId)) {
-            return;
+            const activeProfileId = profiles.some((profile) => profile.id === parsed.activeProfileId)
+                ? parsed.activeProfileId
+                : profiles[0].id;
+            return { activeProfileId, profiles };
+        } catch (error) {
+            this.warn("Failed to load profiles, starting with a single default profile", error);
+            return fallback;
         }
+    }
+
+    // The active profile's config lives in STORAGE_SLOT; only inactive profiles keep theirs here.
+    persistProfileRegistry() {
+        const registry = this.getProfileRegistry();
+        registry.profiles = registry.profiles.map((profile) =>
+            profile.id === registry.activeProfileId && profile.config ? { ...profile, config: null } : profile
+        );
+        this.writeSlot(PROFILES_SLOT, registry);
+    }
+
+    // Copies the live config into the active profile before another one takes STORAGE_SLOT.
+    stashActiveProfileConfig() {
+        const registry = this.getProfileRegistry();
+        registry.profiles = registry.profiles.map((profile) =>
+            profile.id === registry.activeProfileId ? { ...profile, config: this.config } : profile
+        );
+    }
+
+    getProfiles() {
+        const registry = this.getProfileRegistry();
+        return registry.profiles.map((profile) => ({
+            id: profile.id,
+            name: profile.name,
+            active: profile.id === registry.activeProfileId
+        }));
+    }
 
+    // Profiles saved by older builds go through the same migrations as the main config.
+    readProfileConfig(profile) {
+        if (!profile?.config) return this.getDefaultConfig();
         try {
-            const fakeMessage = await this.buildFakeMessage(channelId);
-            if (fakeMessage) {
-                this.injectFakeMessage(fakeMessage);
-                this.injectedMessages.set(channelId, fakeMessage.id);
-            }
+            return this.mergeWithDefaults(this.migrateConfig(profile.config));
         } catch (error) {
-            this.warn("Failed to create fake message", error);
+            this.warn(`Failed to load profile "${profile.name}", using defaults`, error);
+            this.backupConfigBlob(profile.config, error);
+            return this.getDefaultConfig();
         }
     }
 
-    shouldRenderInChannel(channelId) {
-        if (!this.config.enabled) return false;
-        if (!this.isSnowflake(this.config.discordId)) return false;
-        if (!this.config.messageContent?.trim()) return false;
+    switchProfile(profileId) {
+        const registry = this.getProfileRegistry();
+        const target = registry.profiles.find((profile) => profile.id === profileId);
+        if (!target || profileId === registry.activeProfileId) return this.config;
+
+        this.stashActiveProfileConfig();
+        registry.activeProfileId = profileId;
+        const config = this.applyConfig(this.readProfileConfig(target));
+        this.flushPersist();
+        this.persistProfileRegistry();
+        return config;
+    }
 
-        if (this.config.channelMode === "specific") {
-            if (!this.isSnowflake(this.config.targetChannelId)) return false;
-            return channelId === this.config.targetChannelId;
+    createProfile(name, options = {}) {
+        const registry = this.getProfileRegistry();
+        const source = options.duplicateFrom
+            ? registry.profiles.find((profile) => profile.id === options.duplicateFrom)
+            : null;
+        let config = null;
+        if (source) {
+            config = source.id === registry.activeProfileId ? this.config : this.readProfileConfig(source);
         }
 
-        return true;
+        const profile = {
+            id: this.createLocalId("profile"),
+            name: name?.trim() || `Profile ${registry.profiles.length + 1}`,
+            config: config ? JSON.parse(JSON.stringify(config)) : this.getDefaultConfig()
+        };
+        registry.profiles = [...registry.profiles, profile];
+        this.persistProfileRegistry();
+        return profile.id;
     }
 
-    async buildFakeMessage(channelId) {
-        const authorId = this.config.discordId.trim();
-        const author = await this.fetchUser(authorId);
-        const baseContent = this.config.messageContent;
-        if (!baseContent) return null;
+    duplicateProfile(profileId) {
+        const source = this.getProfileRegistry().profiles.find((profile) => profile.id === profileId);
+        if (!source) return null;
+        return this.createProfile(`${source.name || "Profile"} copy`, { duplicateFrom: profileId });
+    }
 
-        const timestamp = new Date().toISOString();
-        const messageId = `${MESSAGE_ID_PREFIX}:${channelId}`;
-        const embeds = this.buildEmbeds();
-        const guildId = this.channelStore?.getChannel?.(channelId)?.guild_id ?? null;
+    renameProfile(profileId, name) {
+        const registry = this.getProfileRegistry();
+        registry.profiles = registry.profiles.map((profile) =>
+            profile.id === profileId ? { ...profile, name: typeof name === "string" ? name : profile.name } : profile
+        );
+        this.persistProfileRegistry();
+    }
 
-        return {
-            id: messageId,
-            type: 0,
-            channel_id: channelId,
-            guild_id: guildId,
-            author: this.buildAuthor(author, authorId),
-            content: this.decorateContent(baseContent),
-            timestamp,
-            edited_timestamp: null,
-            tts: false,
-            mention_roles: [],
-            mention_everyone: false,
-            mentions: [],
-            attachments: [],
-            embeds,
-            pinned: false,
-            reactions: [],
-            flags: 0,
-            state: "SENT",
-            __fakeMessageComposer: true,
-            nonce: `${MESSAGE_ID_PREFIX}:${Date.now()}`
-        };
+    // The last remaining profile cannot be deleted; deleting the active one switches to a neighbour first.
+    deleteProfile(profileId) {
+        const registry = this.getProfileRegistry();
+        const index = registry.profiles.findIndex((profile) => profile.id === profileId);
+        if (index === -1 || registry.profiles.length <= 1) return false;
+
+        if (profileId === registry.activeProfileId) {
+            const neighbour = registry.profiles[index + 1] ?? registry.profiles[index - 1];
+            this.switchProfile(neighbour.id);
+        }
+        registry.profiles = registry.profiles.filter((profile) => profile.id !== profileId);
+        this.persistProfileRegistry();
+        return true;
     }
 
-    decorateContent(content) {
-        if (this.timestampBadgePatched) return content;
-        return `[${LOCAL_BADGE_TEXT}] ${content}`;
+    // ------------------------------------------------------------------
+    // Scenario packs (import / export)
+    // ------------------------------------------------------------------
+
+    exportConfigPack() {
+        return {
+            $schema: PACK_SCHEMA_URL,
+            format: PACK_FORMAT,
+            packVersion: PACK_VERSION,
+            kind: "config",
+            schemaVersion: CONFIG_SCHEMA_VERSION,
+            exportedAt: new Date().toISOString(),
+            config: this.withoutAcknowledgement(this.mergeWithDefaults(this.config))
+        };
     }
 
-    buildAuthor(user, userId) {
-        const username =
-            user?.username ??
-            user?.global_name ??
-            user?.globalName ??
-            `Unknown User (${userId})`;
+    // Scenario packs carry the personas their messages use so they stay self-contained.
+    exportScenarioPack(scenarioIds) {
+        const wanted = new Set(scenarioIds);
+        const scenarios = this.config.scenarios.filter((scenario) => wanted.has(scenario.id));
+        const personaIds = new Set(
+            scenarios.flatMap((scenario) =>
+                scenario.messages.filter((entry) => entry.authorType === "persona").map((entry) => entry.personaId)
+            )
+        );
         return {
-            id: userId,
-            username,
-            discriminator: user?.discriminator ?? "0000",
-            avatar: user?.avatar ?? null,
-            bot: user?.bot ?? false,
-            public_flags: user?.public_flags ?? 0,
-            global_name: user?.global_name ?? user?.globalName ?? null
+            $schema: PACK_SCHEMA_URL,
+            format: PACK_FORMAT,
+            packVersion: PACK_VERSION,
+            kind: "scenarios",
+            schemaVersion: CONFIG_SCHEMA_VERSION,
+            exportedAt: new Date().toISOString(),
+            scenarios,
+            personas: this.config.personas.filter((persona) => personaIds.has(persona.id))
         };
     }
 
-    buildEmbeds() {
-        return (this.config.embeds ?? [])
-            .filter((entry) => entry && (entry.label?.trim() || entry.url?.trim()))
-            .map((entry, index) => {
-                const label = entry.label?.trim() || `Link ${index + 1}`;
-                const url = entry.url?.trim();
-                if (!url) return null;
-                return {
-                    type: "link",
-                    title: label,
-                    url,
-                    description: url,
-                    color: 0x5865f2,
-                    footer: { text: "LOCAL PREVIEW ONLY" }
-                };
-            })
-            .filter(Boolean);
+    serializePack(pack) {
+        return JSON.stringify(pack, null, 2);
     }
 
-    injectFakeMessage(message) {
-        if (this.messageActions?.receiveMessage) {
-            this.messageActions.receiveMessage(message.channel_id, message);
-            return;
+    /**
+     * Validates a pack and runs it through the same migrations and
+     * normalisation as stored configs. Returns `config: null` with `errors`
+     * when the pack cannot be imported; `warnings` never block an import.
+     */
+    parsePack(text) {
+        const result = { kind: null, config: null, errors: [], warnings: [], summary: null };
+        let pack;
+        try {
+            pack = JSON.parse(text);
+        } catch (error) {
+            result.errors.push(`Invalid JSON: ${error.message}`);
+            return result;
         }
 
-        this.dispatcher?.dispatch?.({
-            type: "MESSAGE_CREATE",
-            channelId: message.channel_id,
-            message,
-            optimistic: false
-        });
+        if (!pack || typeof pack !== "object" || Array.isArray(pack)) {
+            result.errors.push("A pack must be a JSON object.");
+            return result;
+        }
+        if (pack.format !== PACK_FORMAT) {
+            result.errors.push(`"format" must be "${PACK_FORMAT}".`);
+        }
+        if (!Number.isInteger(pack.packVersion) || pack.packVersion > PACK_VERSION) {
+            result.errors.push(`"packVersion" must be an integer no newer than ${PACK_VERSION}.`);
+        }
+        if (!Number.isInteger(pack.schemaVersion)) {
+            result.errors.push('"schemaVersion" must be an integer.');
+        }
+        if (pack.kind === "config") {
+            if (!pack.config || typeof pack.config !== "object" || Array.isArray(pack.config)) {
+                result.errors.push('Config packs need a "config" object.');
+            }
+        } else if (pack.kind === "scenarios") {
+            if (!Array.isArray(pack.scenarios)) result.errors.push('Scenario packs need a "scenarios" array.');
+            if (pack.personas !== undefined && !Array.isArray(pack.personas)) {
+                result.errors.push('"personas" must be an array when present.');
+            }
+            if (Number.isInteger(pack.schemaVersion) && pack.schemaVersion < 3) {
+                result.errors.push("Scenario packs need schemaVersion 3 or later.");
+            }
+        } else {
+            result.errors.push('"kind" must be "config" or "scenarios".');
+        }
+        if (result.errors.length) return result;
+
+        const raw =
+            pack.kind === "config"
+                ? { ...pack.config, schemaVersion: pack.schemaVersion }
+                : { schemaVersion: pack.schemaVersion, scenarios: pack.scenarios, personas: pack.personas ?? [] };
+        try {
+            result.config = this.mergeWithDefaults(this.migrateConfig(raw));
+        } catch (error) {
+            result.errors.push(error?.message ?? String(error));
+            return result;
+        }
+
+        result.kind = pack.kind;
+        const rawScenarioCount = pack.kind === "config" ? pack.config.scenarios?.length : pack.scenarios.length;
+        if (Number.isInteger(rawScenarioCount) && rawScenarioCount > result.config.scenarios.length) {
+            result.warnings.push(`${rawScenarioCount - result.config.scenarios.length} malformed scenario(s) were dropped.`);
+        }
+        const overflowing = this.countOverflowingEmbeds(pack.kind === "config" ? pack.config.scenarios : pack.scenarios);
+        if (overflowing) {
+            result.warnings.push(
+                `${overflowing} embed(s) have more than ${EMBED_LIMITS.fields} fields; ` +
+                    `only the first ${EMBED_LIMITS.fields} are kept.`
+            );
+        }
+        const personaIds = new Set([
+            ...result.config.personas.map((persona) => persona.id),
+            ...this.config.personas.map((persona) => persona.id)
+        ]);
+        for (const scenario of result.config.scenarios) {
+            const missing = scenario.messages.filter(
+                (entry) => entry.authorType === "persona" && !personaIds.has(entry.personaId)
+            ).length;
+            if (missing) {
+                result.warnings.push(`"${scenario.name}": ${missing} message(s) use a persona that is not in the pack.`);
+            }
+        }
+        result.summary = {
+            scenarios: result.config.scenarios.map((scenario) => ({
+                name: scenario.name || "Untitled scenario",
+                messageCount: scenario.messages.length
+            })),
+            personaCount: result.config.personas.length
+        };
+        return result;
     }
 
-    removeFakeMessage(channelId) {
-        const existingId = this.injectedMessages.get(channelId);
-        if (!existingId) return;
-        this.dispatchMessageDelete(channelId, existingId);
-        this.injectedMessages.delete(channelId);
+    // Embeds in raw scenarios that normalizeEmbeds will cut down to EMBED_LIMITS.fields.
+    countOverflowingEmbeds(scenarios) {
+        const list = (value) => (Array.isArray(value) ? value : []);
+        return list(scenarios)
+            .flatMap((scenario) => list(scenario?.messages))
+            .flatMap((entry) => list(entry?.embeds))
+            .filter(
+                (embed) =>
+                    list(embed?.fields).filter((field) => field && typeof field === "object").length >
+                    EMBED_LIMITS.fields
+            ).length;
     }
 
-    dispatchMessageDelete(channelId, messageId) {
-        if (this.messageActions?.deleteMessage) {
-            this.messageActions.deleteMessage(channelId, messageId, false);
-            return;
+    /**
+     * Applies a pack returned by `parsePack`. "replace" swaps the whole config
+     * (config packs) or every scenario (scenario packs); "merge" appends
+     * scenarios and adds unknown personas, renaming clashing scenario ids.
+     */
+    importPack(parsed, mode = "merge") {
+        if (!parsed?.config) throw new Error("Cannot import a pack that failed validation");
+        const incoming = parsed.config;
+        this.recordEdit();
+
+        // An acknowledgement is personal; a pack can neither grant nor revoke it.
+        if (mode === "replace" && parsed.kind === "config") {
+            return this.applyConfig({ ...incoming, impersonationAcknowledged: this.config.impersonationAcknowledged });
         }
 
-        this.dispatcher?.dispatch?.({
-            type: "MESSAGE_DELETE",
-            id: messageId,
-            channelId
+        const { personas, renamed } = this.mergePersonas(this.config.personas, incoming.personas);
+        const imported = this.renamePersonaIds(incoming.scenarios, renamed);
+        const scenarios =
+            mode === "replace" ? imported : this.mergeScenarios(this.config.scenarios, imported);
+        return this.applyConfig({ ...this.config, scenarios, personas });
+    }
+
+    withoutAcknowledgement(config) {
+        const { impersonationAcknowledged: _acknowledged, ...rest } = config;
+        return rest;
+    }
+
+    mergeScenarios(existing, incoming) {
+        const ids = new Set(existing.map((scenario) => scenario.id));
+        const added = incoming.map((scenario) => {
+            const id = ids.has(scenario.id) ? this.createLocalId("scenario") : scenario.id;
+            ids.add(id);
+            return { ...scenario, id };
         });
+        return [...existing, ...added];
     }
 
-    clearInjectedMessages() {
-        for (const [channelId, messageId] of this.injectedMessages.entries()) {
-            this.dispatchMessageDelete(channelId, messageId);
+    // A clashing id gets a fresh one, unless it is the same persona; `renamed` maps old ids to new.
+    mergePersonas(existing, incoming) {
+        const byId = new Map(existing.map((persona) => [persona.id, persona]));
+        const renamed = new Map();
+        const added = [];
+        for (const persona of incoming) {
+            const current = byId.get(persona.id);
+            if (current && JSON.stringify(current) === JSON.stringify(persona)) continue;
+            const id = current ? this.createLocalId("persona") : persona.id;
+            if (id !== persona.id) renamed.set(persona.id, id);
+            byId.set(id, persona);
+            added.push({ ...persona, id });
         }
-        this.injectedMessages.clear();
+        return { personas: [...existing, ...added], renamed };
     }
 
-    async fetchUser(userId) {
-        const trimmed = (userId ?? "").trim();
-        if (!trimmed) return null;
-        if (this.userCache.has(trimmed)) {
-            return this.userCache.get(trimmed);
-        }
+    renamePersonaIds(scenarios, renamed) {
+        if (!renamed.size) return scenarios;
+        return scenarios.map((scenario) => ({
+            ...scenario,
+            messages: scenario.messages.map((entry) =>
+                entry.authorType === "persona" && renamed.has(entry.personaId)
+                    ? { ...entry, personaId: renamed.get(entry.personaId) }
+                    : entry
+            )
+        }));
+    }
 
-        let user = this.userStore?.getUser?.(trimmed);
-        if (!user && this.userStore?.fetchUser) {
-            try {
-                user = await this.userStore.fetchUser(trimmed);
-            } catch (error) {
-                this.warn("Failed to fetch user from cache - falling back to placeholder", error);
-            }
+    readLocalTextFile(accept = "application/json,.json") {
+        if (typeof document === "undefined" || typeof FileReader === "undefined") {
+            return Promise.resolve(null);
         }
 
-        if (user) {
-            this.userCache.set(trimmed, user);
-        }
+        return new Promise((resolve) => {
+            const input = document.createElement("input");
+            input.type = "file";
+            input.accept = accept;
+            input.onchange = () => {
+                const file = input.files?.[0];
+                if (!file) return resolve(null);
+                const reader = new FileReader();
+                reader.onload = () => resolve(String(reader.result ?? ""));
+                reader.onerror = () => {
+                    this.warn(`Failed to read ${file.name}`, reader.error);
+                    resolve(null);
+                };
+                reader.readAsText(file);
+            };
+            input.click();
+        });
+    }
 
-        return user ?? { id: trimmed };
+    downloadTextFile(filename, text) {
+        if (typeof document === "undefined" || typeof Blob === "undefined" || typeof URL === "undefined") {
+            return false;
+        }
+        const url = URL.createObjectURL(new Blob([text], { type: "application/json" }));
+        const anchor = document.createElement("a");
+        anchor.href = url;
+        anchor.download = filename;
+        anchor.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+        return true;
     }
 
-    getCurrentChannelId() {
-        return (
-            this.selectedChannelStore?.getCurrentlySelectedChannelId?.() ??
-            this.selectedChannelStore?.getChannelId?.() ??
-            this.selectedChannelStore?.getMostRecentSelectedTextChannelId?.() ??
-            null
+    async copyText(text) {
+        try {
+            if (typeof navigator !== "undefined" && navigator.clipboard?.writeText) {
+                await navigator.clipboard.writeText(text);
+                return true;
+            }
+            const clipboard = kettu?.Modules?.common?.Clipboard ?? this.ReactNative?.Clipboard;
+            if (clipboard?.setString) {
+                clipboard.setString(text);
+                return true;
+            }
+        } catch (error) {
+            this.warn("Failed to copy to clipboard", error);
+        }
+        return false;
+    }
+    // ------------------------------------------------------------------
+    // Module lookups and patches
+    // ------------------------------------------------------------------
+
+    async ensureModules() {
+        if (this.React && this.dispatcher) return;
+
+        const common = kettu?.Modules?.common ?? {};
+        this.React = common.React ?? window?.React ?? null;
+        this.ReactNative = common.ReactNative ?? null;
+        if (!this.React) {
+            throw new Error("React is unavailable - cannot render settings UI.");
+        }
+
+        this.dispatcher = common.FluxDispatcher ?? (await this.waitForModule(["dispatch", "subscribe"]));
+        this.userStore = await this.waitForModule(["getUser", "getCurrentUser"]);
+        this.channelStore = await this.waitForModule(["getChannel"]);
+        this.selectedChannelStore = await this.waitForModule(["getCurrentlySelectedChannelId", "getChannelId"]);
+        this.guildStore = kettu?.Modules?.getByProps?.("getGuild", "getGuilds") ?? null;
+        this.messageStore = kettu?.Modules?.getByProps?.("getMessage", "getMessages") ?? null;
+        this.messageActions = kettu?.Modules?.getByProps?.("receiveMessage", "sendMessage", "deleteMessage") ?? null;
+    }
+
+    async patchTimestampBadge() {
+        try {
+            const timestampModule = await this.waitForModule((module) => {
+                return typeof module?.default === "function" && module.default.displayName === "MessageTimestamp";
+            });
+            if (!timestampModule) throw new Error("MessageTimestamp module not found");
+
+            const plugin = this;
+            const React = this.React;
+            const Original = timestampModule.default;
+            const Container = this.ReactNative?.View ?? "span";
+            const TextComponent = this.ReactNative?.Text ?? "span";
+
+            const containerStyle = this.ReactNative
+                ? { flexDirection: "row", alignItems: "center" }
+                : { display: "inline-flex", alignItems: "center" };
+            const createBadgeStyle = (color, background) =>
+                this.ReactNative
+                    ? {
+                          marginLeft: 6,
+                          paddingHorizontal: 8,
+                          paddingVertical: 2,
+                          borderRadius: 4,
+                          fontSize: 10,
+                          textTransform: "uppercase",
+                          color,
+                          backgroundColor: background
+                      }
+                    : {
+                          marginLeft: 6,
+                          padding: "0 6px",
+                          borderRadius: 4,
+                          fontSize: 10,
+                          textTransform: "uppercase",
+                          color,
+                          backgroundColor: background
+                      };
+            const badgeStyle = createBadgeStyle(BADGE_COLOR, "rgba(240, 180, 41, 0.15)");
+            const impersonationStyle = {
+                ...createBadgeStyle("#ffffff", IMPERSONATION_BADGE_COLOR),
+                fontWeight: "700"
+            };
+
+            timestampModule.default = function patchedTimestamp(props) {
+                const rendered = Original.apply(this, arguments);
+                const message = props?.message;
+                if (!plugin.isLocalMessage(message)) {
+                    return rendered;
+                }
+
+                plugin.noteBadgeRendered("timestamp", message.id);
+                const impersonated = plugin.isImpersonationMessage(message);
+                return React.createElement(
+                    Container,
+                    { style: containerStyle },
+                    rendered,
+                    React.createElement(
+                        TextComponent,
+                        { style: impersonated ? impersonationStyle : badgeStyle },
+                        impersonated ? IMPERSONATION_BADGE_TEXT : LOCAL_BADGE_TEXT
+                    )
+                );
+            };
+
+            this.timestampBadgePatched = true;
+            delete this.badgeProblems.timestamp;
+            this.patches.push(() => {
+                timestampModule.default = Original;
+            });
+        } catch (error) {
+            this.timestampBadgePatched = false;
+            this.badgeProblems.timestamp = error?.message ?? String(error);
+            this.warn("Failed to patch MessageTimestamp - falling back to inline prefix", error);
+        }
+    }
+
+    // Desktop renders embeds, reactions and the like through MessageAccessories;
+    // local messages get a tinted banner there. Mobile draws rows natively, so
+    // this is usually missing on mobile.
+    patchMessageAccessories() {
+        try {
+            const accessories = kettu?.Modules?.getByProps?.("MessageAccessories")?.MessageAccessories;
+            const proto = accessories?.prototype;
+            if (typeof proto?.render !== "function") throw new Error("MessageAccessories module not found");
+
+            const plugin = this;
+            const React = this.React;
+            const original = proto.render;
+            const Container = this.ReactNative?.View ?? "div";
+            const TextComponent = this.ReactNative?.Text ?? "span";
+            const createBannerStyle = (color, background) =>
+                this.ReactNative
+                    ? {
+                          marginTop: 4,
+                          paddingHorizontal: 8,
+                          paddingVertical: 4,
+                          borderLeftWidth: 2,
+                          borderLeftColor: color,
+                          backgroundColor: background
+                      }
+                    : {
+                          marginTop: 4,
+                          padding: "4px 8px",
+                          borderLeft: `2px solid ${color}`,
+                          backgroundColor: background
+                      };
+            const bannerStyle = createBannerStyle(BADGE_COLOR, "rgba(240, 180, 41, 0.08)");
+            // Someone else's identity gets a stronger, red tint over the whole row.
+            const impersonationBannerStyle = createBannerStyle(IMPERSONATION_BADGE_COLOR, "rgba(237, 66, 69, 0.16)");
+            const impersonationRowStyle = this.ReactNative
+                ? { backgroundColor: "rgba(237, 66, 69, 0.08)" }
+                : { backgroundColor: "rgba(237, 66, 69, 0.08)", boxShadow: `inset 3px 0 0 ${IMPERSONATION_BADGE_COLOR}` };
+
+            proto.render = function patchedMessageAccessories() {
+                const rendered = original.apply(this, arguments);
+                const message = this.props?.message;
+                if (!plugin.isLocalMessage(message)) return rendered;
+
+                plugin.noteBadgeRendered("accessory", message.id);
+                const impersonated = plugin.isImpersonationMessage(message);
+                return React.createElement(
+                    Container,
+                    { style: impersonated ? impersonationRowStyle : null },
+                    rendered,
+                    React.createElement(
+                        Container,
+                        { style: impersonated ? impersonationBannerStyle : bannerStyle },
+                        React.createElement(
+                            TextComponent,
+                            {
+                                style: {
+                                    fontSize: 11,
+                                    fontWeight: impersonated ? "700" : "400",
+                                    color: impersonated ? IMPERSONATION_BADGE_COLOR : BADGE_COLOR
+                                }
+                            },
+                            `${impersonated ? IMPERSONATION_BADGE_TEXT : LOCAL_BADGE_TEXT} - only visible on this device`
+                        )
+                    )
+                );
+            };
+
+            this.accessoryBadgePatched = true;
+            delete this.badgeProblems.accessory;
+            this.patches.push(() => {
+                proto.render = original;
+            });
+        } catch (error) {
+            this.accessoryBadgePatched = false;
+            this.badgeProblems.accessory = error?.message ?? String(error);
+            this.log("Message row banner unavailable", error?.message ?? error);
+        }
+    }
+
+    // Personas have no CDN avatar hash, so Discord's avatar URL helper is taught
+    // to hand back the persona's data URI instead.
+    async patchPersonaAvatars() {
+        try {
+            const iconUtils = await this.waitForModule(["getUserAvatarURL"]);
+            const plugin = this;
+            const original = iconUtils.getUserAvatarURL;
+
+            iconUtils.getUserAvatarURL = function patchedGetUserAvatarURL(user) {
+                const persona = plugin.findPersonaByAuthorId(user?.id);
+                if (persona) return plugin.getPersonaAvatar(persona);
+                return original.apply(this, arguments);
+            };
+
+            this.patches.push(() => {
+                iconUtils.getUserAvatarURL = original;
+            });
+        } catch (error) {
+            this.warn("Failed to patch avatar URLs - personas will use default avatars", error);
+        }
+    }
+
+    // Reacting to a fake message must never reach the API; the click is
+    // replayed as a local Flux event so the count still toggles in place.
+    async patchReactionActions() {
+        try {
+            const reactionActions = await this.waitForModule(["addReaction", "removeReaction"]);
+            const plugin = this;
+
+            for (const [method, added] of [
+                ["addReaction", true],
+                ["removeReaction", false]
+            ]) {
+                const original = reactionActions[method];
+                if (typeof original !== "function") continue;
+
+                reactionActions[method] = function patchedReactionAction(channelId, messageId, emoji, location, options) {
+                    if (!plugin.isInjectedMessageId(messageId)) {
+                        return original.apply(this, arguments);
+                    }
+                    plugin.toggleLocalReaction(channelId, messageId, emoji, added, !!options?.burst);
+                    return Promise.resolve();
+                };
+
+                this.patches.push(() => {
+                    reactionActions[method] = original;
+                });
+            }
+        } catch (error) {
+            this.warn("Failed to patch reaction actions - reactions on fake messages are display-only", error);
+        }
+    }
+
+    toggleLocalReaction(channelId, messageId, emoji, added, burst) {
+        const currentUserId = this.userStore?.getCurrentUser?.()?.id;
+        if (!currentUserId || !emoji) return;
+
+        this.dispatcher?.dispatch?.({
+            type: added ? "MESSAGE_REACTION_ADD" : "MESSAGE_REACTION_REMOVE",
+            channelId,
+            messageId,
+            userId: currentUserId,
+            emoji: {
+                id: emoji.id ?? null,
+                name: emoji.name,
+                animated: !!emoji.animated
+            },
+            burst,
+            colors: [],
+            optimistic: true
+        });
+    }
+
+    /**
+     * Component interactions on fake messages are caught at the Flux
+     * dispatcher, and the interaction sender is wrapped as well so no request
+     * reaches the interactions endpoint. Each caught interaction is logged.
+     */
+    async patchInteractionSandbox() {
+        const plugin = this;
+
+        if (typeof this.dispatcher?.dispatch === "function") {
+            const dispatcher = this.dispatcher;
+            const originalDispatch = dispatcher.dispatch;
+            dispatcher.dispatch = function patchedDispatch(action) {
+                const sandboxed =
+                    INTERACTION_ACTION_TYPES.includes(action?.type) &&
+                    plugin.isInjectedMessageId(plugin.getInteractionMessageId(action));
+                if (sandboxed) {
+                    plugin.recordSandboxInteraction(action);
+                    return Promise.resolve();
+                }
+                const guarded = GUARDED_DISPATCH_ACTIONS[action?.type];
+                if (guarded && plugin.isInjectedMessageId(action.message?.id ?? action.messageId)) {
+                    plugin.notifyGuardedAction(guarded);
+                    return Promise.resolve();
+                }
+                return originalDispatch.apply(this, arguments);
+            };
+            this.patches.push(() => {
+                dispatcher.dispatch = originalDispatch;
+            });
+        }
+
+        try {
+            const interactionActions = await this.waitForModule(["executeMessageComponentInteraction"]);
+            const original = interactionActions.executeMessageComponentInteraction;
+            interactionActions.executeMessageComponentInteraction = function patchedComponentInteraction(options) {
+                if (!plugin.isInjectedMessageId(plugin.getInteractionMessageId(options))) {
+                    return original.apply(this, arguments);
+                }
+                plugin.recordSandboxInteraction(options);
+                return Promise.resolve();
+            };
+            this.patches.push(() => {
+                interactionActions.executeMessageComponentInteraction = original;
+            });
+        } catch (error) {
+            this.warn("Failed to patch component interactions - relying on dispatcher interception only", error);
+        }
+    }
+
+    // Context menu actions on a local message would call Discord's API with an
+    // ID it has never seen. Edit and delete are done locally instead; the rest
+    // are blocked. Either way the user gets a notice.
+    patchMessageActionGuard() {
+        const plugin = this;
+        for (const guard of GUARDED_MESSAGE_ACTIONS) {
+            const module = kettu?.Modules?.getByProps?.(...guard.props);
+            const original = module?.[guard.method];
+            if (typeof original !== "function") {
+                this.log(`${guard.method} not found - the ${guard.action} guard is inactive`);
+                continue;
+            }
+
+            module[guard.method] = function guardedMessageAction(...args) {
+                if (!plugin.isInjectedMessageId(guard.messageId(args))) {
+                    return original.apply(this, args);
+                }
+                return plugin.handleGuardedAction(guard.action, args);
+            };
+            if (module === this.messageActions) this.unguardedActions[guard.method] = original;
+            this.patches.push(() => {
+                module[guard.method] = original;
+                delete this.unguardedActions[guard.method];
+            });
+        }
+        this.patchClipboard();
+    }
+
+    patchClipboard() {
+        const plugin = this;
+        const targets = [
+            [kettu?.Modules?.getByProps?.("copy", "SUPPORTS_COPY"), "copy"],
+            [this.ReactNative?.Clipboard ?? kettu?.Modules?.getByProps?.("setString", "getString"), "setString"]
+        ];
+        for (const [module, method] of targets) {
+            const original = module?.[method];
+            if (typeof original !== "function") continue;
+            module[method] = function guardedCopy(text) {
+                if (plugin.isLocalMessageLink(text)) {
+                    plugin.notifyGuardedAction("copyLink");
+                    return false;
+                }
+                return original.apply(this, arguments);
+            };
+            this.patches.push(() => {
+                module[method] = original;
+            });
+        }
+    }
+
+    isLocalMessageLink(text) {
+        if (typeof text !== "string") return false;
+        for (const match of text.matchAll(MESSAGE_LINK_PATTERN)) {
+            if (this.isInjectedMessageId(match[1])) return true;
+        }
+        return false;
+    }
+
+    handleGuardedAction(action, args) {
+        if (action === "edit") {
+            const [channelId, messageId, edit] = args;
+            this.editLocalMessage(channelId, messageId, edit?.content ?? "");
+        } else if (action === "delete") {
+            const [channelId, messageId] = args;
+            this.deleteLocalMessage(channelId, messageId);
+        }
+        this.notifyGuardedAction(action);
+        return Promise.resolve();
+    }
+
+    notifyGuardedAction(action) {
+        this.log(`Blocked ${action} on a fake message`);
+        this.notify(GUARDED_ACTION_NOTICES[action]);
+    }
+
+    // Looks a local message up wherever it is tracked; `save` writes an edited
+    // copy back so re-injection and API handles see the edit.
+    findLocalMessage(channelIdRaw, messageId) {
+        const channelId = String(channelIdRaw);
+        if (this.scenarioMessages.has(messageId)) {
+            return {
+                message: this.scenarioMessages.get(messageId),
+                save: (next) => this.scenarioMessages.set(messageId, next)
+            };
+        }
+        const record = this.apiMessages.get(messageId);
+        if (record) {
+            return {
+                message: record.message,
+                save: (next) => {
+                    record.message = next;
+                }
+            };
+        }
+        for (const player of this.timelinePlayers.values()) {
+            for (const [entryId, message] of player.sent) {
+                if (message.id === messageId) return { message, save: (next) => player.sent.set(entryId, next) };
+            }
+        }
+        const stored = this.messageStore?.getMessage?.(channelId, messageId);
+        return stored ? { message: stored, save: () => {} } : null;
+    }
+
+    editLocalMessage(channelId, messageId, content) {
+        const found = this.findLocalMessage(channelId, messageId);
+        if (!found) return null;
+        // Discord's editor starts from the shown content, which may carry the inline marker.
+        const impersonated = this.isImpersonationMessage(found.message);
+        const prefix = `[${impersonated ? IMPERSONATION_BADGE_TEXT : LOCAL_BADGE_TEXT}]`;
+        const text = content.startsWith(prefix) ? content.slice(prefix.length).trimStart() : content;
+        const edited = {
+            ...found.message,
+            content: this.decorateContent(text, impersonated),
+            edited_timestamp: new Date().toISOString()
+        };
+        found.save(edited);
+        this.dispatchMessageUpdate(edited);
+        return edited;
+    }
+
+    // Forgets the message everywhere it is tracked, then removes it from the store.
+    deleteLocalMessage(channelIdRaw, messageId) {
+        const channelId = String(channelIdRaw);
+        const scenarioIds = this.injectedMessages.get(channelId);
+        if (scenarioIds?.includes(messageId)) {
+            const remaining = scenarioIds.filter((id) => id !== messageId);
+            if (remaining.length) this.injectedMessages.set(channelId, remaining);
+            else this.injectedMessages.delete(channelId);
+            this.scenarioMessages.delete(messageId);
+        }
+        this.apiMessages.delete(messageId);
+        for (const player of this.timelinePlayers.values()) {
+            for (const [entryId, message] of Array.from(player.sent)) {
+                if (message.id === messageId) player.sent.delete(entryId);
+            }
+        }
+        const stressIds = this.stressMessages.get(channelId);
+        if (stressIds?.includes(messageId)) {
+            stressIds.splice(stressIds.indexOf(messageId), 1);
+            this.emitStressChange();
+        }
+        this.dispatchMessageDelete(channelId, messageId);
+    }
+
+    getInteractionMessageId(payload) {
+        return payload?.messageId ?? payload?.message_id ?? payload?.message?.id ?? payload?.data?.message_id ?? null;
+    }
+
+    recordSandboxInteraction(payload) {
+        const customId = payload?.customId ?? payload?.custom_id ?? payload?.data?.custom_id ?? null;
+        const values = payload?.values ?? payload?.data?.values ?? payload?.localState?.values ?? [];
+        const entry = {
+            at: new Date().toISOString(),
+            messageId: this.getInteractionMessageId(payload),
+            componentType: payload?.componentType ?? payload?.component_type ?? payload?.data?.component_type ?? null,
+            customId,
+            values: Array.isArray(values) ? values.slice() : []
+        };
+
+        this.interactionLog = [entry, ...this.interactionLog].slice(0, INTERACTION_LOG_LIMIT);
+        this.log("Sandboxed component interaction", entry);
+        this.notify(
+            entry.values.length
+                ? `Local only: ${customId} -> ${entry.values.join(", ")}`
+                : `Local only: ${customId ?? "component"} clicked`
         );
+        for (const listener of this.interactionLogListeners) {
+            try {
+                listener(this.interactionLog);
+            } catch (error) {
+                this.warn("Interaction log listener failed", error);
+            }
+        }
+    }
+
+    onInteractionLogChange(listener) {
+        this.interactionLogListeners.add(listener);
+        return () => this.interactionLogListeners.delete(listener);
+    }
+
+    unpatchAll() {
+        while (this.patches.length) {
+            const undo = this.patches.shift();
+            try {
+                undo();
+            } catch (error) {
+                this.warn("Failed to undo patch", error);
+            }
+        }
+        this.timestampBadgePatched = false;
+        this.accessoryBadgePatched = false;
+        this.verifiedBadgeStrategies.clear();
+    }
+
+    async waitForModule(match, timeout = 15000) {
+        const start = Date.now();
+        while (Date.now() - start < timeout) {
+            try {
+                let module = null;
+                if (Array.isArray(match)) {
+                    module = kettu?.Modules?.getByProps?.(...match);
+                } else if (typeof match === "function") {
+                    module =
+                        kettu?.Modules?.find?.(match) ??
+                        kettu?.Modules?.getModule?.(match) ??
+                        null;
+                }
+                if (module) return module;
+            } catch {
+                // ignore errors while retrying
+            }
+            await this.delay(100);
+        }
+        throw new Error(`Module ${Array.isArray(match) ? match.join(", ") : "predicate"} not found within timeout`);
+    }
+
+    delay(ms) {
+        return new Promise((resolve) => setTimeout(resolve, ms));
     }
+    // ------------------------------------------------------------------
+    // Message injection lifecycle
+    // ------------------------------------------------------------------
+
+    subscribeToChannelChanges() {
+        if (!this.dispatcher || this.channelSelectUnsub) return;
+
+        const handler = (payload = {}) => {
+            const channelId =
+                payload?.channelId ??
+                payload?.channel?.id ??
+                payload?.id ??
+                (typeof payload === "string" ? payload : null);
+            if (channelId) {
+                this.refreshChannel(channelId);
+            }
+        };
+
+        this.channelSelectUnsub = this.subscribeToAction("CHANNEL_SELECT", handler);
+        if (!this.channelSelectUnsub) {
+            this.warn("Flux dispatcher did not expose subscribe or unsubscribe APIs; channel tracking may be limited.");
+            return;
+        }
+
+        const onStoreReset = (payload = {}) => {
+            const channelId = payload?.channelId ?? payload?.channel_id ?? null;
+            this.scheduleReconcile(channelId ? [channelId.toString()] : null);
+        };
+        this.storeResetUnsubs = STORE_RESET_ACTIONS.map((type) => this.subscribeToAction(type, onStoreReset));
+    }
+
+    // Returns an unsubscribe function, or null when the dispatcher has no listener API.
+    subscribeToAction(type, handler) {
+        if (this.dispatcher?.subscribe && this.dispatcher.unsubscribe) {
+            this.dispatcher.subscribe(type, handler);
+            return () => this.dispatcher.unsubscribe(type, handler);
+        }
+        if (this.dispatcher?.addListener && this.dispatcher.removeListener) {
+            this.dispatcher.addListener(type, handler);
+            return () => this.dispatcher.removeListener(type, handler);
+        }
+        return null;
+    }
+
+    unsubscribeFromChannelChanges() {
+        const unsubs = [this.channelSelectUnsub, ...this.storeResetUnsubs];
+        for (const unsub of unsubs) {
+            if (!unsub) continue;
+            try {
+                unsub();
+            } catch (error) {
+                this.warn("Failed to unsubscribe from the Flux dispatcher", error);
+            }
+        }
+        this.channelSelectUnsub = null;
+        this.storeResetUnsubs = [];
+        if (this.reconcileTimer) clearTimeout(this.reconcileTimer);
+        this.reconcileTimer = null;
+        this.reconcileChannelIds.clear();
+    }
+
+    // Coalesces store resets and reconciles once the dispatch has finished:
+    // the store handles the action first, and Flux rejects nested dispatches.
+    scheduleReconcile(channelIds = null) {
+        for (const channelId of channelIds ?? this.getTrackedChannelIds()) {
+            this.reconcileChannelIds.add(channelId);
+        }
+        if (this.reconcileTimer || !this.reconcileChannelIds.size) return;
+        this.reconcileTimer = setTimeout(() => {
+            this.reconcileTimer = null;
+            const pending = Array.from(this.reconcileChannelIds);
+            this.reconcileChannelIds.clear();
+            for (const channelId of pending) this.reconcileChannel(channelId);
+        }, 0);
+    }
+
+    getTrackedChannelIds() {
+        const channelIds = new Set([...this.injectedMessages.keys(), ...this.stressMessages.keys()]);
+        for (const record of this.apiMessages.values()) channelIds.add(record.channelId);
+        for (const player of this.timelinePlayers.values()) channelIds.add(player.channelId);
+        return Array.from(channelIds);
+    }
+
+    /**
+     * Brings the message store back in line with what this plugin has injected
+     * into `channelId`. Missing scenario, timeline and API messages are put back;
+     * messages still present are left alone, so repeated calls are harmless.
+     * Stress messages are only dropped from the registry, since a reload ends the run.
+     * Returns the number of messages re-injected.
+     */
+    reconcileChannel(channelId) {
+        if (!this.started || !this.messageStore?.getMessage) return 0;
+        const isPresent = (messageId) => !!this.messageStore.getMessage(channelId, messageId);
+        let restored = 0;
+
+        // Scenario messages go back as a block so they keep their order.
+        const scenarioIds = this.injectedMessages.get(channelId) ?? [];
+        if (scenarioIds.some((messageId) => !isPresent(messageId))) {
+            for (const messageId of scenarioIds) {
+                if (isPresent(messageId)) this.dispatchMessageDelete(channelId, messageId);
+            }
+            for (const messageId of scenarioIds) {
+                const message = this.scenarioMessages.get(messageId);
+                if (message && this.injectFakeMessage(message)) restored += 1;
+            }
+        }
+
+        const others = [];
+        for (const player of this.timelinePlayers.values()) {
+            if (player.channelId === channelId) others.push(...player.sent.values());
+        }
+        for (const record of this.apiMessages.values()) {
+            if (record.channelId === channelId) others.push(record.message);
+        }
+        for (const message of others) {
+            if (!isPresent(message.id) && this.injectFakeMessage(message)) restored += 1;
+        }
+
+        const stressIds = this.stressMessages.get(channelId);
+        if (stressIds) {
+            const kept = stressIds.filter(isPresent);
+            if (kept.length !== stressIds.length) {
+                // Trimmed in place: a running stress test keeps appending to this array.
+                stressIds.splice(0, stressIds.length, ...kept);
+                if (!kept.length && !this.stressRun) this.stressMessages.delete(channelId);
+                this.emitStressChange();
+            }
+        }
+
+        if (restored) this.log(`Re-injected ${restored} local messages into ${channelId}`);
+        return restored;
+    }
+
+    refreshForCurrentChannel(force = false) {
+        if (!this.started && !force) return;
+        const current = this.getCurrentChannelId();
+        if (current) {
+            this.refreshChannel(current);
+        }
+    }
+
+    async refreshChannel(channelIdRaw) {
+        if (!channelIdRaw) return;
+        const channelId = channelIdRaw.toString();
+        // Building resolves authors asynchronously, so a newer refresh can
+        // overtake this one; only the latest refresh per channel may inject.
+        const generation = (this.refreshGenerations.get(channelId) ?? 0) + 1;
+        this.refreshGenerations.set(channelId, generation);
+
+        this.removeFakeMessages(channelId);
+        if (this.badgeFailure) return;
+        this.autoplayTimelines(channelId);
+
+        if (!this.shouldRenderInChannel(channelId)) {
+            return;
+        }
+
+        try {
+            const fakeMessages = await this.buildScenarioMessages(channelId);
+            if (this.refreshGenerations.get(channelId) !== generation || !this.started || this.badgeFailure) {
+                this.releaseMessageIds(fakeMessages.map((message) => message.id));
+                return;
+            }
+            const injectedIds = [];
+            for (const fakeMessage of fakeMessages) {
+                if (!this.injectFakeMessage(fakeMessage)) {
+                    this.releaseMessageIds([fakeMessage.id]);
+                    continue;
+                }
+                this.scenarioMessages.set(fakeMessage.id, fakeMessage);
+                injectedIds.push(fakeMessage.id);
+            }
+            if (injectedIds.length) {
+                this.injectedMessages.set(channelId, injectedIds);
+            }
+        } catch (error) {
+            this.warn("Failed to create fake messages", error);
+        }
+    }
+
+    shouldRenderInChannel(channelId) {
+        if (!this.config.enabled) return false;
+        return this.getStaticScenariosForChannel(channelId).some((scenario) =>
+            scenario.messages.some((entry) => this.isRenderableMessage(entry))
+        );
+    }
+
+    getStaticScenariosForChannel(channelId) {
+        return this.getScenariosForChannel(channelId).filter((scenario) => !scenario.timeline.enabled);
+    }
+
+    getScenariosForChannel(channelId) {
+        const channel = this.channelStore?.getChannel?.(channelId) ?? null;
+        return this.getActiveScenarios().filter((scenario) => this.matchesRules(scenario.rules, channelId, channel));
+    }
+
+    /**
+     * Deny lists win over everything. When any allow list is set the channel
+     * must be on one of them. Kind and NSFW filters need the channel record;
+     * if it cannot be resolved those filters fail closed.
+     */
+    matchesRules(rules, channelId, channel) {
+        const guildId = channel?.guild_id ?? channel?.guildId ?? null;
+
+        if (rules.denyChannelIds.includes(channelId)) return false;
+        if (guildId && rules.denyGuildIds.includes(guildId)) return false;
+
+        const hasAllowList = rules.allowChannelIds.length > 0 || rules.allowGuildIds.length > 0;
+        if (hasAllowList) {
+            const allowed =
+                rules.allowChannelIds.includes(channelId) || (!!guildId && rules.allowGuildIds.includes(guildId));
+            if (!allowed) return false;
+        }
+
+        if (rules.channelKinds.length) {
+            const kind = this.getChannelKind(channel);
+            if (!kind || !rules.channelKinds.includes(kind)) return false;
+        }
+
+        if (rules.nsfw !== "any") {
+            if (!channel) return false;
+            const nsfw = this.isNsfwChannel(channel);
+            if ((rules.nsfw === "nsfw") !== nsfw) return false;
+        }
+
+        return true;
+    }
+
+    getChannelKind(channel) {
+        if (!channel) return null;
+        switch (channel.type) {
+            case 1:
+                return "dm";
+            case 3:
+                return "group_dm";
+            case 0:
+            case 5:
+                return "text";
+            case 2:
+            case 13:
+                return "voice_text";
+            default:
+                break;
+        }
+        if (THREAD_CHANNEL_TYPES.includes(channel.type)) {
+            const parent = this.channelStore?.getChannel?.(channel.parent_id ?? channel.parentId);
+            return FORUM_CHANNEL_TYPES.includes(parent?.type) ? "forum_post" : "thread";
+        }
+        return null;
+    }
+
+    // Threads inherit the NSFW flag of their parent channel.
+    isNsfwChannel(channel) {
+        const own = typeof channel.isNSFW === "function" ? channel.isNSFW() : channel.nsfw;
+        if (own) return true;
+        if (THREAD_CHANNEL_TYPES.includes(channel.type)) {
+            const parent = this.channelStore?.getChannel?.(channel.parent_id ?? channel.parentId);
+            return !!(typeof parent?.isNSFW === "function" ? parent.isNSFW() : parent?.nsfw);
+        }
+        return false;
+    }
+
+    isRenderableMessage(entry) {
+        if (!this.hasMessageBody(entry)) return false;
+        if (entry.authorType === "persona") return !!this.findPersona(entry.personaId);
+        return this.isSnowflake(entry.discordId);
+    }
+
+    hasMessageBody(entry) {
+        if (entry?.content?.trim()) return true;
+        if ((entry?.attachments ?? []).some((attachment) => this.isLocalAttachmentUrl(attachment.url))) return true;
+        return this.buildEmbeds(entry?.embeds).length > 0;
+    }
+
+    getActiveScenarios() {
+        return (this.config.scenarios ?? []).filter((scenario) => scenario.enabled);
+    }
+
+    // Matching scenarios are stacked in order, so the last message of the last
+    // scenario is the newest one in the channel.
+    async buildScenarioMessages(channelId) {
+        const scenarios = this.getStaticScenariosForChannel(channelId);
+        const groups = scenarios.map((scenario) => scenario.messages.filter((entry) => this.isRenderableMessage(entry)));
+        const entries = groups.flat();
+        const timestamps = this.computeScenarioTimestamps(entries, Date.now());
+        // Each scenario gets a run of consecutive IDs at its own placement.
+        const idGroups = groups.map((group, index) =>
+            this.allocateMessageIds(channelId, group.length, scenarios[index].placement)
+        );
+
+        const messages = [];
+        const templateContext = this.createTemplateContext(channelId);
+        let offset = 0;
+        try {
+            for (const [groupIndex, group] of groups.entries()) {
+                const builtByEntryId = new Map();
+                for (const [entryIndex, entry] of group.entries()) {
+                    const message = await this.buildFakeMessage(
+                        channelId,
+                        entry,
+                        idGroups[groupIndex][entryIndex],
+                        timestamps[offset++],
+                        templateContext
+                    );
+                    if (!message) continue;
+                    messages.push(message);
+                    builtByEntryId.set(entry.id, message);
+                }
+
+                // Replies are wired up afterwards so an entry can point at any other entry in its scenario.
+                for (const entry of group) {
+                    const message = builtByEntryId.get(entry.id);
+                    if (message && entry.reply?.kind !== "none") {
+                        this.applyReply(message, entry.reply, builtByEntryId);
+                    }
+                }
+            }
+        } catch (error) {
+            this.releaseMessageIds(idGroups.flat());
+            throw error;
+        }
+        return messages;
+    }
+
+    applyReply(message, reply, builtByEntryId) {
+        let referenced = null;
+        let referencedId = null;
+
+        if (reply.kind === "fixture") {
+            const target = builtByEntryId.get(reply.fixtureId);
+            referencedId = target?.id ?? null;
+            if (target) {
+                // Discord only nests one level of referenced_message.
+                const { referenced_message: _nested, ...flat } = target;
+                referenced = flat;
+            }
+        } else if (reply.kind === "message" && this.isSnowflake(reply.messageId)) {
+            referencedId = reply.messageId.trim();
+            referenced = this.messageStore?.getMessage?.(message.channel_id, referencedId) ?? null;
+        }
+
+        message.type = 19;
+        message.message_reference = {
+            channel_id: message.channel_id,
+            guild_id: message.guild_id ?? undefined,
+            message_id: referencedId ?? undefined
+        };
+        // A null referenced_message is how Discord marks the original as deleted, so a target that
+        // cannot be resolved shows that way too. An unloaded real message keeps just its ID, which
+        // Discord shows as not loaded yet.
+        if (reply.deleted || !referencedId) message.referenced_message = null;
+        else if (referenced) message.referenced_message = referenced;
+
+        const referencedAuthor = referenced?.author;
+        if (reply.mentionAuthor && referencedAuthor?.id && !reply.deleted) {
+            message.mentions = [...message.mentions, referencedAuthor];
+        }
+    }
+
+    // Walks backwards from `now` so the last entry is the newest message; an
+    // entry that does not group with its predecessor gets a gap wide enough
+    // for Discord to start a new message group.
+    computeScenarioTimestamps(entries, now) {
+        const timestamps = new Array(entries.length);
+        let cursor = now;
+        for (let index = entries.length - 1; index >= 0; index--) {
+            timestamps[index] = new Date(cursor).toISOString();
+            cursor -= entries[index].groupWithPrevious ? GROUPED_MESSAGE_GAP_MS : UNGROUPED_MESSAGE_GAP_MS;
+        }
+        return timestamps;
+    }
+
+    async buildFakeMessage(channelId, entry, messageId, timestamp = new Date().toISOString(), templateContext = null) {
+        const author = await this.resolveAuthor(entry);
+        return this.composeFakeMessage(channelId, entry, author, messageId, timestamp, templateContext);
+    }
+
+    composeFakeMessage(channelId, entry, author, messageId, timestamp, templateContext = null) {
+        const context = templateContext ?? this.createTemplateContext(channelId);
+        const baseContent = this.renderTemplate(entry.content ?? "", context, entry.id ?? "").text;
+
+        const impersonated = this.isImpersonatedAuthor(author);
+        const embeds = this.buildEmbeds(entry.embeds);
+        const guildId = this.channelStore?.getChannel?.(channelId)?.guild_id ?? null;
+        const components = entry.components ?? [];
+
+        return {
+            id: messageId,
+            type: 0,
+            channel_id: channelId,
+            guild_id: guildId,
+            author,
+            content: this.decorateContent(baseContent, impersonated),
+            timestamp,
+            edited_timestamp: null,
+            tts: false,
+            mention_roles: [],
+            mention_everyone: false,
+            mentions: [],
+            attachments: this.buildAttachments(entry.attachments, messageId),
+            embeds,
+            pinned: false,
+            reactions: this.buildReactions(entry.reactions),
+            components,
+            // Discord only wires up component clicks for application-owned messages.
+            application_id: components.length ? this.localApplicationId : null,
+            flags: 0,
+            state: "SENT",
+            __fakeMessageComposer: true,
+            __fakeMessageComposerImpersonation: impersonated,
+            nonce: messageId
+        };
+    }
+
+    decorateContent(content, impersonated = false) {
+        if (!this.usesContentPrefix()) return content;
+        const label = impersonated ? IMPERSONATION_BADGE_TEXT : LOCAL_BADGE_TEXT;
+        return content ? `[${label}] ${content}` : `[${label}]`;
+    }
+
+    async resolveAuthor(entry) {
+        if (entry.authorType === "persona") {
+            return this.buildPersonaAuthor(this.findPersona(entry.personaId));
+        }
+        const authorId = entry.discordId.trim();
+        return this.buildAuthor(await this.fetchUser(authorId), authorId);
+    }
+
+    buildPersonaAuthor(persona) {
+        return {
+            id: this.getPersonaAuthorId(persona),
+            username: persona.name || "Unnamed Persona",
+            discriminator: "0000",
+            avatar: null,
+            bot: persona.bot,
+            public_flags: 0,
+            global_name: persona.name || null,
+            accent_color: parseInt(persona.accentColor.slice(1), 16),
+            __fakeMessageComposerPersona: true
+        };
+    }
+
+    buildAuthor(user, userId) {
+        const username =
+            user?.username ??
+            user?.global_name ??
+            user?.globalName ??
+            `Unknown User (${userId})`;
+        return {
+            id: userId,
+            username,
+            discriminator: user?.discriminator ?? "0000",
+            avatar: user?.avatar ?? null,
+            bot: user?.bot ?? false,
+            public_flags: user?.public_flags ?? 0,
+            global_name: user?.global_name ?? user?.globalName ?? null
+        };
+    }
+
+    buildEmbeds(embeds) {
+        return (embeds ?? [])
+            .map((entry, index) => (entry?.type === "rich" ? this.buildRichEmbed(entry) : this.buildLinkEmbed(entry, index)))
+            .filter(Boolean);
+    }
+
+    buildLinkEmbed(entry, index) {
+        if (!entry || !(entry.title?.trim() || entry.url?.trim())) return null;
+        const label = entry.title?.trim() || `Link ${index + 1}`;
+        const url = entry.url?.trim();
+        if (!url) return null;
+        return {
+            type: "link",
+            title: label,
+            url,
+            description: url,
+            color: 0x5865f2,
+            footer: { text: "LOCAL PREVIEW ONLY" }
+        };
+    }
+
+    buildRichEmbed(entry) {
+        const clip = (value, limit) => (value ?? "").trim().slice(0, limit);
+        const embed = { type: "rich" };
+
+        const title = clip(entry.title, EMBED_LIMITS.title);
+        if (title) embed.title = title;
+        if (entry.url?.trim()) embed.url = entry.url.trim();
+        const description = clip(entry.description, EMBED_LIMITS.description);
+        if (description) embed.description = description;
+        embed.color = parseInt((this.isHexColor(entry.color) ? entry.color : DEFAULT_EMBED_COLOR).slice(1), 16);
+
+        const authorName = clip(entry.authorName, EMBED_LIMITS.authorName);
+        if (authorName) {
+            embed.author = { name: authorName };
+            if (entry.authorUrl?.trim()) embed.author.url = entry.authorUrl.trim();
+            if (entry.authorIconUrl?.trim()) {
+                embed.author.icon_url = entry.authorIconUrl.trim();
+                embed.author.proxy_icon_url = entry.authorIconUrl.trim();
+            }
+        }
+
+        const fields = (entry.fields ?? [])
+            .slice(0, EMBED_LIMITS.fields)
+            .filter((field) => field.name?.trim() && field.value?.trim())
+            .map((field) => ({
+                name: clip(field.name, EMBED_LIMITS.fieldName),
+                value: clip(field.value, EMBED_LIMITS.fieldValue),
+                inline: !!field.inline
+            }));
+        if (fields.length) embed.fields = fields;
+
+        if (entry.thumbnailUrl?.trim()) {
+            const url = entry.thumbnailUrl.trim();
+            embed.thumbnail = { url, proxy_url: url, ...EMBED_THUMBNAIL_SIZE };
+        }
+        if (entry.imageUrl?.trim()) {
+            const url = entry.imageUrl.trim();
+            embed.image = { url, proxy_url: url, ...EMBED_IMAGE_SIZE };
+        }
+
+        const footerText = clip(entry.footerText, EMBED_LIMITS.footerText);
+        if (footerText) {
+            embed.footer = { text: footerText };
+            if (entry.footerIconUrl?.trim()) {
+                embed.footer.icon_url = entry.footerIconUrl.trim();
+                embed.footer.proxy_icon_url = entry.footerIconUrl.trim();
+            }
+        }
+        if (entry.timestamp?.trim() && this.isValidTimestamp(entry.timestamp.trim())) {
+            embed.timestamp = new Date(entry.timestamp.trim()).toISOString();
+        }
+
+        const hasBody =
+            embed.title || embed.description || embed.author || embed.fields || embed.thumbnail || embed.image || embed.footer;
+        return hasBody ? embed : null;
+    }
+
+    buildReactions(reactions) {
+        return (reactions ?? [])
+            .filter((reaction) => reaction?.emojiName?.trim())
+            .map((reaction) => {
+                const custom = this.isSnowflake(reaction.emojiId);
+                const normal = Math.max(reaction.count, reaction.me ? 1 : 0);
+                const burst = Math.max(reaction.burstCount, reaction.meBurst ? 1 : 0);
+                return {
+                    emoji: {
+                        id: custom ? reaction.emojiId.trim() : null,
+                        name: reaction.emojiName.trim(),
+                        animated: custom && !!reaction.animated
+                    },
+                    count: normal + burst,
+                    count_details: { normal, burst },
+                    burst_count: burst,
+                    burst_colors: [],
+                    me: !!reaction.me,
+                    me_burst: !!reaction.meBurst
+                };
+            })
+            .filter((reaction) => reaction.count > 0);
+    }
+
+    // Only local data:/blob: URLs are used, so Discord renders them without any upload.
+    buildAttachments(attachments, messageId) {
+        return (attachments ?? [])
+            .filter((attachment) => this.isLocalAttachmentUrl(attachment?.url))
+            .map((attachment, index) => {
+                const url = attachment.url.trim();
+                const baseName = attachment.filename?.trim() || `attachment-${index + 1}`;
+                const filename =
+                    attachment.spoiler && !baseName.startsWith("SPOILER_") ? `SPOILER_${baseName}` : baseName;
+                const built = {
+                    id: `${messageId}:attachment:${index}`,
+                    filename,
+                    content_type: attachment.contentType?.trim() || this.guessContentType(url, filename),
+                    size: attachment.size || this.estimateDataUrlSize(url),
+                    url,
+                    proxy_url: url,
+                    spoiler: !!attachment.spoiler
+                };
+                if (attachment.width && attachment.height) {
+                    built.width = attachment.width;
+                    built.height = attachment.height;
+                }
+                return built;
+            });
+    }
+
+    guessContentType(url, filename) {
+        const fromDataUrl = /^data:([^;,]+)[;,]/i.exec(url)?.[1];
+        if (fromDataUrl) return fromDataUrl.toLowerCase();
+        const extension = /\.([a-z0-9]+)$/i.exec(filename)?.[1]?.toLowerCase();
+        const byExtension = {
+            png: "image/png",
+            jpg: "image/jpeg",
+            jpeg: "image/jpeg",
+            gif: "image/gif",
+            webp: "image/webp",
+            mp4: "video/mp4",
+            webm: "video/webm",
+            mov: "video/quicktime",
+            mp3: "audio/mpeg",
+            txt: "text/plain",
+            pdf: "application/pdf"
+        };
+        return byExtension[extension] ?? "application/octet-stream";
+    }
+
+    estimateDataUrlSize(url) {
+        const match = /^data:[^,]*?(;base64)?,(.*)$/is.exec(url ?? "");
+        if (!match) return 0;
+        if (!match[1]) return decodeURIComponent(match[2]).length;
+        const payload = match[2].replace(/=+$/, "");
+        return Math.floor((payload.length * 3) / 4);
+    }
+
+    isLocalAttachmentUrl(url) {
+        return typeof url === "string" && /^(data:|blob:)/i.test(url.trim());
+    }
+
+    /**
+     * Opens the platform file picker and resolves with attachment entries read
+     * into data: URIs. Resolves with an empty list where no picker exists.
+     */
+    pickLocalAttachments() {
+        if (typeof document === "undefined" || typeof FileReader === "undefined") {
+            return Promise.resolve([]);
+        }
+
+        return new Promise((resolve) => {
+            const input = document.createElement("input");
+            input.type = "file";
+            input.multiple = true;
+            input.onchange = async () => {
+                const files = Array.from(input.files ?? []);
+                const entries = [];
+                for (const file of files) {
+                    try {
+                        entries.push(await this.readAttachmentFile(file));
+                    } catch (error) {
+                        this.warn(`Failed to read ${file.name}`, error);
+                    }
+                }
+                resolve(entries);
+            };
+            input.click();
+        });
+    }
+
+    async readAttachmentFile(file) {
+        const url = await new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(file);
+        });
+        const contentType = file.type || this.guessContentType(url, file.name);
+        const { width, height } = await this.measureMedia(url, contentType);
+        return this.createAttachmentEntry({
+            filename: file.name,
+            contentType,
+            size: file.size,
+            width,
+            height,
+            url
+        });
+    }
+
+    measureMedia(url, contentType) {
+        const none = { width: 0, height: 0 };
+        if (typeof document === "undefined") return Promise.resolve(none);
+
+        return new Promise((resolve) => {
+            if (contentType.startsWith("image/")) {
+                const image = new Image();
+                image.onload = () => resolve({ width: image.naturalWidth, height: image.naturalHeight });
+                image.onerror = () => resolve(none);
+                image.src = url;
+            } else if (contentType.startsWith("video/")) {
+                const video = document.createElement("video");
+                video.preload = "metadata";
+                video.onloadedmetadata = () => resolve({ width: video.videoWidth, height: video.videoHeight });
+                video.onerror = () => resolve(none);
+                video.src = url;
+            } else {
+                resolve(none);
+            }
+        });
+    }
+
+    // Returns false, without injecting, after a failed badge self-check or for
+    // another user's identity that has not been acknowledged.
+    injectFakeMessage(message) {
+        if (this.badgeFailure) {
+            this.warn(`Not injecting ${message.id}: ${this.badgeFailure}`);
+            return false;
+        }
+        if (message.__fakeMessageComposerImpersonation && !this.config.impersonationAcknowledged) {
+            this.noteUnacknowledgedImpersonation(message);
+            return false;
+        }
+        this.localMessageIds.add(message.id);
+        if (message.__fakeMessageComposerImpersonation) this.impersonationIds.add(message.id);
+        this.scheduleBadgeCheck(message);
+        if (this.messageActions?.receiveMessage) {
+            this.messageActions.receiveMessage(message.channel_id, message);
+        } else {
+            this.dispatcher?.dispatch?.({
+                type: "MESSAGE_CREATE",
+                channelId: message.channel_id,
+                message,
+                optimistic: false
+            });
+        }
+        this.emit("injected", { channelId: message.channel_id, messageId: message.id, message });
+        return true;
+    }
+
+    dispatchMessageUpdate(message) {
+        this.dispatcher?.dispatch?.({ type: "MESSAGE_UPDATE", message });
+        this.emit("updated", { channelId: message.channel_id, messageId: message.id, message });
+    }
+
+    removeFakeMessages(channelId) {
+        const existingIds = this.injectedMessages.get(channelId);
+        if (!existingIds) return;
+        for (const messageId of existingIds) {
+            this.dispatchMessageDelete(channelId, messageId);
+            this.scenarioMessages.delete(messageId);
+        }
+        this.injectedMessages.delete(channelId);
+    }
+
+    dispatchMessageDelete(channelId, messageId) {
+        const deleteMessage = this.unguardedActions.deleteMessage ?? this.messageActions?.deleteMessage;
+        if (deleteMessage) {
+            deleteMessage.call(this.messageActions, channelId, messageId, false);
+        } else {
+            this.dispatcher?.dispatch?.({
+                type: "MESSAGE_DELETE",
+                id: messageId,
+                channelId
+            });
+        }
+        this.releaseMessageIds([messageId]);
+        this.emit("removed", { channelId, messageId });
+    }
+
+    // Removes scenario messages, stress-generated messages and API fixtures.
+    clearInjectedMessages() {
+        this.removeScenarioMessages();
+        this.clearStressMessages();
+        this.removeApiMessages();
+    }
+
+    removeScenarioMessages() {
+        for (const channelId of Array.from(this.injectedMessages.keys())) {
+            this.removeFakeMessages(channelId);
+        }
+    }
+
+    async fetchUser(userId) {
+        const trimmed = (userId ?? "").trim();
+        if (!trimmed) return null;
+        if (this.userCache.has(trimmed)) {
+            return this.userCache.get(trimmed);
+        }
+
+        let user = this.userStore?.getUser?.(trimmed);
+        if (!user && this.userStore?.fetchUser) {
+            try {
+                user = await this.userStore.fetchUser(trimmed);
+            } catch (error) {
+                this.warn("Failed to fetch user from cache - falling back to placeholder", error);
+            }
+        }
+
+        if (user) {
+            this.userCache.set(trimmed, user);
+        }
+
+        return user ?? { id: trimmed };
+    }
+
+    getCurrentChannelId() {
+        return (
+            this.selectedChannelStore?.getCurrentlySelectedChannelId?.() ??
+            this.selectedChannelStore?.getChannelId?.() ??
+            this.selectedChannelStore?.getMostRecentSelectedTextChannelId?.() ??
+            null
+        );
+    }
+
+    reapplyFakeMessages() {
+        if (!this.started) return;
+        this.pruneTimelines();
+        // Stress messages are left alone; editing settings should not undo a run.
+        this.removeScenarioMessages();
+        this.refreshForCurrentChannel(true);
+    }
+
+    findPersona(personaId) {
+        if (!personaId) return null;
+        return (this.config.personas ?? []).find((persona) => persona.id === personaId) ?? null;
+    }
+
+    getPersonaAuthorId(persona) {
+        return `${PERSONA_AUTHOR_PREFIX}:${persona.id}`;
+    }
+
+    findPersonaByAuthorId(authorId) {
+        if (typeof authorId !== "string" || !authorId.startsWith(`${PERSONA_AUTHOR_PREFIX}:`)) return null;
+        return this.findPersona(authorId.slice(PERSONA_AUTHOR_PREFIX.length + 1));
+    }
+
+    getPersonaAvatar(persona) {
+        if (/^data:image\//i.test(persona?.avatar ?? "")) return persona.avatar;
+        return this.buildGeneratedAvatar(persona?.name, persona?.accentColor);
+    }
+
+    // Initials on the accent colour, encoded inline so it renders offline.
+    buildGeneratedAvatar(name, color = DEFAULT_PERSONA_COLOR) {
+        const initials =
+            (name ?? "")
+                .trim()
+                .split(/\s+/)
+                .filter(Boolean)
+                .slice(0, 2)
+                .map((word) => word[0].toUpperCase())
+                .join("") || "?";
+        const escaped = initials.replace(/[<>&"']/g, (char) => `&#${char.charCodeAt(0)};`);
+        const fill = this.isHexColor(color) ? color : DEFAULT_PERSONA_COLOR;
+        const svg =
+            `<svg xmlns="http://www.w3.org/2000/svg" width="128" height="128" viewBox="0 0 128 128">` +
+            `<rect width="128" height="128" fill="${fill}"/>` +
+            `<text x="50%" y="50%" dy=".35em" text-anchor="middle" font-family="sans-serif" ` +
+            `font-size="52" font-weight="600" fill="#fff">${escaped}</text></svg>`;
+        return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+    }
+
+    createLocalId(prefix) {
+        return `${prefix}-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    isValidTimestamp(value) {
+        return typeof value === "string" && /^\d{4}-\d{2}-\d{2}/.test(value) && !Number.isNaN(Date.parse(value));
+    }
+
+    isHexColor(value) {
+        return typeof value === "string" && /^#[0-9a-f]{6}$/i.test(value);
+    }
+
+    isSnowflake(value) {
+        if (typeof value !== "string") return false;
+        return /^\d{5,}$/.test(value.trim());
+    }
+
+    // ------------------------------------------------------------------
+    // Message IDs and placement
+    // ------------------------------------------------------------------
+
+    isInjectedMessageId(messageId) {
+        return messageId != null && this.localMessageIds.has(String(messageId));
+    }
+
+    createSnowflake(ms = Date.now()) {
+        return (((BigInt(Math.floor(ms)) - DISCORD_EPOCH_MS) << 22n) | SNOWFLAKE_LOCAL_BITS).toString();
+    }
+
+    // Numeric IDs of the messages the store has loaded for a channel, ascending.
+    getLoadedMessageIds(channelId) {
+        const messages = this.messageStore?.getMessages?.(channelId);
+        const list = Array.isArray(messages) ? messages : messages?.toArray?.() ?? messages?._array ?? [];
+        return list
+            .map((message) => message?.id)
+            .filter((id) => this.isSnowflake(id))
+            .map((id) => BigInt(id))
+            .sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+    }
+
+    /**
+     * Reserves `count` ascending message IDs in `channelId` for a placement.
+     * Each ID is skipped if the store or this plugin already uses it, and is
+     * registered until its message is deleted, so isInjectedMessageId() holds
+     * wherever the message ends up.
+     */
+    allocateMessageIds(channelId, count, placement = DEFAULT_PLACEMENT) {
+        const loaded = this.getLoadedMessageIds(channelId);
+        let next = null;
+        let limit = null;
+
+        if (placement.mode === "top" && loaded.length) {
+            limit = loaded[0];
+            next = limit - BigInt(count);
+        } else if (placement.mode === "after") {
+            const anchor = this.isSnowflake(placement.messageId) ? BigInt(placement.messageId.trim()) : null;
+            if (anchor !== null && loaded.includes(anchor)) {
+                next = anchor + 1n;
+                limit = loaded.find((id) => id > anchor) ?? null;
+            } else {
+                this.warn(`Message ${placement.messageId || "(none)"} is not loaded; placing at the bottom instead`);
+            }
+        }
+        if (next === null) {
+            const latest = loaded.length ? loaded[loaded.length - 1] + 1n : 0n;
+            const now = BigInt(this.createSnowflake());
+            next = now > latest ? now : latest;
+        }
+
+        const ids = [];
+        while (ids.length < count) {
+            const id = (next++).toString();
+            if (this.localMessageIds.has(id) || this.messageStore?.getMessage?.(channelId, id)) continue;
+            this.localMessageIds.add(id);
+            ids.push(id);
+        }
+        if (limit !== null && next > limit) {
+            this.warn(`Not enough room before message ${limit}; some messages are placed after it`);
+        }
+        return ids;
+    }
+
+    releaseMessageIds(messageIds) {
+        for (const messageId of messageIds) {
+            this.localMessageIds.delete(messageId);
+            this.impersonationIds.delete(messageId);
+        }
+    }
+
+    // ------------------------------------------------------------------
+    // Badge self-check
+    // ------------------------------------------------------------------
+
+    // Message records may drop the marker, so the ID registry is checked too.
+    isLocalMessage(message) {
+        return !!message && (message.__fakeMessageComposer === true || this.isInjectedMessageId(message.id));
+    }
+
+    // The inline prefix is only used when no rendered badge is patched in.
+    usesContentPrefix() {
+        return !this.timestampBadgePatched && !this.accessoryBadgePatched;
+    }
+
+    noteBadgeRendered(strategy, messageId) {
+        this.badgeRenderedIds.add(String(messageId));
+        if (this.verifiedBadgeStrategies.has(strategy)) return;
+        this.verifiedBadgeStrategies.add(strategy);
+        this.emitBadgeChange();
+    }
+
+    getBadgeState() {
+        const available = {
+            timestamp: this.timestampBadgePatched,
+            accessory: this.accessoryBadgePatched,
+            prefix: this.usesContentPrefix()
+        };
+        return {
+            failure: this.badgeFailure,
+            strategies: Object.entries(BADGE_STRATEGIES).map(([id, label]) => ({
+                id,
+                label,
+                available: available[id],
+                verified: this.verifiedBadgeStrategies.has(id),
+                problem:
+                    this.badgeProblems[id] ??
+                    (id === "prefix" && !available.prefix ? "not needed while a rendered badge is patched in" : null)
+            }))
+        };
+    }
+
+    onBadgeChange(listener) {
+        this.badgeListeners.add(listener);
+        return () => this.badgeListeners.delete(listener);
+    }
+
+    emitBadgeChange() {
+        const state = this.getBadgeState();
+        for (const listener of this.badgeListeners) {
+            try {
+                listener(state);
+            } catch (error) {
+                this.warn("Badge listener failed", error);
+            }
+        }
+    }
+
+    scheduleBadgeCheck(message) {
+        this.badgeCheckIds.set(message.id, message.channel_id);
+        if (this.badgeCheckTimer) return;
+        this.badgeCheckTimer = setTimeout(() => this.runBadgeCheck(), this.badgeCheckDelayMs);
+    }
+
+    clearBadgeCheck() {
+        if (this.badgeCheckTimer) clearTimeout(this.badgeCheckTimer);
+        this.badgeCheckTimer = null;
+        this.badgeCheckIds.clear();
+        this.badgeRenderedIds.clear();
+    }
+
+    /**
+     * Confirms that messages injected since the last check were shown with a
+     * label. Only messages Discord could have drawn count: still in the store
+     * and in the open channel, and at least one of them must have rendered a
+     * badge this time. Returns null when they pass (or nothing could be
+     * checked), otherwise the failure reason, after removing every local message.
+     */
+    runBadgeCheck() {
+        const pending = Array.from(this.badgeCheckIds);
+        const rendered = new Set(this.badgeRenderedIds);
+        this.clearBadgeCheck();
+        if (!this.started || this.badgeFailure) return this.badgeFailure;
+
+        const currentChannelId = this.getCurrentChannelId()?.toString();
+        const visible = pending.filter(
+            ([messageId, channelId]) =>
+                channelId === currentChannelId &&
+                (!this.messageStore?.getMessage || !!this.messageStore.getMessage(channelId, messageId))
+        );
+        if (!visible.length) return null;
+
+        // Every check needs a badge on one of these rows; an earlier pass says nothing about today's renderer.
+        if (visible.some(([messageId]) => rendered.has(messageId))) return null;
+        if (this.usesContentPrefix()) {
+            const prefixed = visible.every(([messageId, channelId]) => {
+                const stored = this.messageStore?.getMessage?.(channelId, messageId);
+                const content = String(stored?.content ?? "");
+                return (
+                    !stored ||
+                    content.startsWith(`[${LOCAL_BADGE_TEXT}]`) ||
+                    content.startsWith(`[${IMPERSONATION_BADGE_TEXT}]`)
+                );
+            });
+            if (prefixed) {
+                this.verifiedBadgeStrategies.add("prefix");
+                this.emitBadgeChange();
+                return null;
+            }
+        }
+
+        const details = this.getBadgeState()
+            .strategies.map((strategy) => {
+                if (strategy.problem) return `${strategy.label}: ${strategy.problem}`;
+                if (strategy.id === "prefix") return `${strategy.label}: stripped from the message content`;
+                return `${strategy.label}: patched but never rendered`;
+            })
+            .join("; ");
+        return this.failBadgeCheck(`No LOCAL FAKE label was rendered (${details}).`);
+    }
+
+    failBadgeCheck(reason) {
+        this.badgeFailure = reason;
+        this.error(`Refusing to inject fake messages: ${reason}`);
+        this.stopAllTimelines();
+        this.clearInjectedMessages();
+        this.notify("Fake messages were removed because their LOCAL FAKE label did not render.");
+        this.emitBadgeChange();
+        return reason;
+    }
+
+    // Lifts a failed self-check and injects again; the next check runs as usual.
+    retryBadgeCheck() {
+        if (!this.badgeFailure) return;
+        this.badgeFailure = null;
+        this.emitBadgeChange();
+        this.reapplyFakeMessages();
+    }
+
+    assertBadgeAvailable() {
+        if (this.badgeFailure) throw new Error(`Refusing to inject: ${this.badgeFailure}`);
+    }
+
+    // ------------------------------------------------------------------
+    // Impersonation safeguards
+    // ------------------------------------------------------------------
+
+    // Any account ID but the current user's; one the client has not cached may still be a real account.
+    isOtherRealUser(userIdRaw) {
+        const userId = typeof userIdRaw === "string" ? userIdRaw.trim() : "";
+        if (!this.isSnowflake(userId)) return false;
+        return userId !== this.userStore?.getCurrentUser?.()?.id;
+    }
+
+    isImpersonatedAuthor(author) {
+        return !!author && !author.__fakeMessageComposerPersona && this.isOtherRealUser(String(author.id ?? ""));
+    }
+
+    isImpersonationMessage(message) {
+        return !!message && (message.__fakeMessageComposerImpersonation === true || this.impersonationIds.has(message.id));
+    }
+
+    noteUnacknowledgedImpersonation(message) {
+        this.warn(`Not injecting ${message.id}: showing ${message.author?.username} needs acknowledgement`);
+        if (this.impersonationNoticeShown) return;
+        this.impersonationNoticeShown = true;
+        this.notify("Messages shown as another real user are skipped until you acknowledge this in the settings.");
+    }
+
+    // Asks once; the caller stores `impersonationAcknowledged` when this resolves true.
+    async confirmImpersonation() {
+        return this.confirmAction({
+            title: "Show messages as a real user",
+            message:
+                "These messages will look like they came from a real account other than yours. They get a red " +
+                `"${IMPERSONATION_BADGE_TEXT}" label and only exist on this device. Do not use them to mislead anyone.`,
+            confirmText: "I understand",
+            fallback: false
+        });
+    }
+
+    // ------------------------------------------------------------------
+    // Content templates
+    // ------------------------------------------------------------------
+
+    // One context per render pass, so counters keep counting across the
+    // messages of a channel (or a timeline run) instead of restarting.
+    createTemplateContext(channelId) {
+        return {
+            channelId,
+            channel: channelId ? (this.channelStore?.getChannel?.(channelId) ?? null) : null,
+            now: Date.now(),
+            counters: new Map()
+        };
+    }
+
+    /**
+     * Expands `{{name}}` / `{{name:arg:arg}}` tokens. `\{{` keeps a literal
+     * brace pair. Broken tokens are left in the text as typed and reported in
+     * `errors`, so a typo stays visible instead of silently disappearing.
+     */
+    renderTemplate(content, context, seedKey = "") {
+        const errors = [];
+        let occurrence = 0;
+        const expanded = content.replace(/\\{\{|\{\{([^{}]*)\}\}/g, (token, body) => {
+            if (body === undefined) return "{{";
+            const [name, ...args] = body.split(":").map((part) => part.trim());
+            try {
+                return this.resolveTemplateVariable(name, args, context, `${seedKey}:${occurrence++}`);
+            } catch (error) {
+                errors.push(`${token}: ${error.message}`);
+                return token;
+            }
+        });
+        if (/(^|[^\\]){\{(?![^{}]*\}\})/.test(content)) {
+            errors.push('Unclosed "{{". Write \\{{ for literal braces.');
+        }
+        return { text: expanded, errors };
+    }
+
+    validateTemplate(content) {
+        return this.renderTemplate(content ?? "", this.createTemplateContext(null)).errors;
+    }
+
+    resolveTemplateVariable(name, args, context, seedKey) {
+        const channel = context.channel;
+        switch (name) {
+            case "channel":
+                return this.getChannelDisplayName(channel);
+            case "guild":
+                return channel?.guild_id ? (this.guildStore?.getGuild?.(channel.guild_id)?.name ?? "") : "";
+            case "user": {
+                const user = this.userStore?.getCurrentUser?.();
+                return user?.global_name ?? user?.globalName ?? user?.username ?? "";
+            }
+            case "relative":
+            case "time":
+            case "date":
+            case "datetime": {
+                const style = { relative: "R", time: "t", date: "D", datetime: "f" }[name];
+                const seconds = Math.floor((context.now + this.parseTemplateOffset(args[0])) / 1000);
+                // Discord renders timestamp markup in the reader's locale and keeps relative ones ticking.
+                return `<t:${seconds}:${style}>`;
+            }
+            case "counter": {
+                const key = args[0] || "default";
+                const start = args[1] === undefined || args[1] === "" ? 1 : Number(args[1]);
+                if (!Number.isInteger(start)) throw new Error("the start value must be a whole number.");
+                const value = context.counters.has(key) ? context.counters.get(key) + 1 : start;
+                context.counters.set(key, value);
+                return String(value);
+            }
+            case "lorem":
+                return this.buildTemplateLorem(args[0], seedKey);
+            default:
+                throw new Error(name ? `unknown variable "${name}".` : "empty variable.");
+        }
+    }
+
+    // "-5m", "+2h", "30s", "1d"; no argument means now.
+    parseTemplateOffset(value) {
+        if (value === undefined || value === "") return 0;
+        const match = /^([+-]?)(\d+)([smhdw])$/.exec(value);
+        if (!match) throw new Error(`"${value}" is not an offset like -5m, +2h or 1d.`);
+        const unit = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+        return (match[1] === "-" ? -1 : 1) * Number(match[2]) * unit[match[3]];
+    }
+
+    // "12" words, "3s" sentences or "2p" paragraphs. Seeded per message and
+    // token so the text stays put between refreshes.
+    buildTemplateLorem(length, seedKey) {
+        const match = /^(\d+)([sp]?)$/.exec(length ?? "");
+        if (!match || Number(match[1]) < 1 || Number(match[1]) > TEMPLATE_LOREM_MAX) {
+            throw new Error(`length must look like 12, 3s or 2p (at most ${TEMPLATE_LOREM_MAX}).`);
+        }
+        const count = Number(match[1]);
+        const random = this.createSeededRandom(this.hashString(seedKey));
+        if (match[2] === "s") return this.buildLoremText(random, count);
+        if (match[2] === "p") {
+            const paragraphs = Array.from({ length: count }, () => this.buildLoremText(random, 3 + Math.floor(random() * 3)));
+            return paragraphs.join("\n\n");
+        }
+        const words = Array.from({ length: count }, () => LOREM_WORDS[Math.floor(random() * LOREM_WORDS.length)]);
+        return words.join(" ");
+    }
+
+    getChannelDisplayName(channel) {
+        if (!channel) return "";
+        if (channel.name) return channel.name;
+        const recipients = channel.recipients ?? channel.rawRecipients ?? [];
+        return recipients
+            .map((recipient) => {
+                const user = typeof recipient === "string" ? this.userStore?.getUser?.(recipient) : recipient;
+                return user?.global_name ?? user?.globalName ?? user?.username ?? "";
+            })
+            .filter(Boolean)
+            .join(", ");
+    }
+
+    // FNV-1a, used to turn ids into seeds.
+    hashString(value) {
+        let hash = 0x811c9dc5;
+        for (let index = 0; index < value.length; index++) {
+            hash ^= value.charCodeAt(index);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    // ------------------------------------------------------------------
+    // Scripted timelines
+    // ------------------------------------------------------------------
+
+    getTimelineState(scenarioId) {
+        const player = this.timelinePlayers.get(scenarioId);
+        return {
+            status: player?.status ?? "idle", // "idle" | "playing" | "paused" | "finished"
+            stepIndex: player?.stepIndex ?? 0,
+            stepCount: player?.steps.length ?? 0,
+            channelId: player?.channelId ?? null
+        };
+    }
+
+    onTimelineChange(listener) {
+        this.timelineListeners.add(listener);
+        return () => this.timelineListeners.delete(listener);
+    }
+
+    emitTimelineChange() {
+        for (const listener of this.timelineListeners) {
+            try {
+                listener();
+            } catch (error) {
+                this.warn("Timeline listener failed", error);
+            }
+        }
+    }
+
+    /**
+     * Starts (or resumes) a scenario's timeline in a channel. Returns null on
+     * success, otherwise a message explaining why nothing was played.
+     */
+    playTimeline(scenarioId, channelIdRaw = this.getCurrentChannelId()) {
+        const existing = this.timelinePlayers.get(scenarioId);
+        if (existing?.status === "paused") {
+            existing.status = "playing";
+            if (existing.pending) this.startTimelineTimer(existing);
+            this.emitTimelineChange();
+            return null;
+        }
+        if (existing?.status === "playing") return null;
+
+        const scenario = (this.config.scenarios ?? []).find((entry) => entry.id === scenarioId);
+        if (!this.started || !this.config.enabled) return "Enable the plugin to play timelines.";
+        if (this.badgeFailure) return `Refusing to inject: ${this.badgeFailure}`;
+        if (!scenario?.enabled) return "Enable the scenario to play its timeline.";
+        if (!channelIdRaw) return "Open a channel to play the timeline in.";
+        if (!scenario.timeline.steps.length) return "The timeline has no steps.";
+        const problems = this.validateTimeline(scenario.timeline, scenario.messages);
+        if (problems.length) return problems[0];
+
+        const channelId = channelIdRaw.toString();
+        if (!this.matchesRules(scenario.rules, channelId, this.channelStore?.getChannel?.(channelId))) {
+            return `"${scenario.name || "Untitled scenario"}" does not target this channel.`;
+        }
+
+        this.stopTimeline(scenarioId);
+        const player = {
+            scenarioId,
+            channelId,
+            // Snapshot the script so editing it mid-playback cannot derail the run.
+            steps: scenario.timeline.steps.map((step) => ({ ...step })),
+            entries: new Map(scenario.messages.map((entry) => [entry.id, entry])),
+            placement: scenario.placement,
+            stepIndex: 0,
+            status: "playing",
+            timer: null,
+            pending: null,
+            dueAt: 0,
+            remainingMs: 0,
+            sent: new Map(),
+            typingUserIds: new Set(),
+            templateContext: this.createTemplateContext(channelId)
+        };
+        this.timelinePlayers.set(scenarioId, player);
+        this.scheduleTimelineStep(player);
+        this.emitTimelineChange();
+        return null;
+    }
+
+    pauseTimeline(scenarioId) {
+        const player = this.timelinePlayers.get(scenarioId);
+        if (player?.status !== "playing") return;
+        player.status = "paused";
+        if (player.timer) {
+            clearTimeout(player.timer);
+            player.timer = null;
+            player.remainingMs = Math.max(0, player.dueAt - Date.now());
+        }
+        this.emitTimelineChange();
+    }
+
+    restartTimeline(scenarioId) {
+        const channelId = this.timelinePlayers.get(scenarioId)?.channelId ?? this.getCurrentChannelId();
+        this.stopTimeline(scenarioId);
+        return this.playTimeline(scenarioId, channelId);
+    }
+
+    // Cancels pending steps and removes whatever the run put on screen.
+    stopTimeline(scenarioId) {
+        const player = this.timelinePlayers.get(scenarioId);
+        if (!player) return;
+        this.timelinePlayers.delete(scenarioId);
+        player.status = "stopped";
+        if (player.timer) clearTimeout(player.timer);
+        player.timer = null;
+        player.pending = null;
+        for (const userId of Array.from(player.typingUserIds)) {
+            this.dispatchTyping(player, userId, false);
+        }
+        for (const message of player.sent.values()) {
+            this.dispatchMessageDelete(player.channelId, message.id);
+        }
+        player.sent.clear();
+        this.emitTimelineChange();
+    }
+
+    stopAllTimelines() {
+        for (const scenarioId of Array.from(this.timelinePlayers.keys())) {
+            this.stopTimeline(scenarioId);
+        }
+    }
+
+    // Drops runs whose scenario was removed, disabled or switched back to static injection.
+    pruneTimelines() {
+        for (const scenarioId of Array.from(this.timelinePlayers.keys())) {
+            const scenario = (this.config.scenarios ?? []).find((entry) => entry.id === scenarioId);
+            if (!this.config.enabled || !scenario?.enabled || !scenario.timeline.enabled) {
+                this.stopTimeline(scenarioId);
+            }
+        }
+    }
+
+    autoplayTimelines(channelId) {
+        if (!this.config.enabled) return;
+        for (const scenario of this.getScenariosForChannel(channelId)) {
+            if (!scenario.timeline.enabled || !scenario.timeline.autoplay) continue;
+            if (this.timelinePlayers.get(scenario.id)?.channelId === channelId) continue;
+            this.stopTimeline(scenario.id);
+            const problem = this.playTimeline(scenario.id, channelId);
+            if (problem) this.log(`Timeline autoplay skipped: ${problem}`);
+        }
+    }
+
+    isTimelineActive(player) {
+        return player.status !== "stopped" && this.timelinePlayers.get(player.scenarioId) === player;
+    }
+
+    // A paused player keeps the callback and its remaining delay until resumed.
+    setTimelineTimer(player, ms, callback) {
+        player.pending = callback;
+        player.remainingMs = ms;
+        if (player.status === "playing") this.startTimelineTimer(player);
+    }
+
+    startTimelineTimer(player) {
+        player.dueAt = Date.now() + player.remainingMs;
+        player.timer = setTimeout(() => {
+            const callback = player.pending;
+            player.timer = null;
+            player.pending = null;
+            callback?.();
+        }, player.remainingMs);
+    }
+
+    scheduleTimelineStep(player) {
+        const step = player.steps[player.stepIndex];
+        if (!step) {
+            player.status = "finished";
+            this.emitTimelineChange();
+            return;
+        }
+        this.setTimelineTimer(player, step.delayMs, () => this.runTimelineStep(player, step));
+    }
+
+    advanceTimeline(player) {
+        if (!this.isTimelineActive(player)) return;
+        player.stepIndex += 1;
+        this.scheduleTimelineStep(player);
+        this.emitTimelineChange();
+    }
+
+    async runTimelineStep(player, step) {
+        const entry = player.entries.get(step.entryId);
+        try {
+            if (step.action === "typing") {
+                const author = await this.resolveAuthor(entry);
+                if (!this.isTimelineActive(player)) return;
+                this.dispatchTyping(player, author.id, true);
+                this.setTimelineTimer(player, step.durationMs, () => {
+                    this.dispatchTyping(player, author.id, false);
+                    this.advanceTimeline(player);
+                });
+                return;
+            }
+
+            // Times in templates refer to when the step runs, not when playback started.
+            player.templateContext.now = Date.now();
+            if (step.action === "send") {
+                const [messageId] = this.allocateMessageIds(player.channelId, 1, player.placement);
+                const message = await this.buildFakeMessage(
+                    player.channelId,
+                    entry,
+                    messageId,
+                    undefined,
+                    player.templateContext
+                );
+                if (!this.isTimelineActive(player)) {
+                    this.releaseMessageIds([messageId]);
+                    return;
+                }
+                // Discord clears the author's typing indicator when their message arrives.
+                player.typingUserIds.delete(message.author.id);
+                if (!this.injectFakeMessage(message)) {
+                    this.releaseMessageIds([messageId]);
+                    return;
+                }
+                player.sent.set(entry.id, message);
+            } else if (step.action === "edit") {
+                const sent = player.sent.get(entry.id);
+                if (sent) {
+                    const content = this.renderTemplate(step.content, player.templateContext, step.id).text;
+                    const edited = {
+                        ...sent,
+                        content: this.decorateContent(content, this.isImpersonationMessage(sent)),
+                        edited_timestamp: new Date().toISOString()
+                    };
+                    player.sent.set(entry.id, edited);
+                    this.dispatchMessageUpdate(edited);
+                }
+            } else if (step.action === "delete") {
+                const sent = player.sent.get(entry.id);
+                if (sent) {
+                    player.sent.delete(entry.id);
+                    this.dispatchMessageDelete(player.channelId, sent.id);
+                }
+            }
+        } catch (error) {
+            this.warn(`Timeline step ${player.stepIndex + 1} failed`, error);
+        }
+        this.advanceTimeline(player);
+    }
+
+    dispatchTyping(player, userId, typing) {
+        if (typing) {
+            player.typingUserIds.add(userId);
+        } else {
+            player.typingUserIds.delete(userId);
+        }
+        this.dispatcher?.dispatch?.({
+            type: typing ? "TYPING_START" : "TYPING_STOP",
+            channelId: player.channelId,
+            userId
+        });
+    }
+
+    // ------------------------------------------------------------------
+    // Stress injection
+    // ------------------------------------------------------------------
+
+    getStressState() {
+        let injectedCount = 0;
+        for (const ids of this.stressMessages.values()) injectedCount += ids.length;
+        return { running: !!this.stressRun, injectedCount, report: this.stressReport };
+    }
+
+    onStressChange(listener) {
+        this.stressListeners.add(listener);
+        return () => this.stressListeners.delete(listener);
+    }
+
+    emitStressChange() {
+        const state = this.getStressState();
+        for (const listener of this.stressListeners) {
+            try {
+                listener(state);
+            } catch (error) {
+                this.warn("Stress listener failed", error);
+            }
+        }
+    }
+
+    /**
+     * Floods a channel with generated messages through injectFakeMessage.
+     * Injection yields between batches so the client can render, which means
+     * the reported injection time includes that render work.
+     */
+    async runStressTest(channelIdRaw = this.getCurrentChannelId(), options = {}) {
+        if (!this.started) throw new Error("Start the plugin before running a stress test.");
+        if (!channelIdRaw) throw new Error("Open a channel to run the stress test in.");
+        if (this.stressRun) throw new Error("A stress test is already running.");
+        this.assertBadgeAvailable();
+
+        const channelId = channelIdRaw.toString();
+        const requested = Number.isFinite(options.count) ? Math.floor(options.count) : STRESS_DEFAULT_COUNT;
+        const count = Math.min(Math.max(requested, 1), STRESS_MAX_COUNT);
+        const run = { channelId, cancelled: false, cleared: null };
+        this.stressRun = run;
+        this.emitStressChange();
+
+        try {
+            const buildStart = this.now();
+            const messages = this.buildStressMessages(channelId, count, options);
+            const buildMs = this.now() - buildStart;
+
+            // Ids are registered before each dispatch so a clear mid-run still finds them.
+            const ids = this.stressMessages.get(channelId) ?? [];
+            this.stressMessages.set(channelId, ids);
+            const injectStart = this.now();
+            let injected = 0;
+            let index = 0;
+            for (; index < messages.length && !run.cancelled; index++) {
+                const message = messages[index];
+                ids.push(message.id);
+                if (!this.injectFakeMessage(message)) {
+                    ids.pop();
+                    this.releaseMessageIds([message.id]);
+                    continue;
+                }
+                injected += 1;
+                if (injected % STRESS_BATCH_SIZE === 0) await this.delay(0);
+            }
+            // IDs reserved for messages a cancelled run never sent.
+            this.releaseMessageIds(messages.slice(index).map((message) => message.id));
+
+            this.stressReport = {
+                at: new Date().toISOString(),
+                channelId,
+                requested: count,
+                injected,
+                cancelled: run.cancelled,
+                buildMs: Math.round(buildMs),
+                injectMs: Math.round(this.now() - injectStart),
+                clearedCount: run.cleared?.clearedCount ?? null,
+                clearMs: run.cleared?.clearMs ?? null
+            };
+            this.log("Stress injection finished", this.stressReport);
+            return this.stressReport;
+        } finally {
+            if (this.stressRun === run) this.stressRun = null;
+            this.emitStressChange();
+        }
+    }
+
+    clearStressMessages() {
+        const run = this.stressRun;
+        if (run) run.cancelled = true;
+        if (!this.stressMessages.size) return null;
+
+        const start = this.now();
+        let clearedCount = 0;
+        for (const [channelId, ids] of Array.from(this.stressMessages)) {
+            this.dispatchMessageDeleteBulk(channelId, ids.slice());
+            clearedCount += ids.length;
+        }
+        this.stressMessages.clear();
+        const clearMs = Math.round(this.now() - start);
+
+        // A run cleared mid-injection writes its report afterwards and picks this up.
+        if (run) {
+            run.cleared = { clearedCount, clearMs };
+        } else if (this.stressReport) {
+            this.stressReport = { ...this.stressReport, clearedCount, clearMs };
+        }
+        this.log(`Cleared ${clearedCount} stress messages in ${clearMs}ms`);
+        this.emitStressChange();
+        return { clearedCount, clearMs };
+    }
+
+    dispatchMessageDeleteBulk(channelId, messageIds) {
+        if (!messageIds.length) return;
+        if (!this.dispatcher?.dispatch) {
+            for (const messageId of messageIds) this.dispatchMessageDelete(channelId, messageId);
+            return;
+        }
+        this.dispatcher.dispatch({ type: "MESSAGE_DELETE_BULK", ids: messageIds, channelId });
+        this.releaseMessageIds(messageIds);
+        for (const messageId of messageIds) this.emit("removed", { channelId, messageId });
+    }
+
+    buildStressMessages(channelId, count, options = {}) {
+        const random = this.createSeededRandom(options.seed ?? Date.now());
+        const pick = (list) => list[Math.floor(random() * list.length)];
+        const authors = this.getStressAuthors();
+        const embedRatio = Number.isFinite(options.embedRatio) ? options.embedRatio : STRESS_EMBED_RATIO;
+        const messageIds = this.allocateMessageIds(channelId, count);
+
+        // Oldest first, so the last generated message lands at the bottom.
+        const gaps = Array.from({ length: count }, () =>
+            random() < 0.8 ? Math.floor(random() * GROUPED_MESSAGE_GAP_MS) : UNGROUPED_MESSAGE_GAP_MS
+        );
+        let cursor = Date.now() - gaps.reduce((total, gap) => total + gap, 0);
+
+        return gaps.map((gap, index) => {
+            cursor += gap;
+            const roll = random();
+            // Mostly short chatter, some markdown and the occasional wall of text.
+            const sentences = roll < 0.85 ? 1 + Math.floor(random() * 3) : 12 + Math.floor(random() * 20);
+            const content = roll < 0.25 ? pick(STRESS_MARKDOWN_SAMPLES) : this.buildLoremText(random, sentences);
+            const embeds =
+                random() < embedRatio
+                    ? [
+                          this.createEmbedEntry({
+                              type: "rich",
+                              title: this.buildLoremText(random, 1).slice(0, 60),
+                              description: this.buildLoremText(random, 1 + Math.floor(random() * 4)),
+                              color: pick(COLOR_SWATCHES),
+                              fields:
+                                  random() < 0.5
+                                      ? [
+                                            { name: "Field", value: this.buildLoremText(random, 1), inline: true },
+                                            { name: "Other", value: this.buildLoremText(random, 1), inline: true }
+                                        ]
+                                      : [],
+                              footerText: `Stress message ${index + 1}`
+                          })
+                      ]
+                    : [];
+            const entry = this.createMessageEntry({ content, embeds });
+            return this.composeFakeMessage(
+                channelId,
+                entry,
+                pick(authors),
+                messageIds[index],
+                new Date(cursor).toISOString()
+            );
+        });
+    }
+
+    // Personas, cached users and the current user, so avatars and names vary
+    // without any lookups during the run. Other real users need the acknowledgement.
+    getStressAuthors() {
+        const authors = (this.config.personas ?? []).map((persona) => this.buildPersonaAuthor(persona));
+        for (const [userId, user] of this.userCache) {
+            if (!this.config.impersonationAcknowledged && this.isOtherRealUser(userId)) continue;
+            authors.push(this.buildAuthor(user, userId));
+        }
+        const currentUser = this.userStore?.getCurrentUser?.();
+        if (currentUser?.id) authors.push(this.buildAuthor(currentUser, currentUser.id));
+        return authors.length ? authors : [this.buildAuthor(null, "0")];
+    }
+
+    buildLoremText(random, sentences) {
+        const parts = [];
+        for (let sentence = 0; sentence < sentences; sentence++) {
+            const length = 4 + Math.floor(random() * 12);
+            const words = Array.from({ length }, () => LOREM_WORDS[Math.floor(random() * LOREM_WORDS.length)]);
+            words[0] = words[0][0].toUpperCase() + words[0].slice(1);
+            parts.push(`${words.join(" ")}.`);
+        }
+        return parts.join(" ");
+    }
+
+    // mulberry32: small and fast, and a fixed seed reproduces a run exactly.
+    createSeededRandom(seed) {
+        let state = Math.floor(seed) >>> 0;
+        return () => {
+            state = (state + 0x6d2b79f5) >>> 0;
+            let value = state;
+            value = Math.imul(value ^ (value >>> 15), value | 1);
+            value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+            return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    now() {
+        return typeof performance !== "undefined" && performance.now ? performance.now() : Date.now();
+    }
+
+    // ------------------------------------------------------------------
+    // Channel directory
+    // ------------------------------------------------------------------
+
+    getGuildList() {
+        const guilds = this.guildStore?.getGuilds?.() ?? {};
+        return (Array.isArray(guilds) ? guilds : Object.values(guilds))
+            .filter((guild) => guild?.id)
+            .sort((a, b) => (a.name ?? "").localeCompare(b.name ?? ""));
+    }
+
+    getGuildIconUrl(guild) {
+        if (!guild?.icon) return null;
+        const format = guild.icon.startsWith("a_") ? "gif" : "png";
+        return `https://cdn.discordapp.com/icons/${guild.id}/${guild.icon}.${format}?size=64`;
+    }
+
+    getChannelIconUrl(channel) {
+        if (channel?.type === 1) {
+            const [recipient] = channel.recipients ?? channel.rawRecipients ?? [];
+            const user = typeof recipient === "string" ? this.userStore?.getUser?.(recipient) : recipient;
+            return user ? this.getAvatarUrl(user) : null;
+        }
+        if (channel?.type === 3 && channel.icon) {
+            return `https://cdn.discordapp.com/channel-icons/${channel.id}/${channel.icon}.png?size=64`;
+        }
+        return null;
+    }
+
+    /**
+     * A guild's channels in sidebar order: loose channels first, then each
+     * category with its channels, every channel followed by its threads.
+     * Forum channels are listed so their posts have a parent, but cannot be
+     * picked themselves.
+     */
+    getGuildChannelTree(guildId) {
+        const channels = Object.values(this.channelStore?.getMutableGuildChannelsForGuild?.(guildId) ?? {});
+        const parentOf = (channel) => channel.parent_id ?? channel.parentId ?? null;
+        const byPosition = (a, b) => (a.position ?? 0) - (b.position ?? 0) || (a.name ?? "").localeCompare(b.name ?? "");
+        const threadsOf = (parent) =>
+            (
+                this.channelStore?.getAllThreadsForParent?.(parent.id) ??
+                channels.filter((channel) => THREAD_CHANNEL_TYPES.includes(channel.type) && parentOf(channel) === parent.id)
+            ).filter((thread) => thread && this.getChannelKind(thread));
+        const listed = channels
+            .filter((channel) => !THREAD_CHANNEL_TYPES.includes(channel.type))
+            .filter((channel) => this.getChannelKind(channel) || FORUM_CHANNEL_TYPES.includes(channel.type));
+
+        const rows = [];
+        const pushChannel = (channel, depth) => {
+            rows.push({ channel, depth });
+            for (const thread of threadsOf(channel)) rows.push({ channel: thread, depth: depth + 1 });
+        };
+        for (const channel of listed.filter((candidate) => !parentOf(candidate)).sort(byPosition)) {
+            pushChannel(channel, 0);
+        }
+        const categories = channels.filter((channel) => channel.type === CATEGORY_CHANNEL_TYPE).sort(byPosition);
+        for (const category of categories) {
+            const children = listed.filter((channel) => parentOf(channel) === category.id).sort(byPosition);
+            if (!children.length) continue;
+            rows.push({ channel: category, depth: 0 });
+            for (const child of children) pushChannel(child, 1);
+        }
+        return rows;
+    }
+
+    toDirectoryRow(channel, depth) {
+        const kind = this.getChannelKind(channel);
+        const name = this.getChannelDisplayName(channel) || channel.id;
+        return {
+            type: channel.type === CATEGORY_CHANNEL_TYPE ? "category" : "channel",
+            id: channel.id,
+            label: channel.type === CATEGORY_CHANNEL_TYPE ? name.toUpperCase() : `${CHANNEL_GLYPHS[kind] ?? "#"}${name}`,
+            depth,
+            selectable: !!kind,
+            iconUrl: this.getChannelIconUrl(channel)
+        };
+    }
+
+    /**
+     * Rows for the channel picker: recent DMs, then every guild with its
+     * categories, channels and threads. A query matches names and IDs; a
+     * matching guild keeps all its channels, otherwise only matches and the
+     * rows above them survive. Capped at CHANNEL_PICKER_RESULT_LIMIT rows.
+     */
+    searchChannelDirectory(queryRaw = "") {
+        const query = String(queryRaw ?? "").trim().toLowerCase();
+        const matches = (...values) => !query || values.some((value) => String(value ?? "").toLowerCase().includes(query));
+        const rows = [];
+
+        const dms = (this.channelStore?.getSortedPrivateChannels?.() ?? [])
+            .slice(0, CHANNEL_PICKER_DM_LIMIT)
+            .filter((channel) => matches(this.getChannelDisplayName(channel), channel.id));
+        if (dms.length) {
+            rows.push({ type: "heading", id: "private", label: "Direct messages", depth: 0, selectable: false });
+            for (const channel of dms) rows.push(this.toDirectoryRow(channel, 1));
+        }
+
+        for (const guild of this.getGuildList()) {
+            const tree = this.getGuildChannelTree(guild.id);
+            const keep = new Set();
+            if (matches(guild.name, guild.id)) {
+                tree.forEach((_, index) => keep.add(index));
+            } else {
+                tree.forEach((row, index) => {
+                    if (!matches(row.channel.name, row.channel.id)) return;
+                    keep.add(index);
+                    for (let depth = row.depth, back = index - 1; depth > 0 && back >= 0; back--) {
+                        if (tree[back].depth < depth) {
+                            keep.add(back);
+                            depth = tree[back].depth;
+                        }
+                    }
+                });
+            }
+            if (!keep.size) continue;
+            rows.push({
+                type: "guild",
+                id: guild.id,
+                label: guild.name ?? guild.id,
+                depth: 0,
+                selectable: false,
+                iconUrl: this.getGuildIconUrl(guild)
+            });
+            tree.forEach((row, index) => {
+                if (keep.has(index)) rows.push(this.toDirectoryRow(row.channel, row.depth + 1));
+            });
+        }
+
+        return { rows: rows.slice(0, CHANNEL_PICKER_RESULT_LIMIT), truncated: rows.length > CHANNEL_PICKER_RESULT_LIMIT };
+    }
+
+    searchGuildDirectory(queryRaw = "") {
+        const query = String(queryRaw ?? "").trim().toLowerCase();
+        const rows = this.getGuildList()
+            .filter((guild) => !query || `${guild.name ?? ""} ${guild.id}`.toLowerCase().includes(query))
+            .map((guild) => ({
+                type: "guild",
+                id: guild.id,
+                label: guild.name ?? guild.id,
+                depth: 0,
+                selectable: true,
+                iconUrl: this.getGuildIconUrl(guild)
+            }));
+        return { rows: rows.slice(0, CHANNEL_PICKER_RESULT_LIMIT), truncated: rows.length > CHANNEL_PICKER_RESULT_LIMIT };
+    }
+
+    // How a saved channel ID reads in the panel; `accessible` is false once the client no longer knows it.
+    describeChannelId(channelId) {
+        const channel = this.channelStore?.getChannel?.(channelId) ?? null;
+        if (!channel) return { id: channelId, accessible: false, label: channelId };
+        const name = `${CHANNEL_GLYPHS[this.getChannelKind(channel)] ?? "#"}${this.getChannelDisplayName(channel) || channelId}`;
+        if (!channel.guild_id) return { id: channelId, accessible: true, label: name };
+        const guild = this.guildStore?.getGuild?.(channel.guild_id) ?? null;
+        return { id: channelId, accessible: !!guild, label: guild ? `${name} in ${guild.name}` : name };
+    }
+
+    describeGuildId(guildId) {
+        const guild = this.guildStore?.getGuild?.(guildId) ?? null;
+        return { id: guildId, accessible: !!guild, label: guild?.name ?? guildId };
+    }
+
+    // ------------------------------------------------------------------
+    // Public API
+    // ------------------------------------------------------------------
+
+    /**
+     * Injects a labelled local fixture for another plugin. `spec` takes the
+     * same fields as a scenario message (content, embeds, attachments,
+     * reactions, components, discordId or personaId), plus optional `author`
+     * ({ id, username, ... }), `timestamp` and `placement` ({ mode, messageId },
+     * as on scenarios). Without an author the message is shown as the current user.
+     *
+     * Resolves to a handle with `update(patch)` and `remove()`. The marker and
+     * LOCAL FAKE badge are always applied, and every handle is removed on stop().
+     */
+    async inject(channelIdRaw, spec = {}) {
+        if (!this.started) throw new Error("FakeMessageComposer is not running.");
+        this.assertBadgeAvailable();
+        if (!this.isSnowflake(channelIdRaw?.toString())) throw new Error("inject() needs a channel ID.");
+        if (!spec || typeof spec !== "object") throw new Error("inject() needs a message spec object.");
+
+        const channelId = channelIdRaw.toString().trim();
+        const [messageId] = this.allocateMessageIds(channelId, 1, this.normalizePlacement(spec.placement));
+        const record = {
+            channelId,
+            slot: this.createLocalId("api"),
+            messageId,
+            timestamp: this.isValidTimestamp(spec.timestamp) ? spec.timestamp : new Date().toISOString(),
+            spec,
+            message: null
+        };
+        try {
+            record.message = await this.buildApiMessage(record);
+            if (!this.started) throw new Error("FakeMessageComposer stopped while injecting.");
+            this.assertBadgeAvailable();
+        } catch (error) {
+            this.releaseMessageIds([messageId]);
+            throw error;
+        }
+
+        this.apiMessages.set(record.message.id, record);
+        if (!this.injectFakeMessage(record.message)) {
+            this.apiMessages.delete(record.message.id);
+            this.releaseMessageIds([messageId]);
+            throw new Error(
+                this.badgeFailure
+                    ? `Refusing to inject: ${this.badgeFailure}`
+                    : "Showing another real user needs the acknowledgement in the settings."
+            );
+        }
+        return this.createApiHandle(record);
+    }
+
+    createApiHandle(record) {
+        const id = record.message.id;
+        const isRemoved = () => this.apiMessages.get(id) !== record;
+        return Object.freeze({
+            id,
+            channelId: record.channelId,
+            get message() {
+                return record.message;
+            },
+            get removed() {
+                return isRemoved();
+            },
+            // Shallow-merges into the spec and re-renders the same message in
+            // place; pass { edited: true } to show it as edited. A failed
+            // build leaves both the spec and the message as they were.
+            update: async (patch = {}, options = {}) => {
+                if (isRemoved()) throw new Error("This injected message was already removed.");
+                const spec = { ...record.spec, ...patch };
+                const message = await this.buildApiMessage({ ...record, spec });
+                if (isRemoved()) return record.message;
+                record.spec = spec;
+                record.message = { ...message, edited_timestamp: options.edited ? new Date().toISOString() : null };
+                this.dispatchMessageUpdate(record.message);
+                return record.message;
+            },
+            remove: () => {
+                if (isRemoved()) return false;
+                this.apiMessages.delete(id);
+                this.dispatchMessageDelete(record.channelId, id);
+                return true;
+            }
+        });
+    }
+
+    async buildApiMessage(record) {
+        const { author: authorOverride, ...fields } = record.spec;
+        const [entry] = this.normalizeMessages([{ ...fields, id: record.slot }]);
+        let author;
+        if (authorOverride && typeof authorOverride === "object" && authorOverride.id) {
+            author = this.buildAuthor(authorOverride, String(authorOverride.id));
+        } else if (entry.authorType === "persona" && this.findPersona(entry.personaId)) {
+            author = this.buildPersonaAuthor(this.findPersona(entry.personaId));
+        } else {
+            const userId = this.isSnowflake(entry.discordId)
+                ? entry.discordId.trim()
+                : this.userStore?.getCurrentUser?.()?.id;
+            author = this.buildAuthor(await this.fetchUser(userId), userId ?? "0");
+        }
+        return this.composeFakeMessage(record.channelId, entry, author, record.messageId, record.timestamp);
+    }
+
+    removeApiMessages() {
+        for (const [messageId, record] of Array.from(this.apiMessages)) {
+            this.apiMessages.delete(messageId);
+            this.dispatchMessageDelete(record.channelId, messageId);
+        }
+    }
+
+    /**
+     * Subscribes to "injected", "updated" and "removed" events for every local
+     * message, whether it came from a scenario, a timeline, a stress run or
+     * inject(). Listeners receive { channelId, messageId, message? }. Returns
+     * an unsubscribe function.
+     */
+    on(event, listener) {
+        if (!PLUGIN_EVENTS.includes(event)) throw new Error(`Unknown event "${event}".`);
+        if (!this.eventListeners.has(event)) this.eventListeners.set(event, new Set());
+        this.eventListeners.get(event).add(listener);
+        return () => this.off(event, listener);
+    }
+
+    off(event, listener) {
+        this.eventListeners.get(event)?.delete(listener);
+    }
+
+    emit(event, payload) {
+        for (const listener of Array.from(this.eventListeners.get(event) ?? [])) {
+            try {
+                listener(payload);
+            } catch (error) {
+                this.warn(`"${event}" listener failed`, error);
+            }
+        }
+    }
+
+    // ------------------------------------------------------------------
+    // Settings UI
+    // ------------------------------------------------------------------
+
+    getSettingsPanel() {
+        const plugin = this;
+        const React = this.React ?? kettu?.Modules?.common?.React;
+        const RN = this.ReactNative ?? kettu?.Modules?.common?.ReactNative;
+        if (!React) return () => null;
+
+        const primitives = this.getUiPrimitives(React, RN);
+
+        // Discord's component can throw on a message it did not create itself;
+        // the preview then falls back instead of taking the panel down with it.
+        const PreviewBoundary = React.Component
+            ? class FakeMessagePreviewBoundary extends React.Component {
+                  constructor(props) {
+                      super(props);
+                      this.state = { failed: false };
+                  }
+
+                  static getDerivedStateFromError() {
+                      return { failed: true };
+                  }
+
+                  componentDidCatch(error) {
+                      plugin.warn("Discord's message component failed in the preview", error);
+                  }
+
+                  render() {
+                      return this.state.failed ? this.props.fallback : this.props.children;
+                  }
+              }
+            : null;
+
+        const formatPreviewTime = (timestamp) => {
+            const date = new Date(timestamp);
+            return `Today at ${String(date.getHours()).padStart(2, "0")}:${String(date.getMinutes()).padStart(2, "0")}`;
+        };
+
+        const FallbackMessage = function FakeMessageFallbackMessage({ message }) {
+            const author = message.author;
+            const avatar = plugin.getAvatarUrl(author);
+            const impersonated = plugin.isImpersonatedAuthor(author);
+            const text = (value, style = primitives.styles.text, key = undefined) =>
+                React.createElement(primitives.Text, { key, style }, value);
+
+            const replyLine =
+                message.type === 19
+                    ? text(
+                          message.referenced_message
+                              ? `Replying to ${message.referenced_message.author?.username ?? "someone"}: ` +
+                                    `${(message.referenced_message.content ?? "").slice(0, 60)}`
+                              : message.referenced_message === null
+                                ? "Original message was deleted"
+                                : "Original message is not loaded",
+                          primitives.styles.muted
+                      )
+                    : null;
+
+            const embeds = message.embeds.map((embed, index) =>
+                React.createElement(
+                    primitives.View,
+                    { key: `embed-${index}`, style: primitives.styles.previewEmbed },
+                    React.createElement(primitives.View, {
+                        style: {
+                            width: 4,
+                            alignSelf: "stretch",
+                            borderRadius: 2,
+                            marginRight: 8,
+                            backgroundColor: `#${(embed.color ?? 0x202225).toString(16).padStart(6, "0")}`
+                        }
+                    }),
+                    React.createElement(
+                        primitives.View,
+                        { style: { flex: 1 } },
+                        embed.author?.name ? text(embed.author.name, primitives.styles.label) : null,
+                        embed.title ? text(embed.title, primitives.styles.previewTitle) : null,
+                        embed.description ? text(embed.description) : null,
+                        (embed.fields ?? []).map((field, fieldIndex) =>
+                            React.createElement(
+                                primitives.View,
+                                { key: `field-${fieldIndex}` },
+                                text(field.name, primitives.styles.label),
+                                text(field.value)
+                            )
+                        ),
+                        embed.image?.url || embed.thumbnail?.url
+                            ? React.createElement(primitives.Image, {
+                                  source: { uri: embed.image?.url ?? embed.thumbnail.url },
+                                  style: primitives.styles.previewMedia
+                              })
+                            : null,
+                        embed.footer?.text ? text(embed.footer.text, primitives.styles.muted) : null
+                    )
+                )
+            );
+
+            const attachments = message.attachments.map((attachment) =>
+                attachment.content_type?.startsWith("image/")
+                    ? React.createElement(primitives.Image, {
+                          key: attachment.id,
+                          source: { uri: attachment.url },
+                          style: primitives.styles.previewMedia
+                      })
+                    : text(`[file] ${attachment.filename}`, primitives.styles.muted, attachment.id)
+            );
+
+            const components = message.components.map((row, rowIndex) =>
+                React.createElement(
+                    primitives.View,
+                    { key: `row-${rowIndex}`, style: primitives.styles.chipRow },
+                    (row.components ?? []).map((component, index) =>
+                        text(
+                            component.type === COMPONENT_TYPES.BUTTON
+                                ? component.label || component.emoji?.name || "Button"
+                                : component.placeholder || "Make a selection",
+                            primitives.styles.previewChip,
+                            `component-${index}`
+                        )
+                    )
+                )
+            );
+
+            const reactions = message.reactions.length
+                ? React.createElement(
+                      primitives.View,
+                      { style: primitives.styles.chipRow },
+                      message.reactions.map((reaction, index) =>
+                          text(
+                              `${reaction.emoji.id ? `:${reaction.emoji.name}:` : reaction.emoji.name} ${reaction.count}`,
+                              reaction.me ? primitives.styles.previewChipSelected : primitives.styles.previewChip,
+                              `reaction-${index}`
+                          )
+                      )
+                  )
+                : null;
+
+            return React.createElement(
+                primitives.View,
+                {
+                    style: impersonated ? primitives.styles.previewImpersonationMessage : primitives.styles.previewMessage
+                },
+                replyLine,
+                React.createElement(
+                    primitives.View,
+                    { style: primitives.styles.previewRow },
+                    avatar
+                        ? React.createElement(primitives.Image, {
+                              source: { uri: avatar },
+                              style: primitives.styles.avatar
+                          })
+                        : null,
+                    React.createElement(
+                        primitives.View,
+                        { style: { flex: 1 } },
+                        React.createElement(
+                            primitives.View,
+                            { style: primitives.styles.inlineButtons },
+                            text(author.global_name ?? author.username, primitives.styles.previewTitle),
+                            author.bot ? text("APP", primitives.styles.previewTag) : null,
+                            text(formatPreviewTime(message.timestamp), primitives.styles.previewTime),
+                            // Drawn whatever got patched: the accessory banner never reaches this preview.
+                            impersonated
+                                ? text(IMPERSONATION_BADGE_TEXT, primitives.styles.previewImpersonationBadge)
+                                : text(LOCAL_BADGE_TEXT, primitives.styles.previewBadge)
+                        ),
+                        message.content ? text(message.content) : null
+                    )
+                ),
+                attachments,
+                embeds,
+                components,
+                reactions
+            );
+        };
+
+        const MessagePreview = function FakeMessageMessagePreview({ entry, siblings, personas }) {
+            const [message, setMessage] = React.useState(null);
+
+            React.useEffect(() => {
+                let cancelled = false;
+                plugin
+                    .buildPreviewMessage(entry, siblings)
+                    .then((built) => {
+                        if (!cancelled) setMessage(built);
+                    })
+                    .catch((error) => {
+                        plugin.warn("Failed to build preview", error);
+                        if (!cancelled) setMessage(null);
+                    });
+                return () => {
+                    cancelled = true;
+                };
+            }, [entry, siblings, personas]);
+
+            if (!message) {
+                return React.createElement(
+                    primitives.Text,
+                    { style: primitives.styles.muted },
+                    "Pick an author to see a preview."
+                );
+            }
+
+            const fallback = React.createElement(FallbackMessage, { message });
+            const renderer = plugin.findMessageRenderer();
+            if (!renderer || !PreviewBoundary) return fallback;
+
+            let record = null;
+            try {
+                record = renderer.createRecord(message);
+                // The timestamp badge keys off these flags, so keep them on the record.
+                record.__fakeMessageComposer = true;
+                record.__fakeMessageComposerImpersonation = plugin.isImpersonatedAuthor(message.author);
+            } catch (error) {
+                plugin.warn("Failed to create a message record for the preview", error);
+                return fallback;
+            }
+            return React.createElement(
+                PreviewBoundary,
+                { key: message.id, fallback },
+                React.createElement(renderer.Component, {
+                    id: `fake-message-preview-${message.id}`,
+                    message: record,
+                    channel: plugin.channelStore?.getChannel?.(message.channel_id) ?? null,
+                    groupId: message.id,
+                    compact: false
+                })
+            );
+        };
+
+        const AuthorPreview = function FakeMessageAuthorPreview({ discordId }) {
+            const [previewState, setPreviewState] = React.useState({ status: "idle", user: null });
+
+            React.useEffect(() => {
+                let cancelled = false;
+                (async () => {
+                    if (!plugin.isSnowflake(discordId)) {
+                        setPreviewState({ status: "invalid", user: null });
+                        return;
+                    }
+                    setPreviewState({ status: "loading", user: null });
+                    const user = await plugin.fetchUser(discordId.trim());
+                    if (cancelled) return;
+                    setPreviewState({
+                        status: user?.username ? "resolved" : "fallback",
+                        user
+                    });
+                })();
+                return () => {
+                    cancelled = true;
+                };
+            }, [discordId]);
+
+            const { user, status } = previewState;
+            if (status === "loading") {
+                return React.createElement(
+                    primitives.Text,
+                    { style: primitives.styles.muted },
+                    "Resolving user..."
+                );
+            }
+            if (status === "invalid") {
+                return React.createElement(
+                    primitives.Text,
+                    { style: primitives.styles.warning },
+                    "Enter a numeric Discord ID."
+                );
+            }
+            if (!user?.id) {
+                return React.createElement(
+                    primitives.Text,
+                    { style: primitives.styles.muted },
+                    discordId ? `Using ID: ${discordId}` : "No user selected."
+                );
+            }
+
+            const avatar = plugin.getAvatarUrl(user);
+            return React.createElement(
+                primitives.View,
+                { style: primitives.styles.previewRow },
+                avatar
+                    ? React.createElement(primitives.Image, {
+                          source: { uri: avatar },
+                          style: primitives.styles.avatar
+                      })
+                    : null,
+                React.createElement(
+                    primitives.View,
+                    null,
+                    React.createElement(
+                        primitives.Text,
+                        { style: primitives.styles.previewTitle },
+                        plugin.getDisplayName(user)
+                    ),
+                    React.createElement(
+                        primitives.Text,
+                        { style: primitives.styles.muted },
+                        `ID: ${user.id}`
+                    )
+                )
+            );
+        };
+
+        const PersonaPicker = function FakeMessagePersonaPicker({ personas, selectedId, onSelect }) {
+            if (!personas.length) {
+                return React.createElement(
+                    primitives.Text,
+                    { style: primitives.styles.warning },
+                    "Create a persona below to use it as an author."
+                );
+            }
+            return React.createElement(
+                primitives.View,
+                { style: primitives.styles.chipRow },
+                personas.map((persona) =>
+                    React.createElement(
+                        primitives.Button,
+                        {
+                            key: persona.id,
+                            style:
+                                persona.id === selectedId
+                                    ? primitives.styles.chipSelected
+                                    : primitives.styles.chip,
+                            textStyle: primitives.styles.buttonTextDark,
+                            onPress: () => onSelect(persona.id)
+                        },
+                        persona.name || "Unnamed Persona"
+                    )
+                )
+            );
+        };
+
+        const EmbedEditor = function FakeMessageEmbedEditor({ embed, index, onChange, onRemove }) {
+            const rich = embed.type === "rich";
+            const input = (key, placeholder, extra = {}) =>
+                React.createElement(primitives.TextInput, {
+                    style: primitives.styles.input,
+                    placeholder,
+                    autoCapitalize: "none",
+                    autoCorrect: false,
+                    value: embed[key],
+                    onChangeText: (text) => onChange({ [key]: text }),
+                    ...extra
+                });
+            const subLabel = (text) =>
+                React.createElement(primitives.Text, { style: primitives.styles.muted }, text);
+
+            const updateField = (fieldIndex, patch) => {
+                const fields = embed.fields.slice();
+                fields[fieldIndex] = { ...fields[fieldIndex], ...patch };
+                onChange({ fields });
+            };
+            const removeField = (fieldIndex) => {
+                const fields = embed.fields.slice();
+                fields.splice(fieldIndex, 1);
+                onChange({ fields });
+            };
+
+            const richEditors = rich
+                ? [
+                      React.createElement(primitives.MultiLineInput, {
+                          key: "description",
+                          style: primitives.styles.textArea,
+                          multiline: true,
+                          numberOfLines: 3,
+                          placeholder: "Description (Markdown supported)",
+                          value: embed.description,
+                          onChangeText: (text) => onChange({ description: text })
+                      }),
+                      React.createElement(
+                          primitives.View,
+                          { key: "color" },
+                          subLabel("Colour"),
+                          React.createElement(primitives.ColorInput, {
+                              value: embed.color,
+                              onChange: (color) => onChange({ color })
+                          })
+                      ),
+                      React.createElement(
+                          primitives.View,
+                          { key: "author" },
+                          subLabel("Author"),
+                          input("authorName", "Author name"),
+                          input("authorUrl", "Author URL"),
+                          input("authorIconUrl", "Author icon URL")
+                      ),
+                      React.createElement(
+                          primitives.View,
+                          { key: "fields" },
+                          subLabel(`Fields (${embed.fields.length}/${EMBED_LIMITS.fields})`),
+                          embed.fields.map((field, fieldIndex) =>
+                              React.createElement(
+                                  primitives.View,
+                                  { key: `field-${fieldIndex}`, style: primitives.styles.embedCard },
+                                  React.createElement(primitives.TextInput, {
+                                      style: primitives.styles.input,
+                                      placeholder: "Field name",
+                                      value: field.name,
+                                      onChangeText: (text) => updateField(fieldIndex, { name: text })
+                                  }),
+                                  React.createElement(primitives.MultiLineInput, {
+                                      style: primitives.styles.textArea,
+                                      multiline: true,
+                                      numberOfLines: 2,
+                                      placeholder: "Field value",
+                                      value: field.value,
+                                      onChangeText: (text) => updateField(fieldIndex, { value: text })
+                                  }),
+                                  React.createElement(
+                                      primitives.Row,
+                                      { style: primitives.styles.switchRow },
+                                      React.createElement(
+                                          primitives.Text,
+                                          { style: primitives.styles.label },
+                                          "Inline"
+                                      ),
+                                      React.createElement(primitives.Switch, {
+                                          value: field.inline,
+                                          onValueChange: (value) => updateField(fieldIndex, { inline: value })
+                                      })
+                                  ),
+                                  React.createElement(
+                                      primitives.Button,
+                                      {
+                                          style: primitives.styles.removeButton,
+                                          textStyle: primitives.styles.buttonTextLight,
+                                          onPress: () => removeField(fieldIndex)
+                                      },
+                                      "Remove Field"
+                                  )
+                              )
+                          ),
+                          embed.fields.length < EMBED_LIMITS.fields
+                              ? React.createElement(
+                                    primitives.Button,
+                                    {
+                                        style: primitives.styles.addButton,
+                                        textStyle: primitives.styles.buttonTextDark,
+                                        onPress: () =>
+                                            onChange({ fields: [...embed.fields, { name: "", value: "", inline: false }] })
+                                    },
+                                    "Add Field"
+                                )
+                              : null
+                      ),
+                      React.createElement(
+                          primitives.View,
+                          { key: "media" },
+                          subLabel("Media"),
+                          input("thumbnailUrl", "Thumbnail URL"),
+                          input("imageUrl", "Image URL")
+                      ),
+                      React.createElement(
+                          primitives.View,
+                          { key: "footer" },
+                          subLabel("Footer"),
+                          input("footerText", "Footer text", { autoCapitalize: "sentences", autoCorrect: true }),
+                          input("footerIconUrl", "Footer icon URL"),
+                          React.createElement(
+                              primitives.Row,
+                              null,
+                              React.createElement(
+                                  primitives.View,
+                                  { style: { flex: 1 } },
+                                  input("timestamp", "Timestamp (ISO 8601)")
+                              ),
+                              React.createElement(
+                                  primitives.Button,
+                                  {
+                                      style: primitives.styles.smallButton,
+                                      textStyle: primitives.styles.buttonTextDark,
+                                      onPress: () => onChange({ timestamp: new Date().toISOString() })
+                                  },
+                                  "Now"
+                              )
+                          )
+                      )
+                  ]
+                : null;
+
+            return React.createElement(
+                primitives.View,
+                { style: primitives.styles.embedCard },
+                React.createElement(
+                    primitives.Row,
+                    { style: primitives.styles.switchRow },
+                    React.createElement(
+                        primitives.Text,
+                        { style: primitives.styles.label },
+                        `Embed ${index + 1}`
+                    ),
+                    React.createElement(
+                        primitives.Row,
+                        { style: primitives.styles.inlineButtons },
+                        React.createElement(
+                            primitives.Text,
+                            { style: primitives.styles.muted },
+                            "Rich"
+                        ),
+                        React.createElement(primitives.Switch, {
+                            value: rich,
+                            onValueChange: (value) => onChange({ type: value ? "rich" : "link" })
+                        })
+                    )
+                ),
+                input("title", rich ? "Title" : "Label", { autoCapitalize: "sentences", autoCorrect: true }),
+                input("url", "https://example.com"),
+                richEditors,
+                plugin.validateEmbed(embed).map((issue, issueIndex) =>
+                    React.createElement(
+                        primitives.Text,
+                        { key: `issue-${issueIndex}`, style: primitives.styles.warning },
+                        issue
+                    )
+                ),
+                React.createElement(
+                    primitives.Button,
+                    {
+                        style: primitives.styles.removeButton,
+                        textStyle: primitives.styles.buttonTextLight,
+                        onPress: onRemove
+                    },
+                    "Remove Embed"
+                )
+            );
+        };
+
+        const AttachmentEditor = function FakeMessageAttachmentEditor({ attachment, index, onChange, onRemove }) {
+            const numeric = (key, placeholder) =>
+                React.createElement(primitives.TextInput, {
+                    style: primitives.styles.input,
+                    placeholder,
+                    keyboardType: "numeric",
+                    value: attachment[key] ? String(attachment[key]) : "",
+                    onChangeText: (text) => onChange({ [key]: Number(text.replace(/\D/g, "")) || 0 })
+                });
+            const isImage = /^image\//i.test(attachment.contentType) && plugin.isLocalAttachmentUrl(attachment.url);
+
+            return React.createElement(
+                primitives.View,
+                { style: primitives.styles.embedCard },
+                React.createElement(
+                    primitives.View,
+                    { style: primitives.styles.previewRow },
+                    isImage
+                        ? React.createElement(primitives.Image, {
+                              source: { uri: attachment.url },
+                              style: primitives.styles.attachmentThumb
+                          })
+                        : null,
+                    React.createElement(
+                        primitives.Text,
+                        { style: primitives.styles.label },
+                        attachment.filename || `Attachment ${index + 1}`
+                    )
+                ),
+                React.createElement(primitives.TextInput, {
+                    style: primitives.styles.input,
+                    placeholder: "Filename (e.g. screenshot.png)",
+                    autoCapitalize: "none",
+                    autoCorrect: false,
+                    value: attachment.filename,
+                    onChangeText: (text) => onChange({ filename: text })
+                }),
+                React.createElement(primitives.TextInput, {
+                    style: primitives.styles.input,
+                    placeholder: "Content type (e.g. image/png)",
+                    autoCapitalize: "none",
+                    autoCorrect: false,
+                    value: attachment.contentType,
+                    onChangeText: (text) => onChange({ contentType: text })
+                }),
+                React.createElement(primitives.TextInput, {
+                    style: primitives.styles.input,
+                    placeholder: "data: or blob: URL",
+                    autoCapitalize: "none",
+                    autoCorrect: false,
+                    value: attachment.url,
+                    onChangeText: (text) => onChange({ url: text })
+                }),
+                attachment.url && !plugin.isLocalAttachmentUrl(attachment.url)
+                    ? React.createElement(
+                          primitives.Text,
+                          { style: primitives.styles.warning },
+                          "Only local data: or blob: URLs are used; this attachment is skipped."
+                      )
+                    : null,
+                numeric("size", "Size in bytes (auto when empty)"),
+                React.createElement(
+                    primitives.Row,
+                    null,
+                    React.createElement(primitives.View, { style: { flex: 1, marginRight: 6 } }, numeric("width", "Width")),
+                    React.createElement(primitives.View, { style: { flex: 1 } }, numeric("height", "Height"))
+                ),
+                (attachment.size || plugin.estimateDataUrlSize(attachment.url)) > ATTACHMENT_SIZE_WARNING_BYTES
+                    ? React.createElement(
+                          primitives.Text,
+                          { style: primitives.styles.warning },
+                          "Large attachments are stored inline and may exceed local storage limits."
+                      )
+                    : null,
+                React.createElement(
+                    primitives.Row,
+                    { style: primitives.styles.switchRow },
+                    React.createElement(primitives.Text, { style: primitives.styles.label }, "Spoiler"),
+                    React.createElement(primitives.Switch, {
+                        value: attachment.spoiler,
+                        onValueChange: (value) => onChange({ spoiler: value })
+                    })
+                ),
+                React.createElement(
+                    primitives.Button,
+                    {
+                        style: primitives.styles.removeButton,
+                        textStyle: primitives.styles.buttonTextLight,
+                        onPress: onRemove
+                    },
+                    "Remove Attachment"
+                )
+            );
+        };
+
+        const ReactionEditor = function FakeMessageReactionEditor({ reaction, index, onChange, onRemove }) {
+            const custom = plugin.isSnowflake(reaction.emojiId);
+            const numeric = (key, placeholder) =>
+                React.createElement(primitives.TextInput, {
+                    style: primitives.styles.input,
+                    placeholder,
+                    keyboardType: "numeric",
+                    value: String(reaction[key] ?? 0),
+                    onChangeText: (text) => onChange({ [key]: Number(text.replace(/\D/g, "")) || 0 })
+                });
+            const toggle = (key, label) =>
+                React.createElement(
+                    primitives.Row,
+                    { style: primitives.styles.switchRow },
+                    React.createElement(primitives.Text, { style: primitives.styles.label }, label),
+                    React.createElement(primitives.Switch, {
+                        value: reaction[key],
+                        onValueChange: (value) => onChange({ [key]: value })
+                    })
+                );
+
+            return React.createElement(
+                primitives.View,
+                { style: primitives.styles.embedCard },
+                React.createElement(
+                    primitives.Text,
+                    { style: primitives.styles.label },
+                    `Reaction ${index + 1}`
+                ),
+                React.createElement(primitives.TextInput, {
+                    style: primitives.styles.input,
+                    placeholder: custom ? "Custom emoji name (e.g. blobwave)" : "Emoji character or custom emoji name",
+                    autoCapitalize: "none",
+                    autoCorrect: false,
+                    value: reaction.emojiName,
+                    onChangeText: (text) => onChange({ emojiName: text })
+                }),
+                React.createElement(primitives.TextInput, {
+                    style: primitives.styles.input,
+                    placeholder: "Custom emoji ID (leave empty for unicode)",
+                    keyboardType: "numeric",
+                    value: reaction.emojiId,
+                    onChangeText: (text) => onChange({ emojiId: text })
+                }),
+                reaction.emojiId && !custom
+                    ? React.createElement(
+                          primitives.Text,
+                          { style: primitives.styles.warning },
+                          "Custom emoji IDs are snowflakes; this reaction is shown as unicode until then."
+                      )
+                    : null,
+                !reaction.emojiName.trim()
+                    ? React.createElement(
+                          primitives.Text,
+                          { style: primitives.styles.warning },
+                          "Set an emoji; reactions without one are skipped."
+                      )
+                    : null,
+                custom ? toggle("animated", "Animated emoji") : null,
+                React.createElement(
+                    primitives.Row,
+                    null,
+                    React.createElement(
+                        primitives.View,
+                        { style: { flex: 1, marginRight: 6 } },
+                        React.createElement(primitives.Text, { style: primitives.styles.muted }, "Count"),
+                        numeric("count", "Count")
+                    ),
+                    React.createElement(
+                        primitives.View,
+                        { style: { flex: 1 } },
+                        React.createElement(primitives.Text, { style: primitives.styles.muted }, "Super reactions"),
+                        numeric("burstCount", "Super reactions")
+                    )
+                ),
+                toggle("me", "Reacted by me"),
+                toggle("meBurst", "Super reacted by me"),
+                React.createElement(
+                    primitives.Button,
+                    {
+                        style: primitives.styles.removeButton,
+                        textStyle: primitives.styles.buttonTextLight,
+                        onPress: onRemove
+                    },
+                    "Remove Reaction"
+                )
+            );
+        };
+
+        const ReplyEditor = function FakeMessageReplyEditor({ reply, messages, selfId, onChange }) {
+            const kinds = [
+                ["none", "No reply"],
+                ["fixture", "Scenario message"],
+                ["message", "Channel message ID"]
+            ];
+            const toggle = (key, label) =>
+                React.createElement(
+                    primitives.Row,
+                    { style: primitives.styles.switchRow },
+                    React.createElement(primitives.Text, { style: primitives.styles.label }, label),
+                    React.createElement(primitives.Switch, {
+                        value: reply[key],
+                        onValueChange: (value) => onChange({ [key]: value })
+                    })
+                );
+            const chip = (key, selected, label, onPress) =>
+                React.createElement(
+                    primitives.Button,
+                    {
+                        key,
+                        style: selected ? primitives.styles.chipSelected : primitives.styles.chip,
+                        textStyle: primitives.styles.buttonTextDark,
+                        onPress
+                    },
+                    label
+                );
+            const candidates = messages
+                .map((entry, index) => ({ entry, index }))
+                .filter(({ entry }) => entry.id !== selfId);
+
+            return React.createElement(
+                primitives.View,
+                { style: primitives.styles.embedCard },
+                React.createElement(primitives.Text, { style: primitives.styles.label }, "Reply"),
+                React.createElement(
+                    primitives.View,
+                    { style: primitives.styles.chipRow },
+                    kinds.map(([kind, label]) =>
+                        chip(kind, reply.kind === kind, label, () => onChange({ kind }))
+                    )
+                ),
+                reply.kind === "fixture"
+                    ? React.createElement(
+                          primitives.View,
+                          { style: primitives.styles.chipRow },
+                          candidates.map(({ entry, index }) =>
+                              chip(entry.id, reply.fixtureId === entry.id, `Message ${index + 1}`, () =>
+                                  onChange({ fixtureId: entry.id })
+                              )
+                          )
+                      )
+                    : null,
+                reply.kind === "fixture" && !candidates.some(({ entry }) => entry.id === reply.fixtureId)
+                    ? React.createElement(
+                          primitives.Text,
+                          { style: primitives.styles.warning },
+                          "Pick the scenario message to reply to; until then the original shows as deleted."
+                      )
+                    : null,
+                reply.kind === "message"
+                    ? React.createElement(primitives.TextInput, {
+                          style: primitives.styles.input,
+                          placeholder: "Message ID in this channel (snowflake)",
+                          keyboardType: "numeric",
+                          value: reply.messageId,
+                          onChangeText: (text) => onChange({ messageId: text })
+                      })
+                    : null,
+                reply.kind === "message" && !plugin.isSnowflake(reply.messageId)
+                    ? React.createElement(
+                          primitives.Text,
+                          { style: primitives.styles.warning },
+                          "Enter a numeric message ID; until then the original shows as deleted. " +
+                              "Messages that are not loaded show as unavailable."
+                      )
+                    : null,
+                reply.kind !== "none" ? toggle("mentionAuthor", "Ping the original author") : null,
+                reply.kind !== "none" ? toggle("deleted", "Show original as deleted") : null
+            );
+        };
+
+        const ComponentsEditor = function FakeMessageComponentsEditor({ components, onChange }) {
+            const serialize = (rows) => (rows.length ? JSON.stringify(rows, null, 2) : "");
+            const [draft, setDraft] = React.useState(() => serialize(components));
+            const [source, setSource] = React.useState(components);
+            // Undo, redo and profile switches replace the prop; follow them unless it is this draft coming back.
+            if (source !== components) {
+                setSource(components);
+                const own = plugin.parseComponentsJson(draft).rows;
+                if (JSON.stringify(own ?? null) !== JSON.stringify(components)) setDraft(serialize(components));
+            }
+            const parsed = plugin.parseComponentsJson(draft);
+
+            const handleChange = (text) => {
+                setDraft(text);
+                const result = plugin.parseComponentsJson(text);
+                if (result.rows) onChange(result.rows);
+            };
+
+            return React.createElement(
+                primitives.View,
+                { style: primitives.styles.embedCard },
+                React.createElement(primitives.Text, { style: primitives.styles.label }, "Components"),
+                React.createElement(
+                    primitives.Text,
+                    { style: primitives.styles.muted },
+                    'Discord component JSON, e.g. [{ "type": 1, "components": [{ "type": 2, "style": 1, "label": "Go", "custom_id": "go" }] }]'
+                ),
+                React.createElement(primitives.MultiLineInput, {
+                    style: primitives.styles.textArea,
+                    multiline: true,
+                    numberOfLines: 6,
+                    autoCapitalize: "none",
+                    autoCorrect: false,
+                    placeholder: "[]",
+                    value: draft,
+                    onChangeText: handleChange
+                }),
+                parsed.errors.map((issue, issueIndex) =>
+                    React.createElement(
+                        primitives.Text,
+                        { key: `component-issue-${issueIndex}`, style: primitives.styles.warning },
+                        issue
+                    )
+                )
+            );
+        };
+
+        const InteractionLog = function FakeMessageInteractionLog() {
+            const [entries, setEntries] = React.useState(() => plugin.interactionLog);
+            React.useEffect(() => plugin.onInteractionLogChange((next) => setEntries(next)), []);
+
+            return React.createElement(
+                primitives.View,
+                null,
+                entries.length
+                    ? entries.map((entry, index) =>
+                          React.createElement(
+                              primitives.Text,
+                              { key: `${entry.at}-${index}`, style: primitives.styles.muted },
+                              `${new Date(entry.at).toLocaleTimeString()}  custom_id=${entry.customId ?? "?"}` +
+                                  (entry.values.length ? `  values=${JSON.stringify(entry.values)}` : "")
+                          )
+                      )
+                    : React.createElement(
+                          primitives.Text,
+                          { style: primitives.styles.muted },
+                          "No interactions yet. Clicks on fake message components show up here."
+                      ),
+                entries.length
+                    ? React.createElement(
+                          primitives.Button,
+                          {
+                              style: primitives.styles.addButton,
+                              textStyle: primitives.styles.buttonTextDark,
+                              onPress: () => {
+                                  plugin.interactionLog = [];
+                                  setEntries([]);
+                              }
+                          },
+                          "Clear Log"
+                      )
+                    : null
+            );
+        };
+
+        const PackTransfer = function FakeMessagePackTransfer({ scenarioId, onImported }) {
+            const [exportText, setExportText] = React.useState("");
+            const [importText, setImportText] = React.useState("");
+            const [status, setStatus] = React.useState("");
+            const parsed = React.useMemo(
+                () => (importText.trim() ? plugin.parsePack(importText) : null),
+                [importText]
+            );
+            const canUseFiles = typeof document !== "undefined" && typeof FileReader !== "undefined";
+
+            const button = (label, onPress, style = primitives.styles.addButton) =>
+                React.createElement(
+                    primitives.Button,
+                    {
+                        style,
+                        textStyle:
+                            style === primitives.styles.removeButton
+                                ? primitives.styles.buttonTextLight
+                                : primitives.styles.buttonTextDark,
+                        onPress
+                    },
+                    label
+                );
+
+            const handleImport = async (mode) => {
+                if (!parsed?.config) return;
+                if (mode === "replace") {
+                    const confirmed = await plugin.confirmAction({
+                        title: "Replace With Pack",
+                        message:
+                            parsed.kind === "config"
+                                ? "Replace your whole configuration with this pack?"
+                                : "Replace all scenarios with the scenarios in this pack?",
+                        confirmText: "Replace"
+                    });
+                    if (!confirmed) return;
+                }
+                plugin.importPack(parsed, mode);
+                setImportText("");
+                setStatus(mode === "replace" ? "Pack imported (replaced)." : "Pack imported (merged).");
+                onImported();
+            };
+
+            const summaryLines = parsed?.summary
+                ? [
+                      `${parsed.kind === "config" ? "Full config" : "Scenario pack"} with ${parsed.summary.scenarios.length} scenario(s) and ${parsed.summary.personaCount} persona(s):`,
+                      ...parsed.summary.scenarios.map(
+                          (entry) => `- ${entry.name} (${entry.messageCount} message${entry.messageCount === 1 ? "" : "s"})`
+                      )
+                  ]
+                : [];
+
+            return React.createElement(
+                primitives.View,
+                null,
+                React.createElement(
+                    primitives.Row,
+                    { style: primitives.styles.inlineButtons },
+                    button("Export Full Config", () =>
+                        setExportText(plugin.serializePack(plugin.exportConfigPack()))
+                    ),
+                    scenarioId
+                        ? button("Export This Scenario", () =>
+                              setExportText(plugin.serializePack(plugin.exportScenarioPack([scenarioId])))
+                          )
+                        : null
+                ),
+                exportText
+                    ? React.createElement(
+                          primitives.View,
+                          null,
+                          React.createElement(primitives.MultiLineInput, {
+                              style: primitives.styles.textArea,
+                              multiline: true,
+                              numberOfLines: 6,
+                              value: exportText,
+                              onChangeText: () => {}
+                          }),
+                          React.createElement(
+                              primitives.Row,
+                              { style: primitives.styles.inlineButtons },
+                              button("Copy", async () =>
+                                  setStatus((await plugin.copyText(exportText)) ? "Copied to clipboard." : "Copy failed.")
+                              ),
+                              canUseFiles
+                                  ? button("Download", () =>
+                                        plugin.downloadTextFile("fake-message-composer-pack.json", exportText)
+                                    )
+                                  : null
+                          )
+                      )
+                    : null,
+                React.createElement(
+                    primitives.Text,
+                    { style: primitives.styles.label },
+                    "Import"
+                ),
+                React.createElement(primitives.MultiLineInput, {
+                    style: primitives.styles.textArea,
+                    multiline: true,
+                    numberOfLines: 4,
+                    autoCapitalize: "none",
+                    autoCorrect: false,
+                    placeholder: "Paste a pack JSON document",
+                    value: importText,
+                    onChangeText: (text) => {
+                        setImportText(text);
+                        setStatus("");
+                    }
+                }),
+                canUseFiles
+                    ? button("Load File", async () => {
+                          const text = await plugin.readLocalTextFile();
+                          if (text !== null) setImportText(text);
+                      })
+                    : null,
+                (parsed?.errors ?? []).map((issue, index) =>
+                    React.createElement(primitives.Text, { key: `pack-error-${index}`, style: primitives.styles.warning }, issue)
+                ),
+                (parsed?.warnings ?? []).map((issue, index) =>
+                    React.createElement(primitives.Text, { key: `pack-warning-${index}`, style: primitives.styles.muted }, issue)
+                ),
+                summaryLines.map((line, index) =>
+                    React.createElement(primitives.Text, { key: `pack-summary-${index}`, style: primitives.styles.text }, line)
+                ),
+                parsed?.config
+                    ? React.createElement(
+                          primitives.Row,
+                          { style: primitives.styles.inlineButtons },
+                          button("Merge", () => handleImport("merge")),
+                          button("Replace", () => handleImport("replace"), primitives.styles.removeButton)
+                      )
+                    : null,
+                status ? React.createElement(primitives.Text, { style: primitives.styles.muted }, status) : null
+            );
+        };
+
+        const ProfileBar = function FakeMessageProfileBar({ onSwitched }) {
+            const [profiles, setProfiles] = React.useState(() => plugin.getProfiles());
+            const active = profiles.find((profile) => profile.active) ?? profiles[0];
+            const refresh = () => setProfiles(plugin.getProfiles());
+            // Undo can switch profiles or bring a deleted one back.
+            React.useEffect(() => plugin.onEditHistoryChange(() => setProfiles(plugin.getProfiles())), []);
+
+            // Typing edits a draft; the name is saved on blur or after a pause, like the config.
+            const [draft, setDraft] = React.useState(active?.name ?? "");
+            const [source, setSource] = React.useState(active);
+            if (source?.id !== active?.id || source?.name !== active?.name) {
+                setSource(active);
+                setDraft(active?.name ?? "");
+            }
+            const pendingName = React.useRef(null);
+            const saveName = () => {
+                const pending = pendingName.current;
+                if (!pending) return;
+                clearTimeout(pending.timer);
+                pendingName.current = null;
+                plugin.renameProfile(pending.profileId, pending.name);
+                refresh();
+            };
+            React.useEffect(() => saveName, []);
+
+            const button = (label, onPress, style = primitives.styles.smallButton, disabled = false) =>
+                React.createElement(
+                    primitives.Button,
+                    {
+                        style,
+                        textStyle:
+                            style === primitives.styles.removeButton
+                                ? primitives.styles.buttonTextLight
+                                : primitives.styles.buttonTextDark,
+                        onPress: () => {
+                            saveName();
+                            onPress();
+                        },
+                        disabled
+                    },
+                    label
+                );
+
+            const switchTo = (profileId) => {
+                saveName();
+                plugin.switchProfile(profileId);
+                refresh();
+                onSwitched();
+            };
+
+            const handleDelete = async () => {
+                if (!active || profiles.length <= 1) return;
+                const confirmed = await plugin.confirmAction({
+                    title: "Delete Profile",
+                    message: `Delete the profile "${active.name || "Untitled profile"}" and its fixtures?`,
+                    confirmText: "Delete"
+                });
+                if (!confirmed) return;
+                plugin.recordEdit();
+                plugin.deleteProfile(active.id);
+                refresh();
+                onSwitched();
+            };
+
+            return React.createElement(
+                primitives.Section,
+                null,
+                React.createElement(
+                    primitives.Text,
+                    { style: primitives.styles.title },
+                    "Profile"
+                ),
+                React.createElement(
+                    primitives.View,
+                    { style: primitives.styles.chipRow },
+                    profiles.map((profile) =>
+                        React.createElement(
+                            primitives.Button,
+                            {
+                                key: profile.id,
+                                style: profile.active ? primitives.styles.chipSelected : primitives.styles.chip,
+                                textStyle: primitives.styles.buttonTextDark,
+                                onPress: () => switchTo(profile.id)
+                            },
+                            profile.name || "Untitled profile"
+                        )
+                    )
+                ),
+                active
+                    ? React.createElement(primitives.TextInput, {
+                          style: primitives.styles.input,
+                          placeholder: "Profile name",
+                          value: draft,
+                          onChangeText: (text) => {
+                              setDraft(text);
+                              clearTimeout(pendingName.current?.timer);
+                              pendingName.current = {
+                                  profileId: active.id,
+                                  name: text,
+                                  timer: setTimeout(saveName, PERSIST_DEBOUNCE_MS)
+                              };
+                          },
+                          onBlur: saveName
+                      })
+                    : null,
+                React.createElement(
+                    primitives.Row,
+                    { style: primitives.styles.inlineButtons },
+                    button("New", () => {
+                        plugin.recordEdit();
+                        switchTo(plugin.createProfile(""));
+                    }),
+                    button("Duplicate", () => {
+                        if (!active) return;
+                        plugin.recordEdit();
+                        switchTo(plugin.duplicateProfile(active.id));
+                    }),
+                    button("Delete", handleDelete, primitives.styles.smallButton, profiles.length <= 1)
+                )
+            );
+        };
+
+        const DirectoryPicker = function FakeMessageDirectoryPicker({ kind, selectedIds, onToggle }) {
+            const [query, setQuery] = React.useState("");
+            const { rows, truncated } =
+                kind === "guild" ? plugin.searchGuildDirectory(query) : plugin.searchChannelDirectory(query);
+
+            return React.createElement(
+                primitives.View,
+                { style: primitives.styles.embedCard },
+                React.createElement(primitives.TextInput, {
+                    style: primitives.styles.input,
+                    placeholder: kind === "guild" ? "Search servers" : "Search channels, servers and DMs",
+                    autoCapitalize: "none",
+                    autoCorrect: false,
+                    value: query,
+                    onChangeText: setQuery
+                }),
+                rows.length
+                    ? null
+                    : React.createElement(primitives.Text, { style: primitives.styles.muted }, "Nothing matches."),
+                rows.map((row) =>
+                    React.createElement(
+                        primitives.Row,
+                        { key: `${row.type}-${row.id}`, style: { justifyContent: "flex-start", marginLeft: row.depth * 12 } },
+                        row.iconUrl
+                            ? React.createElement(primitives.Image, {
+                                  source: { uri: row.iconUrl },
+                                  style: { width: 20, height: 20, borderRadius: 10, marginRight: 6 }
+                              })
+                            : null,
+                        row.selectable
+                            ? React.createElement(
+                                  primitives.Button,
+                                  {
+                                      style: selectedIds.includes(row.id)
+                                          ? primitives.styles.chipSelected
+                                          : primitives.styles.chip,
+                                      textStyle: primitives.styles.buttonTextDark,
+                                      onPress: () => onToggle(row.id)
+                                  },
+                                  row.label
+                              )
+                            : React.createElement(
+                                  primitives.Text,
+                                  { style: row.type === "category" ? primitives.styles.muted : primitives.styles.label },
+                                  row.label
+                              )
+                    )
+                ),
+                truncated
+                    ? React.createElement(
+                          primitives.Text,
+                          { style: primitives.styles.muted },
+                          "More results are hidden; refine the search."
+                      )
+                    : null
+            );
+        };
+
+        const IdListInput = function FakeMessageIdListInput({ ids, placeholder, onChange, kind = null }) {
+            const [draft, setDraft] = React.useState(() => ids.join(", "));
+            const [source, setSource] = React.useState(ids);
+            const [picking, setPicking] = React.useState(false);
+            if (source !== ids) {
+                setSource(ids);
+                const own = draft.split(/[\s,]+/).filter((part) => plugin.isSnowflake(part));
+                if (own.join(",") !== ids.join(",")) setDraft(ids.join(", "));
+            }
+            const parts = draft.split(/[\s,]+/).filter(Boolean);
+            const invalid = parts.filter((part) => !plugin.isSnowflake(part));
+            const describe = (id) => (kind === "guild" ? plugin.describeGuildId(id) : plugin.describeChannelId(id));
+
+            const toggle = (id) => {
+                const next = ids.includes(id) ? ids.filter((entry) => entry !== id) : [...ids, id];
+                setDraft(next.join(", "));
+                onChange(next);
+            };
+
+            return React.createElement(
+                primitives.View,
+                null,
+                React.createElement(primitives.TextInput, {
+                    style: primitives.styles.input,
+                    placeholder,
+                    autoCapitalize: "none",
+                    autoCorrect: false,
+                    value: draft,
+                    onChangeText: (text) => {
+                        setDraft(text);
+                        onChange(text.split(/[\s,]+/).filter((part) => plugin.isSnowflake(part)));
+                    }
+                }),
+                invalid.length
+                    ? React.createElement(
+                          primitives.Text,
+                          { style: primitives.styles.warning },
+                          `Ignored (not snowflakes): ${invalid.join(", ")}`
+                      )
+                    : null,
+                kind
+                    ? ids.map((id) => {
+                          const described = describe(id);
+                          return React.createElement(
+                              primitives.Text,
+                              {
+                                  key: id,
+                                  style: described.accessible ? primitives.styles.muted : primitives.styles.warning
+                              },
+                              described.accessible
+                                  ? described.label
+                                  : `${id}: no longer accessible (deleted, or you left the server)`
+                          );
+                      })
+                    : null,
+                kind
+                    ? React.createElement(
+                          primitives.Button,
+                          {
+                              style: primitives.styles.smallButton,
+                              textStyle: primitives.styles.buttonTextDark,
+                              onPress: () => setPicking(!picking)
+                          },
+                          picking ? "Close picker" : kind === "guild" ? "Pick servers" : "Pick channels"
+                      )
+                    : null,
+                kind && picking
+                    ? React.createElement(DirectoryPicker, { kind, selectedIds: ids, onToggle: toggle })
+                    : null
+            );
+        };
+
+        const StressPanel = function FakeMessageStressPanel() {
+            const [state, setState] = React.useState(() => plugin.getStressState());
+            const [count, setCount] = React.useState(String(STRESS_DEFAULT_COUNT));
+            const [withEmbeds, setWithEmbeds] = React.useState(true);
+            React.useEffect(() => plugin.onStressChange((next) => setState(next)), []);
+
+            const report = state.report;
+            const handleRun = async () => {
+                try {
+                    const result = await plugin.runStressTest(undefined, {
+                        count: Number(count) || STRESS_DEFAULT_COUNT,
+                        embedRatio: withEmbeds ? STRESS_EMBED_RATIO : 0
+                    });
+                    plugin.notify(`Injected ${result.injected} messages in ${result.injectMs}ms`);
+                } catch (error) {
+                    plugin.notify(error?.message ?? String(error));
+                }
+            };
+            const handleClear = () => {
+                const cleared = plugin.clearStressMessages();
+                if (cleared) plugin.notify(`Cleared ${cleared.clearedCount} messages in ${cleared.clearMs}ms`);
+            };
+
+            return React.createElement(
+                primitives.View,
+                null,
+                React.createElement(
+                    primitives.Text,
+                    { style: primitives.styles.muted },
+                    `Messages (max ${STRESS_MAX_COUNT})`
+                ),
+                React.createElement(primitives.TextInput, {
+                    style: primitives.styles.input,
+                    placeholder: String(STRESS_DEFAULT_COUNT),
+                    keyboardType: "numeric",
+                    value: count,
+                    onChangeText: (text) => setCount(text.replace(/\D/g, ""))
+                }),
+                Number(count) > STRESS_MAX_COUNT
+                    ? React.createElement(
+                          primitives.Text,
+                          { style: primitives.styles.warning },
+                          `Runs are capped at ${STRESS_MAX_COUNT} messages.`
+                      )
+                    : null,
+                React.createElement(
+                    primitives.Row,
+                    { style: primitives.styles.switchRow },
+                    React.createElement(primitives.Text, { style: primitives.styles.label }, "Include rich embeds"),
+                    React.createElement(primitives.Switch, { value: withEmbeds, onValueChange: setWithEmbeds })
+                ),
+                React.createElement(
+                    primitives.Row,
+                    { style: primitives.styles.inlineButtons },
+                    React.createElement(
+                        primitives.Button,
+                        {
+                            style: primitives.styles.addButton,
+                            textStyle: primitives.styles.buttonTextDark,
+                            onPress: handleRun,
+                            disabled: state.running
+                        },
+                        state.running ? "Injecting..." : "Inject Into Current Channel"
+                    ),
+                    React.createElement(
+                        primitives.Button,
+                        {
+                            style: primitives.styles.removeButton,
+                            textStyle: primitives.styles.buttonTextLight,
+                            onPress: handleClear,
+                            disabled: !state.injectedCount && !state.running
+                        },
+                        `Clear Generated (${state.injectedCount})`
+                    )
+                ),
+                report
+                    ? React.createElement(
+                          primitives.Text,
+                          { style: primitives.styles.muted },
+                          `Last run: ${report.injected}/${report.requested} messages in channel ${report.channelId}` +
+                              `${report.cancelled ? " (cancelled)" : ""}; build ${report.buildMs}ms, ` +
+                              `inject ${report.injectMs}ms` +
+                              (report.clearMs !== null ? `, clear ${report.clearedCount} in ${report.clearMs}ms.` : ".")
+                      )
+                    : null
+            );
+        };
 
-    reapplyFakeMessages() {
-        if (!this.started) return;
-        this.clearInjectedMessages();
-        this.refreshForCurrentChannel(true);
-    }
+        const TimelineEditor = function FakeMessageTimelineEditor({ scenario, onChange }) {
+            const timeline = scenario.timeline;
+            const [state, setState] = React.useState(() => plugin.getTimelineState(scenario.id));
+            React.useEffect(() => {
+                setState(plugin.getTimelineState(scenario.id));
+                return plugin.onTimelineChange(() => setState(plugin.getTimelineState(scenario.id)));
+            }, [scenario.id]);
 
-    isSnowflake(value) {
-        if (typeof value !== "string") return false;
-        return /^\d{5,}$/.test(value.trim());
-    }
-    // ------------------------------------------------------------------
-    // Settings UI
-    // ------------------------------------------------------------------
+            const problems = plugin.validateTimeline(timeline, scenario.messages);
+            const setSteps = (steps) => onChange({ steps });
+            const updateStep = (index, patch) =>
+                setSteps(timeline.steps.map((step, position) => (position === index ? { ...step, ...patch } : step)));
+            const moveStep = (index, delta) => {
+                const target = index + delta;
+                if (target < 0 || target >= timeline.steps.length) return;
+                const steps = timeline.steps.slice();
+                [steps[index], steps[target]] = [steps[target], steps[index]];
+                setSteps(steps);
+            };
+            const run = (action) => {
+                const problem = action();
+                if (problem) plugin.notify(problem);
+            };
 
-    getSettingsPanel() {
-        const plugin = this;
-        const React = this.React ?? kettu?.Modules?.common?.React;
-        const RN = this.ReactNative ?? kettu?.Modules?.common?.ReactNative;
-        if (!React) return () => null;
+            const chip = (key, selected, label, onPress) =>
+                React.createElement(
+                    primitives.Button,
+                    {
+                        key,
+                        style: selected ? primitives.styles.chipSelected : primitives.styles.chip,
+                        textStyle: primitives.styles.buttonTextDark,
+                        onPress
+                    },
+                    label
+                );
+            const button = (label, onPress, disabled = false) =>
+                React.createElement(
+                    primitives.Button,
+                    {
+                        style: primitives.styles.smallButton,
+                        textStyle: primitives.styles.buttonTextDark,
+                        onPress,
+                        disabled
+                    },
+                    label
+                );
+            const milliseconds = (step, index, key, label) =>
+                React.createElement(
+                    primitives.View,
+                    { style: { flex: 1, marginRight: 6 } },
+                    React.createElement(primitives.Text, { style: primitives.styles.muted }, label),
+                    React.createElement(primitives.TextInput, {
+                        style: primitives.styles.input,
+                        placeholder: "Milliseconds",
+                        keyboardType: "numeric",
+                        value: String(step[key]),
+                        onChangeText: (text) => updateStep(index, { [key]: Number(text.replace(/\D/g, "")) || 0 })
+                    })
+                );
+            const messageLabel = (entry, index) => {
+                const preview = entry.content.trim();
+                if (!preview) return `Message ${index + 1}`;
+                return `${index + 1}: ${preview.length > 20 ? `${preview.slice(0, 20)}...` : preview}`;
+            };
 
-        const primitives = this.getUiPrimitives(React, RN);
+            const stepCards = timeline.steps.map((step, index) =>
+                React.createElement(
+                    primitives.View,
+                    {
+                        key: step.id,
+                        style:
+                            state.status !== "idle" && state.stepIndex === index
+                                ? primitives.styles.messageCard
+                                : primitives.styles.embedCard
+                    },
+                    React.createElement(
+                        primitives.Row,
+                        null,
+                        React.createElement(primitives.Text, { style: primitives.styles.label }, `Step ${index + 1}`),
+                        React.createElement(
+                            primitives.Row,
+                            { style: primitives.styles.inlineButtons },
+                            button("Up", () => moveStep(index, -1), index === 0),
+                            button("Down", () => moveStep(index, 1), index === timeline.steps.length - 1)
+                        )
+                    ),
+                    React.createElement(
+                        primitives.View,
+                        { style: primitives.styles.chipRow },
+                        Object.entries(TIMELINE_ACTIONS).map(([action, label]) =>
+                            chip(action, step.action === action, label, () => updateStep(index, { action }))
+                        )
+                    ),
+                    React.createElement(primitives.Text, { style: primitives.styles.muted }, "Message"),
+                    React.createElement(
+                        primitives.View,
+                        { style: primitives.styles.chipRow },
+                        scenario.messages.map((entry, position) =>
+                            chip(entry.id, step.entryId === entry.id, messageLabel(entry, position), () =>
+                                updateStep(index, { entryId: entry.id })
+                            )
+                        )
+                    ),
+                    React.createElement(
+                        primitives.Row,
+                        null,
+                        milliseconds(step, index, "delayMs", "Wait before (ms)"),
+                        step.action === "typing"
+                            ? milliseconds(step, index, "durationMs", `Type for (ms, max ${TYPING_INDICATOR_MAX_MS})`)
+                            : null
+                    ),
+                    step.action === "edit"
+                        ? React.createElement(primitives.MultiLineInput, {
+                              style: primitives.styles.input,
+                              placeholder: "Edited content",
+                              value: step.content,
+                              onChangeText: (text) => updateStep(index, { content: text })
+                          })
+                        : null,
+                    step.action === "edit"
+                        ? plugin.validateTemplate(step.content).map((problem) =>
+                              React.createElement(
+                                  primitives.Text,
+                                  { key: problem, style: primitives.styles.warning },
+                                  problem
+                              )
+                          )
+                        : null,
+                    React.createElement(
+                        primitives.Button,
+                        {
+                            style: primitives.styles.removeButton,
+                            textStyle: primitives.styles.buttonTextLight,
+                            onPress: () => setSteps(timeline.steps.filter((_, position) => position !== index))
+                        },
+                        "Remove Step"
+                    )
+                )
+            );
+
+            const statusText =
+                state.status === "idle"
+                    ? "Not playing."
+                    : state.status === "finished"
+                      ? `Finished in channel ${state.channelId}.`
+                      : `${state.status === "paused" ? "Paused" : "Playing"} step ${state.stepIndex + 1} of ` +
+                        `${state.stepCount} in channel ${state.channelId}.`;
+
+            return React.createElement(
+                primitives.View,
+                { style: primitives.styles.embedCard },
+                React.createElement(
+                    primitives.Row,
+                    { style: primitives.styles.switchRow },
+                    React.createElement(primitives.Text, { style: primitives.styles.label }, "Play as a timeline"),
+                    React.createElement(primitives.Switch, {
+                        value: timeline.enabled,
+                        onValueChange: (value) => onChange({ enabled: value })
+                    })
+                ),
+                React.createElement(
+                    primitives.Text,
+                    { style: primitives.styles.muted },
+                    "Timeline scenarios are not injected on channel switch; their steps run in order through the Flux dispatcher."
+                ),
+                timeline.enabled
+                    ? React.createElement(
+                          primitives.View,
+                          null,
+                          React.createElement(
+                              primitives.Row,
+                              { style: primitives.styles.switchRow },
+                              React.createElement(
+                                  primitives.Text,
+                                  { style: primitives.styles.label },
+                                  "Autoplay when opening a matching channel"
+                              ),
+                              React.createElement(primitives.Switch, {
+                                  value: timeline.autoplay,
+                                  onValueChange: (value) => onChange({ autoplay: value })
+                              })
+                          ),
+                          stepCards,
+                          problems.map((problem) =>
+                              React.createElement(
+                                  primitives.Text,
+                                  { key: problem, style: primitives.styles.warning },
+                                  problem
+                              )
+                          ),
+                          React.createElement(
+                              primitives.Button,
+                              {
+                                  style: primitives.styles.addButton,
+                                  textStyle: primitives.styles.buttonTextDark,
+                                  onPress: () =>
+                                      setSteps([
+                                          ...timeline.steps,
+                                          plugin.createTimelineStep({
+                                              entryId:
+                                                  timeline.steps[timeline.steps.length - 1]?.entryId ??
+                                                  scenario.messages[0]?.id ??
+                                                  ""
+                                          })
+                                      ])
+                              },
+                              "Add Step"
+                          ),
+                          React.createElement(primitives.Text, { style: primitives.styles.muted }, statusText),
+                          React.createElement(
+                              primitives.Row,
+                              { style: primitives.styles.inlineButtons },
+                              state.status === "playing"
+                                  ? button("Pause", () => plugin.pauseTimeline(scenario.id))
+                                  : button(state.status === "paused" ? "Resume" : "Play", () =>
+                                        run(() => plugin.playTimeline(scenario.id))
+                                    ),
+                              button("Restart", () => run(() => plugin.restartTimeline(scenario.id))),
+                              button("Stop", () => plugin.stopTimeline(scenario.id), state.status === "idle")
+                          )
+                      )
+                    : null
+            );
+        };
+
+        const RulesEditor = function FakeMessageRulesEditor({ rules, onChange }) {
+            const chip = (key, selected, label, onPress) =>
+                React.createElement(
+                    primitives.Button,
+                    {
+                        key,
+                        style: selected ? primitives.styles.chipSelected : primitives.styles.chip,
+                        textStyle: primitives.styles.buttonTextDark,
+                        onPress
+                    },
+                    label
+                );
+            const toggleKind = (kind) =>
+                onChange({
+                    channelKinds: rules.channelKinds.includes(kind)
+                        ? rules.channelKinds.filter((entry) => entry !== kind)
+                        : [...rules.channelKinds, kind]
+                });
+            const idList = (key, label, placeholder) =>
+                React.createElement(
+                    primitives.View,
+                    null,
+                    React.createElement(primitives.Text, { style: primitives.styles.muted }, label),
+                    React.createElement(IdListInput, {
+                        ids: rules[key],
+                        placeholder,
+                        kind: key.endsWith("GuildIds") ? "guild" : "channel",
+                        onChange: (ids) => onChange({ [key]: ids })
+                    })
+                );
+
+            const currentChannelId = plugin.getCurrentChannelId();
+            const currentChannel = currentChannelId ? plugin.channelStore?.getChannel?.(currentChannelId) : null;
+            const matchesCurrent = currentChannelId
+                ? plugin.matchesRules(plugin.normalizeRules(rules), String(currentChannelId), currentChannel)
+                : null;
+
+            return React.createElement(
+                primitives.View,
+                { style: primitives.styles.embedCard },
+                React.createElement(primitives.Text, { style: primitives.styles.label }, "Where to show"),
+                idList("allowChannelIds", "Only these channels", "Channel IDs, comma separated (empty = any)"),
+                idList("allowGuildIds", "Or anywhere in these servers", "Server IDs, comma separated"),
+                idList("denyChannelIds", "Never in these channels", "Channel IDs, comma separated"),
+                idList("denyGuildIds", "Never in these servers", "Server IDs, comma separated"),
+                React.createElement(
+                    primitives.Text,
+                    { style: primitives.styles.muted },
+                    "Channel types (none selected = all)"
+                ),
+                React.createElement(
+                    primitives.View,
+                    { style: primitives.styles.chipRow },
+                    Object.entries(CHANNEL_KINDS).map(([kind, label]) =>
+                        chip(kind, rules.channelKinds.includes(kind), label, () => toggleKind(kind))
+                    )
+                ),
+                React.createElement(primitives.Text, { style: primitives.styles.muted }, "NSFW channels"),
+                React.createElement(
+                    primitives.View,
+                    { style: primitives.styles.chipRow },
+                    [
+                        ["any", "Either"],
+                        ["sfw", "Only non-NSFW"],
+                        ["nsfw", "Only NSFW"]
+                    ].map(([value, label]) => chip(value, rules.nsfw === value, label, () => onChange({ nsfw: value })))
+                ),
+                matchesCurrent === null
+                    ? null
+                    : React.createElement(
+                          primitives.Text,
+                          { style: matchesCurrent ? primitives.styles.muted : primitives.styles.warning },
+                          matchesCurrent
+                              ? "The currently open channel matches these rules."
+                              : "The currently open channel does not match these rules."
+                      )
+            );
+        };
+
+        const BadgeStatus = function FakeMessageBadgeStatus() {
+            const [state, setState] = React.useState(() => plugin.getBadgeState());
+            React.useEffect(() => plugin.onBadgeChange((next) => setState(next)), []);
+
+            const summary = state.strategies
+                .map((strategy) => {
+                    const status = strategy.verified
+                        ? "seen working"
+                        : strategy.available
+                        ? "ready"
+                        : strategy.problem ?? "unavailable";
+                    return `${strategy.label}: ${status}`;
+                })
+                .join(" | ");
+
+            return React.createElement(
+                primitives.View,
+                null,
+                state.failure
+                    ? React.createElement(
+                          primitives.Text,
+                          { style: primitives.styles.warning },
+                          `Injection is paused: ${state.failure}`
+                      )
+                    : null,
+                state.failure
+                    ? React.createElement(
+                          primitives.Button,
+                          {
+                              style: primitives.styles.chip,
+                              textStyle: primitives.styles.buttonTextDark,
+                              onPress: () => plugin.retryBadgeCheck()
+                          },
+                          "Retry"
+                      )
+                    : null,
+                React.createElement(primitives.Text, { style: primitives.styles.muted }, `Labels: ${summary}`)
+            );
+        };
+
+        const EditHistoryBar = function FakeMessageEditHistoryBar({ onStep }) {
+            const [state, setState] = React.useState(() => plugin.getEditHistoryState());
+            React.useEffect(() => plugin.onEditHistoryChange((next) => setState(next)), []);
+
+            const button = (label, step, count) =>
+                React.createElement(
+                    primitives.Button,
+                    {
+                        style: primitives.styles.smallButton,
+                        textStyle: primitives.styles.buttonTextDark,
+                        onPress: () => onStep(step),
+                        disabled: count === 0
+                    },
+                    count ? `${label} (${count})` : label
+                );
+
+            return React.createElement(
+                primitives.Row,
+                { style: primitives.styles.inlineButtons },
+                button("Undo", "undo", state.undoCount),
+                button("Redo", "redo", state.redoCount)
+            );
+        };
+
+        const StorageStatus = function FakeMessageStorageStatus() {
+            const [usage, setUsage] = React.useState(() => plugin.getStorageUsage());
+            React.useEffect(() => plugin.onStorageChange((next) => setUsage(next)), []);
+
+            const summary = usage.quotaBytes
+                ? `Storage: ${plugin.formatBytes(usage.usedBytes)} of ${plugin.formatBytes(usage.quotaBytes)} used ` +
+                  `(${Math.round(usage.ratio * 100)}%), ${plugin.formatBytes(usage.pluginBytes)} by this plugin`
+                : `Storage: ${plugin.formatBytes(usage.pluginBytes)} used by this plugin`;
+            const backups = usage.backupBytes ? `, ${plugin.formatBytes(usage.backupBytes)} of it backups` : "";
+
+            return React.createElement(
+                primitives.View,
+                null,
+                usage.recovery
+                    ? React.createElement(
+                          primitives.Text,
+                          { style: primitives.styles.warning },
+                          `The saved config was corrupt (${usage.recovery.reason}). ` +
+                              `The backup from ${usage.recovery.backupSavedAt} was restored.`
+                      )
+                    : null,
+                usage.error
+                    ? React.createElement(
+                          primitives.Text,
+                          { style: primitives.styles.warning },
+                          usage.error.quota
+                              ? "Storage is full. Recent changes are not saved; remove large attachments or unused profiles."
+                              : `The last save failed (${usage.error.message}). Recent changes are not saved.`
+                      )
+                    : null,
+                React.createElement(
+                    primitives.Text,
+                    {
+                        style:
+                            usage.ratio !== null && usage.ratio >= STORAGE_WARNING_RATIO
+                                ? primitives.styles.warning
+                                : primitives.styles.muted
+                    },
+                    summary + backups
+                )
+            );
+        };
+
+        const PlacementEditor = function FakeMessagePlacementEditor({ placement, onChange }) {
+            const missingAnchor = placement.mode === "after" && !plugin.isSnowflake(placement.messageId);
+            return React.createElement(
+                primitives.View,
+                { style: primitives.styles.embedCard },
+                React.createElement(primitives.Text, { style: primitives.styles.label }, "Placement"),
+                React.createElement(
+                    primitives.View,
+                    { style: primitives.styles.chipRow },
+                    Object.entries(PLACEMENT_MODES).map(([mode, label]) =>
+                        React.createElement(
+                            primitives.Button,
+                            {
+                                key: mode,
+                                style: placement.mode === mode ? primitives.styles.chipSelected : primitives.styles.chip,
+                                textStyle: primitives.styles.buttonTextDark,
+                                onPress: () => onChange({ mode })
+                            },
+                            label
+                        )
+                    )
+                ),
+                placement.mode === "after"
+                    ? React.createElement(primitives.TextInput, {
+                          style: primitives.styles.input,
+                          placeholder: "Message ID in this channel (snowflake)",
+                          keyboardType: "numeric",
+                          value: placement.messageId,
+                          onChangeText: (text) => onChange({ messageId: text })
+                      })
+                    : null,
+                React.createElement(
+                    primitives.Text,
+                    { style: missingAnchor ? primitives.styles.warning : primitives.styles.muted },
+                    placement.mode === "after"
+                        ? "Falls back to the bottom of the channel while that message is not loaded."
+                        : placement.mode === "top"
+                        ? "Shown above the oldest message Discord has loaded for the channel."
+                        : "Shown below the newest message."
+                )
+            );
+        };
 
         return function FakeMessageComposerSettings() {
-            const [settings, setSettings] = React.useState(() => ({
-                ...plugin.config,
-                embeds: plugin.normalizeEmbeds(plugin.config.embeds)
-            }));
-            const [previewState, setPreviewState] = React.useState({ status: "idle", user: null });
+            const [settings, setSettings] = React.useState(() => plugin.mergeWithDefaults(plugin.config));
             const [busy, setBusy] = React.useState(false);
+            const configBackup = React.useMemo(() => plugin.getConfigBackup(), []);
 
             const sync = React.useCallback(
                 (next) => {
+                    plugin.recordEdit(plugin.findTextEditPath(settings, next));
                     setSettings(next);
                     plugin.applyConfig(next);
                 },
+                [settings, setSettings]
+            );
+
+            const restoreEdit = React.useCallback(
+                (step) => {
+                    const restored = step === "redo" ? plugin.redoEdit() : plugin.undoEdit();
+                    if (restored) setSettings(plugin.mergeWithDefaults(restored));
+                },
                 [setSettings]
             );
 
+            // Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or Ctrl+Y redoes while the panel is open.
+            // Text fields, including Discord's composer, keep their own undo.
+            React.useEffect(() => {
+                if (plugin.ReactNative || typeof document === "undefined") return undefined;
+                const onKeyDown = (event) => {
+                    if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+                    const target = event.target;
+                    if (target?.isContentEditable || /^(input|textarea|select)$/i.test(target?.tagName ?? "")) return;
+                    const key = event.key?.toLowerCase();
+                    const step = key === "z" ? (event.shiftKey ? "redo" : "undo") : key === "y" ? "redo" : null;
+                    if (!step) return;
+                    event.preventDefault();
+                    restoreEdit(step);
+                };
+                document.addEventListener("keydown", onKeyDown);
+                return () => document.removeEventListener("keydown", onKeyDown);
+            }, [restoreEdit]);
+
             const updatePartial = (patch) => {
                 sync({ ...settings, ...patch });
             };
 
-            React.useEffect(() => {
-                let cancelled = false;
-                (async () => {
-                    if (!plugin.isSnowflake(settings.discordId)) {
-                        setPreviewState({ status: "invalid", user: null });
-                        return;
-                    }
-                    setPreviewState({ status: "loading", user: null });
-                    const user = await plugin.fetchUser(settings.discordId.trim());
-                    if (cancelled) return;
-                    setPreviewState({
-                        status: user?.username ? "resolved" : "fallback",
-                        user
-                    });
-                })();
-                return () => {
-                    cancelled = true;
+            const [activeScenarioId, setActiveScenarioId] = React.useState(() => settings.scenarios[0]?.id ?? null);
+            const scenarioIndex = Math.max(
+                0,
+                settings.scenarios.findIndex((candidate) => candidate.id === activeScenarioId)
+            );
+            const scenario = settings.scenarios[scenarioIndex] ?? null;
+
+            const updateScenario = (patch) => {
+                const scenarios = settings.scenarios.slice();
+                scenarios[scenarioIndex] = { ...scenarios[scenarioIndex], ...patch };
+                updatePartial({ scenarios });
+            };
+
+            const addScenario = () => {
+                const created = plugin.createScenario({
+                    name: `Scenario ${settings.scenarios.length + 1}`,
+                    messages: [plugin.createMessageEntry({ content: "" })]
+                });
+                updatePartial({ scenarios: [...settings.scenarios, created] });
+                setActiveScenarioId(created.id);
+            };
+
+            const removeScenario = () => {
+                if (!scenario) return;
+                const scenarios = settings.scenarios.filter((candidate) => candidate.id !== scenario.id);
+                updatePartial({ scenarios });
+                setActiveScenarioId(scenarios[0]?.id ?? null);
+            };
+
+            const updateMessage = (index, patch) => {
+                const messages = scenario.messages.slice();
+                messages[index] = { ...messages[index], ...patch };
+                updateScenario({ messages });
+            };
+
+            const moveMessage = (index, offset) => {
+                const target = index + offset;
+                if (target < 0 || target >= scenario.messages.length) return;
+                const messages = scenario.messages.slice();
+                const [entry] = messages.splice(index, 1);
+                messages.splice(target, 0, entry);
+                updateScenario({ messages });
+            };
+
+            const removeMessage = (index) => {
+                const messages = scenario.messages.slice();
+                messages.splice(index, 1);
+                updateScenario({ messages });
+            };
+
+            const addMessage = () => {
+                const previous = scenario.messages[scenario.messages.length - 1];
+                updateScenario({
+                    messages: [
+                        ...scenario.messages,
+                        plugin.createMessageEntry({ discordId: previous?.discordId ?? "", content: "" })
+                    ]
+                });
+            };
+
+            const updateEmbed = (messageIndex, embedIndex, patch) => {
+                const embeds = scenario.messages[messageIndex].embeds.slice();
+                embeds[embedIndex] = { ...embeds[embedIndex], ...patch };
+                updateMessage(messageIndex, { embeds });
+            };
+
+            const removeEmbed = (messageIndex, embedIndex) => {
+                const embeds = scenario.messages[messageIndex].embeds.slice();
+                embeds.splice(embedIndex, 1);
+                updateMessage(messageIndex, { embeds });
+            };
+
+            const addEmbed = (messageIndex) => {
+                updateMessage(messageIndex, {
+                    embeds: [...scenario.messages[messageIndex].embeds, plugin.createEmbedEntry()]
+                });
+            };
+
+            const updateAttachment = (messageIndex, attachmentIndex, patch) => {
+                const attachments = scenario.messages[messageIndex].attachments.slice();
+                attachments[attachmentIndex] = { ...attachments[attachmentIndex], ...patch };
+                updateMessage(messageIndex, { attachments });
+            };
+
+            const removeAttachment = (messageIndex, attachmentIndex) => {
+                const attachments = scenario.messages[messageIndex].attachments.slice();
+                attachments.splice(attachmentIndex, 1);
+                updateMessage(messageIndex, { attachments });
+            };
+
+            const addAttachment = (messageIndex) => {
+                updateMessage(messageIndex, {
+                    attachments: [...scenario.messages[messageIndex].attachments, plugin.createAttachmentEntry()]
+                });
+            };
+
+            const pickAttachments = async (messageIndex) => {
+                const picked = await plugin.pickLocalAttachments();
+                if (!picked.length) return;
+                // Reading files is async; merge into the latest saved state rather than this render's copy.
+                const scenarios = plugin.config.scenarios.slice();
+                const target = scenarios.findIndex((candidate) => candidate.id === scenario.id);
+                const messages = scenarios[target]?.messages.slice();
+                if (!messages?.[messageIndex]) return;
+                messages[messageIndex] = {
+                    ...messages[messageIndex],
+                    attachments: [...messages[messageIndex].attachments, ...picked]
                 };
-            }, [settings.discordId]);
+                scenarios[target] = { ...scenarios[target], messages };
+                sync({ ...plugin.config, scenarios });
+            };
+
+            const updateReaction = (messageIndex, reactionIndex, patch) => {
+                const reactions = scenario.messages[messageIndex].reactions.slice();
+                reactions[reactionIndex] = { ...reactions[reactionIndex], ...patch };
+                updateMessage(messageIndex, { reactions });
+            };
+
+            const removeReaction = (messageIndex, reactionIndex) => {
+                const reactions = scenario.messages[messageIndex].reactions.slice();
+                reactions.splice(reactionIndex, 1);
+                updateMessage(messageIndex, { reactions });
+            };
+
+            const addReaction = (messageIndex) => {
+                updateMessage(messageIndex, {
+                    reactions: [...scenario.messages[messageIndex].reactions, plugin.createReactionEntry()]
+                });
+            };
 
-            const updateEmbed = (index, field, value) => {
-                const embeds = settings.embeds.slice();
-                embeds[index] = { ...embeds[index], [field]: value };
-                updatePartial({ embeds });
+            const updatePersona = (index, patch) => {
+                const personas = settings.personas.slice();
+                personas[index] = { ...personas[index], ...patch };
+                updatePartial({ personas });
             };
 
-            const removeEmbed = (index) => {
-                const embeds = settings.embeds.slice();
-                embeds.splice(index, 1);
-                updatePartial({ embeds });
+            const removePersona = (index) => {
+                const personas = settings.personas.slice();
+                personas.splice(index, 1);
+                updatePartial({ personas });
             };
 
-            const addEmbed = () => {
+            const addPersona = () => {
                 updatePartial({
-                    embeds: [...settings.embeds, { label: "", url: "" }]
+                    personas: [
+                        ...settings.personas,
+                        plugin.createPersona({ name: `Persona ${settings.personas.length + 1}` })
+                    ]
                 });
             };
 
+            const acknowledgeImpersonation = async () => {
+                if (busy) return;
+                setBusy(true);
+                if (await plugin.confirmImpersonation()) updatePartial({ impersonationAcknowledged: true });
+                setBusy(false);
+            };
+
+            // Replaces a real author with a new synthetic persona in one update.
+            const swapInPersona = (index) => {
+                const persona = plugin.createPersona({ name: `Persona ${settings.personas.length + 1}` });
+                const messages = scenario.messages.slice();
+                messages[index] = { ...messages[index], authorType: "persona", personaId: persona.id };
+                const scenarios = settings.scenarios.slice();
+                scenarios[scenarioIndex] = { ...scenarios[scenarioIndex], messages };
+                updatePartial({ scenarios, personas: [...settings.personas, persona] });
+            };
+
             const handleClear = async () => {
                 if (busy) return;
                 setBusy(true);
                 const confirmed = await plugin.confirmReset();
                 if (confirmed) {
+                    plugin.recordEdit();
                     const defaults = await plugin.resetConfigToDefaults();
-                    setSettings({
-                        ...defaults,
-                        embeds: plugin.normalizeEmbeds(defaults.embeds)
-                    });
-                    setPreviewState({ status: "idle", user: null });
+                    setSettings(plugin.mergeWithDefaults(defaults));
                 }
                 setBusy(false);
             };
 
-            const channelSpecific = settings.channelMode === "specific";
-            const idValid = plugin.isSnowflake(settings.discordId);
-            const channelValid = !channelSpecific || plugin.isSnowflake(settings.targetChannelId);
+            const canPickFiles = typeof document !== "undefined" && typeof FileReader !== "undefined";
 
-            const embedCards = settings.embeds.map((entry, index) =>
+            const messageCards = (scenario?.messages ?? []).map((message, index) =>
                 React.createElement(
                     primitives.View,
-                    { key: `embed-${index}`, style: primitives.styles.embedCard },
+                    { key: message.id, style: primitives.styles.messageCard },
                     React.createElement(
-                        primitives.Text,
-                        { style: primitives.styles.label },
-                        `Entry ${index + 1}`
+                        primitives.Row,
+                        null,
+                        React.createElement(
+                            primitives.Text,
+                            { style: primitives.styles.label },
+                            `Message ${index + 1}`
+                        ),
+                        React.createElement(
+                            primitives.Row,
+                            { style: primitives.styles.inlineButtons },
+                            React.createElement(
+                                primitives.Button,
+                                {
+                                    style: primitives.styles.smallButton,
+                                    textStyle: primitives.styles.buttonTextDark,
+                                    onPress: () => moveMessage(index, -1),
+                                    disabled: index === 0
+                                },
+                                "Up"
+                            ),
+                            React.createElement(
+                                primitives.Button,
+                                {
+                                    style: primitives.styles.smallButton,
+                                    textStyle: primitives.styles.buttonTextDark,
+                                    onPress: () => moveMessage(index, 1),
+                                    disabled: index === scenario.messages.length - 1
+                                },
+                                "Down"
+                            )
+                        )
                     ),
-                    React.createElement(primitives.TextInput, {
-                        style: primitives.styles.input,
-                        placeholder: "Label",
-                        value: entry.label,
-                        onChangeText: (text) => updateEmbed(index, "label", text)
-                    }),
-                    React.createElement(primitives.TextInput, {
-                        style: primitives.styles.input,
-                        placeholder: "https://example.com",
-                        autoCapitalize: "none",
-                        autoCorrect: false,
-                        value: entry.url,
-                        onChangeText: (text) => updateEmbed(index, "url", text)
-                    }),
-                    entry.url && !/^https?:\/\//i.test(entry.url.trim())
+                    React.createElement(
+                        primitives.Row,
+                        { style: primitives.styles.switchRow },
+                        React.createElement(
+                            primitives.Text,
+                            { style: primitives.styles.label },
+                            "Use synthetic persona"
+                        ),
+                        React.createElement(primitives.Switch, {
+                            value: message.authorType === "persona",
+                            onValueChange: (value) =>
+                                updateMessage(index, {
+                                    authorType: value ? "persona" : "user",
+                                    personaId: message.personaId || settings.personas[0]?.id || ""
+                                })
+                        })
+                    ),
+                    message.authorType === "persona"
+                        ? React.createElement(PersonaPicker, {
+                              personas: settings.personas,
+                              selectedId: message.personaId,
+                              onSelect: (personaId) => updateMessage(index, { personaId })
+                          })
+                        : React.createElement(primitives.TextInput, {
+                              style: primitives.styles.input,
+                              placeholder: "Author Discord User ID (snowflake)",
+                              value: message.discordId,
+                              keyboardType: "numeric",
+                              onChangeText: (text) => updateMessage(index, { discordId: text })
+                          }),
+                    message.authorType !== "persona" && !plugin.isSnowflake(message.discordId)
+                        ? React.createElement(
+                              primitives.Text,
+                              { style: primitives.styles.warning },
+                              "Invalid snowflake. This message is skipped until an author ID is set."
+                          )
+                        : null,
+                    message.authorType === "persona" &&
+                        settings.personas.length > 0 &&
+                        !settings.personas.some((persona) => persona.id === message.personaId)
                         ? React.createElement(
                               primitives.Text,
                               { style: primitives.styles.warning },
-                              "URL should start with http:// or https:// (still allowed locally)."
+                              "Persona not found. This message is skipped until a persona is picked."
+                          )
+                        : null,
+                    message.authorType !== "persona"
+                        ? React.createElement(AuthorPreview, { discordId: message.discordId })
+                        : null,
+                    message.authorType !== "persona" && plugin.isOtherRealUser(message.discordId)
+                        ? React.createElement(
+                              primitives.View,
+                              null,
+                              React.createElement(
+                                  primitives.Text,
+                                  { style: primitives.styles.warning },
+                                  settings.impersonationAcknowledged
+                                      ? `This is another real user. It shows with a red "${IMPERSONATION_BADGE_TEXT}" label.`
+                                      : "This is another real user. It is skipped until you acknowledge it."
+                              ),
+                              React.createElement(
+                                  primitives.Row,
+                                  { style: primitives.styles.inlineButtons },
+                                  settings.impersonationAcknowledged
+                                      ? null
+                                      : React.createElement(
+                                            primitives.Button,
+                                            {
+                                                style: primitives.styles.smallButton,
+                                                textStyle: primitives.styles.buttonTextDark,
+                                                onPress: acknowledgeImpersonation,
+                                                disabled: busy
+                                            },
+                                            "I understand"
+                                        ),
+                                  React.createElement(
+                                      primitives.Button,
+                                      {
+                                          style: primitives.styles.smallButton,
+                                          textStyle: primitives.styles.buttonTextDark,
+                                          onPress: () => swapInPersona(index)
+                                      },
+                                      "Swap in a persona"
+                                  )
+                              )
                           )
                         : null,
+                    React.createElement(primitives.MultiLineInput, {
+                        style: primitives.styles.textArea,
+                        multiline: true,
+                        numberOfLines: 4,
+                        placeholder: "Message content",
+                        value: message.content,
+                        onChangeText: (text) => updateMessage(index, { content: text })
+                    }),
+                    plugin.validateTemplate(message.content).map((problem) =>
+                        React.createElement(
+                            primitives.Text,
+                            { key: problem, style: primitives.styles.warning },
+                            problem
+                        )
+                    ),
+                    React.createElement(MessagePreview, {
+                        entry: message,
+                        siblings: scenario.messages,
+                        personas: settings.personas
+                    }),
+                    index > 0
+                        ? React.createElement(
+                              primitives.Row,
+                              { style: primitives.styles.switchRow },
+                              React.createElement(
+                                  primitives.Text,
+                                  { style: primitives.styles.label },
+                                  "Group with previous message"
+                              ),
+                              React.createElement(primitives.Switch, {
+                                  value: message.groupWithPrevious,
+                                  onValueChange: (value) => updateMessage(index, { groupWithPrevious: value })
+                              })
+                          )
+                        : null,
+                    React.createElement(ReplyEditor, {
+                        reply: message.reply,
+                        messages: scenario.messages,
+                        selfId: message.id,
+                        onChange: (patch) => updateMessage(index, { reply: { ...message.reply, ...patch } })
+                    }),
+                    message.embeds.map((embed, embedIndex) =>
+                        React.createElement(EmbedEditor, {
+                            key: `embed-${index}-${embedIndex}`,
+                            embed,
+                            index: embedIndex,
+                            onChange: (patch) => updateEmbed(index, embedIndex, patch),
+                            onRemove: () => removeEmbed(index, embedIndex)
+                        })
+                    ),
+                    React.createElement(
+                        primitives.Button,
+                        {
+                            style: primitives.styles.addButton,
+                            textStyle: primitives.styles.buttonTextDark,
+                            onPress: () => addEmbed(index)
+                        },
+                        "Add Embed"
+                    ),
+                    React.createElement(ComponentsEditor, {
+                        components: message.components,
+                        onChange: (components) => updateMessage(index, { components })
+                    }),
+                    message.attachments.map((attachment, attachmentIndex) =>
+                        React.createElement(AttachmentEditor, {
+                            key: `attachment-${index}-${attachmentIndex}`,
+                            attachment,
+                            index: attachmentIndex,
+                            onChange: (patch) => updateAttachment(index, attachmentIndex, patch),
+                            onRemove: () => removeAttachment(index, attachmentIndex)
+                        })
+                    ),
+                    React.createElement(
+                        primitives.Row,
+                        { style: primitives.styles.inlineButtons },
+                        canPickFiles
+                            ? React.createElement(
+                                  primitives.Button,
+                                  {
+                                      style: primitives.styles.addButton,
+                                      textStyle: primitives.styles.buttonTextDark,
+                                      onPress: () => pickAttachments(index)
+                                  },
+                                  "Pick Files"
+                              )
+                            : null,
+                        React.createElement(
+                            primitives.Button,
+                            {
+                                style: primitives.styles.addButton,
+                                textStyle: primitives.styles.buttonTextDark,
+                                onPress: () => addAttachment(index)
+                            },
+                            "Add Attachment"
+                        )
+                    ),
+                    message.reactions.map((reaction, reactionIndex) =>
+                        React.createElement(ReactionEditor, {
+                            key: `reaction-${index}-${reactionIndex}`,
+                            reaction,
+                            index: reactionIndex,
+                            onChange: (patch) => updateReaction(index, reactionIndex, patch),
+                            onRemove: () => removeReaction(index, reactionIndex)
+                        })
+                    ),
+                    React.createElement(
+                        primitives.Button,
+                        {
+                            style: primitives.styles.addButton,
+                            textStyle: primitives.styles.buttonTextDark,
+                            onPress: () => addReaction(index)
+                        },
+                        "Add Reaction"
+                    ),
                     React.createElement(
                         primitives.Button,
                         {
                             style: primitives.styles.removeButton,
                             textStyle: primitives.styles.buttonTextLight,
-                            onPress: () => removeEmbed(index)
+                            onPress: () => removeMessage(index)
                         },
-                        "Remove"
+                        "Remove Message"
                     )
                 )
             );
 
-            const previewBlock = (() => {
-                const { user, status } = previewState;
-                if (status === "loading") {
-                    return React.createElement(
-                        primitives.Text,
-                        { style: primitives.styles.muted },
-                        "Resolving user..."
-                    );
-                }
-                if (status === "invalid") {
-                    return React.createElement(
-                        primitives.Text,
-                        { style: primitives.styles.warning },
-                        "Enter a numeric Discord ID."
-                    );
-                }
-                if (!user?.id) {
-                    return React.createElement(
-                        primitives.Text,
-                        { style: primitives.styles.muted },
-                        settings.discordId
-                            ? `Using ID: ${settings.discordId}`
-                            : "No user selected."
-                    );
-                }
+            const reloadFromPlugin = () => {
+                const next = plugin.mergeWithDefaults(plugin.config);
+                setSettings(next);
+                setActiveScenarioId(next.scenarios[0]?.id ?? null);
+            };
 
-                const avatar = plugin.getAvatarUrl(user);
-                return React.createElement(
-                    primitives.View,
-                    { style: primitives.styles.previewRow },
-                    avatar
-                        ? React.createElement(primitives.Image, {
-                              source: { uri: avatar },
-                              style: primitives.styles.avatar
-                          })
-                        : null,
-                    React.createElement(
-                        primitives.View,
-                        null,
-                        React.createElement(
-                            primitives.Text,
-                            { style: primitives.styles.previewTitle },
-                            plugin.getDisplayName(user)
-                        ),
-                        React.createElement(
-                            primitives.Text,
-                            { style: primitives.styles.muted },
-                            `ID: ${user.id}`
-                        )
-                    )
-                );
-            })();
             return React.createElement(
                 primitives.ScrollView,
                 { style: primitives.styles.container },
+                React.createElement(ProfileBar, { onSwitched: reloadFromPlugin }),
+                React.createElement(EditHistoryBar, { onStep: restoreEdit }),
                 React.createElement(
                     primitives.Text,
                     { style: primitives.styles.notice },
                     "These fake messages are only visible to you on this device. Please do not use them to mislead others."
                 ),
+                configBackup && !plugin.storageRecovery
+                    ? React.createElement(
+                          primitives.Text,
+                          { style: primitives.styles.warning },
+                          `A saved config could not be upgraded (${configBackup.reason}). The original was kept under "${CONFIG_BACKUP_SLOT}" on ${configBackup.savedAt}.`
+                      )
+                    : null,
+                React.createElement(StorageStatus, null),
+                React.createElement(BadgeStatus, null),
 
                 React.createElement(
                     primitives.Section,
@@ -771,23 +6753,113 @@ class FakeMessageComposer {
                     React.createElement(
                         primitives.Text,
                         { style: primitives.styles.title },
-                        "Source User ID"
+                        "Scenarios"
                     ),
-                    React.createElement(primitives.TextInput, {
-                        style: primitives.styles.input,
-                        placeholder: "Enter Discord User ID (snowflake)",
-                        value: settings.discordId,
-                        keyboardType: "numeric",
-                        onChangeText: (text) => updatePartial({ discordId: text })
-                    }),
-                    !idValid
+                    React.createElement(
+                        primitives.Text,
+                        { style: primitives.styles.muted },
+                        "Enabled scenarios are injected one after another. Messages are injected top to bottom; Markdown and line breaks are rendered by Discord as usual."
+                    ),
+                    React.createElement(
+                        primitives.Text,
+                        { style: primitives.styles.muted },
+                        "Content variables: " +
+                            Object.entries(TEMPLATE_VARIABLES)
+                                .map(([name, description]) => `{{${name}}} ${description}`)
+                                .join("; ")
+                    ),
+                    React.createElement(
+                        primitives.View,
+                        { style: primitives.styles.chipRow },
+                        settings.scenarios.map((candidate) =>
+                            React.createElement(
+                                primitives.Button,
+                                {
+                                    key: candidate.id,
+                                    style:
+                                        candidate.id === scenario?.id
+                                            ? primitives.styles.chipSelected
+                                            : primitives.styles.chip,
+                                    textStyle: primitives.styles.buttonTextDark,
+                                    onPress: () => setActiveScenarioId(candidate.id)
+                                },
+                                `${candidate.name || "Untitled scenario"}${candidate.enabled ? "" : " (off)"}`
+                            )
+                        ),
+                        React.createElement(
+                            primitives.Button,
+                            {
+                                style: primitives.styles.chip,
+                                textStyle: primitives.styles.buttonTextDark,
+                                onPress: addScenario
+                            },
+                            "+ New"
+                        )
+                    ),
+                    scenario
                         ? React.createElement(
+                              primitives.View,
+                              null,
+                              React.createElement(primitives.TextInput, {
+                                  style: primitives.styles.input,
+                                  placeholder: "Scenario name",
+                                  value: scenario.name,
+                                  onChangeText: (text) => updateScenario({ name: text })
+                              }),
+                              React.createElement(
+                                  primitives.Row,
+                                  { style: primitives.styles.switchRow },
+                                  React.createElement(
+                                      primitives.Text,
+                                      { style: primitives.styles.label },
+                                      "Inject this scenario"
+                                  ),
+                                  React.createElement(primitives.Switch, {
+                                      value: scenario.enabled,
+                                      onValueChange: (value) => updateScenario({ enabled: value })
+                                  })
+                              ),
+                              React.createElement(RulesEditor, {
+                                  key: `rules-${scenario.id}`,
+                                  rules: scenario.rules,
+                                  onChange: (patch) => updateScenario({ rules: { ...scenario.rules, ...patch } })
+                              }),
+                              React.createElement(PlacementEditor, {
+                                  key: `placement-${scenario.id}`,
+                                  placement: scenario.placement,
+                                  onChange: (patch) =>
+                                      updateScenario({ placement: { ...scenario.placement, ...patch } })
+                              }),
+                              messageCards,
+                              React.createElement(
+                                  primitives.Button,
+                                  {
+                                      style: primitives.styles.addButton,
+                                      textStyle: primitives.styles.buttonTextDark,
+                                      onPress: addMessage
+                                  },
+                                  "Add Message"
+                              ),
+                              React.createElement(TimelineEditor, {
+                                  key: `timeline-${scenario.id}`,
+                                  scenario,
+                                  onChange: (patch) => updateScenario({ timeline: { ...scenario.timeline, ...patch } })
+                              }),
+                              React.createElement(
+                                  primitives.Button,
+                                  {
+                                      style: primitives.styles.removeButton,
+                                      textStyle: primitives.styles.buttonTextLight,
+                                      onPress: removeScenario
+                                  },
+                                  "Remove Scenario"
+                              )
+                          )
+                        : React.createElement(
                               primitives.Text,
-                              { style: primitives.styles.warning },
-                              "Invalid snowflake. The fake message still renders with a placeholder."
+                              { style: primitives.styles.muted },
+                              "No scenarios yet."
                           )
-                        : null,
-                    previewBlock
                 ),
 
                 React.createElement(
@@ -796,19 +6868,109 @@ class FakeMessageComposer {
                     React.createElement(
                         primitives.Text,
                         { style: primitives.styles.title },
-                        "Fake Message Content"
+                        "Synthetic Personas"
                     ),
-                    React.createElement(primitives.MultiLineInput, {
-                        style: primitives.styles.textArea,
-                        multiline: true,
-                        numberOfLines: 4,
-                        value: settings.messageContent,
-                        onChangeText: (text) => updatePartial({ messageContent: text })
-                    }),
                     React.createElement(
                         primitives.Text,
                         { style: primitives.styles.muted },
-                        "Supports line breaks. Markdown is rendered by Discord as usual."
+                        "Made-up authors stored on this device. They never resolve a real Discord account."
+                    ),
+                    settings.personas.map((persona, index) =>
+                        React.createElement(
+                            primitives.View,
+                            { key: persona.id, style: primitives.styles.embedCard },
+                            React.createElement(
+                                primitives.View,
+                                { style: primitives.styles.previewRow },
+                                React.createElement(primitives.Image, {
+                                    source: { uri: plugin.getPersonaAvatar(persona) },
+                                    style: primitives.styles.avatar
+                                }),
+                                React.createElement(
+                                    primitives.Text,
+                                    { style: primitives.styles.previewTitle },
+                                    persona.name || "Unnamed Persona"
+                                ),
+                                React.createElement(primitives.View, {
+                                    style: {
+                                        width: 14,
+                                        height: 14,
+                                        borderRadius: 7,
+                                        marginLeft: 8,
+                                        backgroundColor: plugin.isHexColor(persona.accentColor)
+                                            ? persona.accentColor
+                                            : DEFAULT_PERSONA_COLOR
+                                    }
+                                })
+                            ),
+                            React.createElement(primitives.TextInput, {
+                                style: primitives.styles.input,
+                                placeholder: "Display name",
+                                value: persona.name,
+                                onChangeText: (text) => updatePersona(index, { name: text })
+                            }),
+                            React.createElement(primitives.TextInput, {
+                                style: primitives.styles.input,
+                                placeholder: "Avatar data: URI (leave empty to generate)",
+                                autoCapitalize: "none",
+                                autoCorrect: false,
+                                value: persona.avatar,
+                                onChangeText: (text) => updatePersona(index, { avatar: text })
+                            }),
+                            persona.avatar && !/^data:image\//i.test(persona.avatar)
+                                ? React.createElement(
+                                      primitives.Text,
+                                      { style: primitives.styles.warning },
+                                      "Only data:image/ URIs are used; a generated avatar is shown instead."
+                                  )
+                                : null,
+                            React.createElement(primitives.TextInput, {
+                                style: primitives.styles.input,
+                                placeholder: "Accent colour (#rrggbb)",
+                                autoCapitalize: "none",
+                                autoCorrect: false,
+                                value: persona.accentColor,
+                                onChangeText: (text) => updatePersona(index, { accentColor: text })
+                            }),
+                            !plugin.isHexColor(persona.accentColor)
+                                ? React.createElement(
+                                      primitives.Text,
+                                      { style: primitives.styles.warning },
+                                      `Use a #rrggbb colour; ${DEFAULT_PERSONA_COLOR} is used until then.`
+                                  )
+                                : null,
+                            React.createElement(
+                                primitives.Row,
+                                { style: primitives.styles.switchRow },
+                                React.createElement(
+                                    primitives.Text,
+                                    { style: primitives.styles.label },
+                                    "Show BOT tag"
+                                ),
+                                React.createElement(primitives.Switch, {
+                                    value: persona.bot,
+                                    onValueChange: (value) => updatePersona(index, { bot: value })
+                                })
+                            ),
+                            React.createElement(
+                                primitives.Button,
+                                {
+                                    style: primitives.styles.removeButton,
+                                    textStyle: primitives.styles.buttonTextLight,
+                                    onPress: () => removePersona(index)
+                                },
+                                "Remove Persona"
+                            )
+                        )
+                    ),
+                    React.createElement(
+                        primitives.Button,
+                        {
+                            style: primitives.styles.addButton,
+                            textStyle: primitives.styles.buttonTextDark,
+                            onPress: addPersona
+                        },
+                        "Add Persona"
                     )
                 ),
 
@@ -818,18 +6980,14 @@ class FakeMessageComposer {
                     React.createElement(
                         primitives.Text,
                         { style: primitives.styles.title },
-                        "Optional Embedded Links"
+                        "Interaction Sandbox"
                     ),
-                    embedCards,
                     React.createElement(
-                        primitives.Button,
-                        {
-                            style: primitives.styles.addButton,
-                            textStyle: primitives.styles.buttonTextDark,
-                            onPress: addEmbed
-                        },
-                        "Add Link"
-                    )
+                        primitives.Text,
+                        { style: primitives.styles.muted },
+                        "Component interactions on fake messages never leave this device; this is what would have been sent."
+                    ),
+                    React.createElement(InteractionLog, null)
                 ),
 
                 React.createElement(
@@ -838,44 +6996,34 @@ class FakeMessageComposer {
                     React.createElement(
                         primitives.Text,
                         { style: primitives.styles.title },
-                        "Channel / Context Behavior"
+                        "Stress Test"
                     ),
                     React.createElement(
-                        primitives.Row,
-                        { style: primitives.styles.switchRow },
-                        React.createElement(
-                            primitives.Text,
-                            { style: primitives.styles.label },
-                            "Only show in selected channel"
-                        ),
-                        React.createElement(primitives.Switch, {
-                            value: channelSpecific,
-                            onValueChange: (value) =>
-                                updatePartial({
-                                    channelMode: value ? "specific" : "any"
-                                })
-                        })
+                        primitives.Text,
+                        { style: primitives.styles.muted },
+                        "Generates varied local messages in the open channel to profile scrolling and rendering. " +
+                            "They stay until cleared or the plugin stops."
                     ),
-                    channelSpecific
-                        ? React.createElement(primitives.TextInput, {
-                              style: primitives.styles.input,
-                              placeholder: "Target Channel ID (snowflake)",
-                              value: settings.targetChannelId,
-                              keyboardType: "numeric",
-                              onChangeText: (text) => updatePartial({ targetChannelId: text })
-                          })
-                        : React.createElement(
-                              primitives.Text,
-                              { style: primitives.styles.muted },
-                              "Fake messages render in whichever channel is currently open."
-                          ),
-                    channelSpecific && !channelValid
-                        ? React.createElement(
-                              primitives.Text,
-                              { style: primitives.styles.warning },
-                              "Set a valid channel ID to avoid accidental display elsewhere."
-                          )
-                        : null
+                    React.createElement(StressPanel, null)
+                ),
+
+                React.createElement(
+                    primitives.Section,
+                    null,
+                    React.createElement(
+                        primitives.Text,
+                        { style: primitives.styles.title },
+                        "Import / Export"
+                    ),
+                    React.createElement(
+                        primitives.Text,
+                        { style: primitives.styles.muted },
+                        "Share fixtures as JSON packs. Imports are validated and upgraded like saved settings."
+                    ),
+                    React.createElement(PackTransfer, {
+                        scenarioId: scenario?.id ?? null,
+                        onImported: reloadFromPlugin
+                    })
                 ),
 
                 React.createElement(
@@ -936,12 +7084,43 @@ class FakeMessageComposer {
                     { ...props, multiline: true, textAlignVertical: "top" }
                 );
 
+            // React Native has no native colour picker, so offer swatches plus a hex field.
+            const ColorInput = (props) =>
+                React.createElement(
+                    RN.View,
+                    null,
+                    React.createElement(
+                        RN.View,
+                        { style: styles.chipRow },
+                        COLOR_SWATCHES.map((color) =>
+                            React.createElement(ButtonBase, {
+                                key: color,
+                                onPress: () => props.onChange?.(color),
+                                style: [
+                                    styles.swatch,
+                                    { backgroundColor: color },
+                                    props.value?.toLowerCase() === color ? styles.swatchSelected : null
+                                ]
+                            })
+                        )
+                    ),
+                    React.createElement(RN.TextInput, {
+                        style: styles.input,
+                        placeholder: "#rrggbb",
+                        autoCapitalize: "none",
+                        autoCorrect: false,
+                        value: props.value,
+                        onChangeText: (text) => props.onChange?.(text)
+                    })
+                );
+
             return {
                 ScrollView: RN.ScrollView,
                 View: RN.View,
                 Text: RN.Text,
                 TextInput: RN.TextInput,
                 MultiLineInput,
+                ColorInput,
                 Switch: RN.Switch,
                 Button,
                 Section,
@@ -986,6 +7165,14 @@ class FakeMessageComposer {
                 onChange: (e) => props.onChangeText?.(e.target.value)
             });
 
+        const ColorInput = (props) =>
+            React.createElement("input", {
+                type: "color",
+                value: this.isHexColor(props.value) ? props.value : DEFAULT_EMBED_COLOR,
+                onChange: (e) => props.onChange?.(e.target.value),
+                style: styles.colorInput
+            });
+
         const Switch = (props) =>
             React.createElement("input", {
                 type: "checkbox",
@@ -1019,6 +7206,7 @@ class FakeMessageComposer {
             Text,
             TextInput,
             MultiLineInput,
+            ColorInput,
             Switch,
             Button,
             Section,
@@ -1071,6 +7259,74 @@ class FakeMessageComposer {
             previewRow: { flexDirection: "row", alignItems: "center", marginTop: 8 },
             previewTitle: { fontSize: 15, fontWeight: "600" },
             avatar: { width: 40, height: 40, borderRadius: 20, marginRight: 10 },
+            previewMessage: {
+                padding: 10,
+                marginBottom: 8,
+                borderRadius: 6,
+                backgroundColor: "#313338"
+            },
+            previewTime: { color: "#949ba4", fontSize: 12, marginLeft: 6 },
+            previewTag: {
+                marginLeft: 4,
+                paddingHorizontal: 4,
+                borderRadius: 3,
+                fontSize: 10,
+                color: "#fff",
+                backgroundColor: "#5865f2"
+            },
+            previewBadge: {
+                marginLeft: 6,
+                paddingHorizontal: 8,
+                paddingVertical: 2,
+                borderRadius: 4,
+                fontSize: 10,
+                color: "#f0b429",
+                backgroundColor: "rgba(240, 180, 41, 0.15)"
+            },
+            previewImpersonationMessage: {
+                padding: 10,
+                marginBottom: 8,
+                borderRadius: 6,
+                borderLeftWidth: 3,
+                borderLeftColor: IMPERSONATION_BADGE_COLOR,
+                backgroundColor: "#3b2a2e"
+            },
+            previewImpersonationBadge: {
+                marginLeft: 6,
+                paddingHorizontal: 8,
+                paddingVertical: 2,
+                borderRadius: 4,
+                fontSize: 10,
+                fontWeight: "700",
+                color: "#ffffff",
+                backgroundColor: IMPERSONATION_BADGE_COLOR
+            },
+            previewEmbed: {
+                flexDirection: "row",
+                marginTop: 6,
+                padding: 8,
+                borderRadius: 4,
+                backgroundColor: "#2b2d31"
+            },
+            previewMedia: { width: 200, height: 120, borderRadius: 4, marginTop: 6 },
+            previewChip: {
+                marginRight: 6,
+                marginTop: 6,
+                paddingHorizontal: 8,
+                paddingVertical: 2,
+                borderRadius: 4,
+                color: "#dbdee1",
+                backgroundColor: "#4e5058"
+            },
+            previewChipSelected: {
+                marginRight: 6,
+                marginTop: 6,
+                paddingHorizontal: 8,
+                paddingVertical: 2,
+                borderRadius: 4,
+                color: "#dbdee1",
+                backgroundColor: "rgba(88, 101, 242, 0.3)"
+            },
             embedCard: {
                 borderWidth: 1,
                 borderColor: "rgba(255,255,255,0.1)",
@@ -1078,6 +7334,46 @@ class FakeMessageComposer {
                 padding: 10,
                 marginBottom: 8
             },
+            messageCard: {
+                borderWidth: 1,
+                borderColor: "rgba(255,255,255,0.15)",
+                borderRadius: 8,
+                padding: 10,
+                marginBottom: 12
+            },
+            inlineButtons: { flexDirection: "row", alignItems: "center" },
+            chipRow: { flexDirection: "row", flexWrap: "wrap", marginBottom: 8 },
+            chip: {
+                marginRight: 6,
+                marginBottom: 6,
+                paddingVertical: 4,
+                paddingHorizontal: 10,
+                backgroundColor: "rgba(255,255,255,0.6)"
+            },
+            chipSelected: {
+                marginRight: 6,
+                marginBottom: 6,
+                paddingVertical: 4,
+                paddingHorizontal: 10,
+                backgroundColor: "#f0b429"
+            },
+            swatch: {
+                width: 28,
+                height: 28,
+                borderRadius: 14,
+                marginRight: 6,
+                marginBottom: 6,
+                borderWidth: 1,
+                borderColor: "rgba(255,255,255,0.2)"
+            },
+            swatchSelected: { borderWidth: 3, borderColor: "#fff" },
+            attachmentThumb: { width: 48, height: 48, borderRadius: 4, marginRight: 10 },
+            smallButton: {
+                marginLeft: 6,
+                paddingVertical: 4,
+                paddingHorizontal: 8,
+                backgroundColor: "#f6f6f6"
+            },
             addButton: {
                 marginTop: 4,
                 backgroundColor: "#f6f6f6"
@@ -1142,12 +7438,94 @@ class FakeMessageComposer {
             previewRow: { display: "flex", alignItems: "center", gap: "10px", marginTop: "8px" },
             previewTitle: { fontSize: "15px", fontWeight: 600 },
             avatar: { width: "40px", height: "40px", borderRadius: "50%" },
+            previewMessage: { padding: "10px", marginBottom: "8px", borderRadius: "6px", background: "#313338" },
+            previewTime: { color: "#949ba4", fontSize: "12px", marginLeft: "6px" },
+            previewTag: {
+                marginLeft: "4px",
+                padding: "0 4px",
+                borderRadius: "3px",
+                fontSize: "10px",
+                color: "#fff",
+                background: "#5865f2"
+            },
+            previewBadge: {
+                marginLeft: "6px",
+                padding: "0 6px",
+                borderRadius: "4px",
+                fontSize: "10px",
+                textTransform: "uppercase",
+                color: "#f0b429",
+                background: "rgba(240, 180, 41, 0.15)"
+            },
+            previewImpersonationMessage: {
+                padding: "10px",
+                marginBottom: "8px",
+                borderRadius: "6px",
+                borderLeft: `3px solid ${IMPERSONATION_BADGE_COLOR}`,
+                background: "#3b2a2e"
+            },
+            previewImpersonationBadge: {
+                marginLeft: "6px",
+                padding: "0 6px",
+                borderRadius: "4px",
+                fontSize: "10px",
+                fontWeight: 700,
+                textTransform: "uppercase",
+                color: "#ffffff",
+                background: IMPERSONATION_BADGE_COLOR
+            },
+            previewEmbed: {
+                display: "flex",
+                marginTop: "6px",
+                padding: "8px",
+                borderRadius: "4px",
+                background: "#2b2d31"
+            },
+            previewMedia: {
+                width: "auto",
+                height: "auto",
+                maxWidth: "200px",
+                maxHeight: "120px",
+                borderRadius: "4px",
+                marginTop: "6px"
+            },
+            previewChip: {
+                padding: "2px 8px",
+                marginTop: "6px",
+                borderRadius: "4px",
+                color: "#dbdee1",
+                background: "#4e5058"
+            },
+            previewChipSelected: {
+                padding: "2px 8px",
+                marginTop: "6px",
+                borderRadius: "4px",
+                color: "#dbdee1",
+                background: "rgba(88, 101, 242, 0.3)"
+            },
             embedCard: {
                 border: "1px solid rgba(255,255,255,0.1)",
                 borderRadius: "6px",
                 padding: "10px",
                 marginBottom: "8px"
             },
+            messageCard: {
+                border: "1px solid rgba(255,255,255,0.15)",
+                borderRadius: "8px",
+                padding: "10px",
+                marginBottom: "12px"
+            },
+            inlineButtons: { display: "flex", alignItems: "center", gap: "6px" },
+            chipRow: { display: "flex", flexWrap: "wrap", gap: "6px", marginBottom: "8px" },
+            chip: { padding: "4px 10px", background: "rgba(255,255,255,0.6)", color: "#000" },
+            chipSelected: { padding: "4px 10px", background: "#f0b429", color: "#000" },
+            attachmentThumb: { width: "48px", height: "48px", borderRadius: "4px", objectFit: "cover" },
+            colorInput: { width: "48px", height: "28px", marginBottom: "8px", border: "none", background: "none" },
+            smallButton: {
+                padding: "4px 8px",
+                background: "#f6f6f6",
+                color: "#000"
+            },
             addButton: {
                 background: "#f6f6f6",
                 color: "#000",
@@ -1177,8 +7555,54 @@ class FakeMessageComposer {
     // UI helpers
     // ------------------------------------------------------------------
 
+    /**
+     * Builds an entry exactly as it would be injected into the open channel,
+     * for the settings preview. Returns null while the entry has no author.
+     */
+    async buildPreviewMessage(entry, siblings = []) {
+        if (entry.authorType === "persona" ? !this.findPersona(entry.personaId) : !this.isSnowflake(entry.discordId)) {
+            return null;
+        }
+        const channelId = this.getCurrentChannelId()?.toString() ?? "preview";
+        // Previews are never injected, so their IDs are not registered.
+        const messageId = this.createSnowflake();
+        const message = await this.buildFakeMessage(channelId, entry, messageId);
+        if (entry.reply && entry.reply.kind !== "none") {
+            const builtByEntryId = new Map();
+            const target = siblings.find((candidate) => candidate.id === entry.reply.fixtureId);
+            if (entry.reply.kind === "fixture" && target && this.isRenderableMessage(target)) {
+                const targetId = (BigInt(messageId) - 1n).toString();
+                builtByEntryId.set(target.id, await this.buildFakeMessage(channelId, target, targetId));
+            }
+            this.applyReply(message, entry.reply, builtByEntryId);
+        }
+        return message;
+    }
+
+    // Discord's own message row on desktop. Mobile renders chat natively, so
+    // there this stays null and the panel uses its fallback renderer.
+    findMessageRenderer() {
+        if (this.messageRenderer !== undefined) return this.messageRenderer;
+        this.messageRenderer = null;
+        try {
+            const module = kettu?.Modules?.find?.((candidate) => {
+                const component = candidate?.default;
+                return (component?.displayName ?? component?.type?.displayName) === "ChannelMessage";
+            });
+            const records = kettu?.Modules?.getByProps?.("createMessageRecord");
+            if (module?.default && records?.createMessageRecord) {
+                this.messageRenderer = { Component: module.default, createRecord: records.createMessageRecord };
+            }
+        } catch (error) {
+            this.warn("Failed to look up Discord's message component - using the fallback preview", error);
+        }
+        return this.messageRenderer;
+    }
+
     getAvatarUrl(user) {
         if (!user?.id) return null;
+        const persona = this.findPersonaByAuthorId(user.id);
+        if (persona) return this.getPersonaAvatar(persona);
         if (user.avatar) {
             const format = user.avatar.startsWith("a_") ? "gif" : "png";
             return `https://cdn.discordapp.com/avatars/${user.id}/${user.avatar}.${format}?size=128`;
@@ -1191,30 +7615,48 @@ class FakeMessageComposer {
         return user?.global_name ?? user?.globalName ?? `${user?.username ?? "Unknown"}#${user?.discriminator ?? "0000"}`;
     }
 
+    notify(message) {
+        try {
+            if (kettu?.UI?.showToast) {
+                kettu.UI.showToast(message);
+                return;
+            }
+        } catch (error) {
+            this.warn("kettu.UI.showToast failed", error);
+        }
+        this.log(message);
+    }
+
     async confirmReset() {
-        const message = "Clear all saved FakeMessageComposer settings?";
+        return this.confirmAction({
+            title: "Clear Cached Config",
+            message: "Clear all saved FakeMessageComposer settings?",
+            confirmText: "Clear"
+        });
+    }
+
+    // `fallback` answers when no confirmation UI exists; anything granting consent passes false.
+    async confirmAction({ title, message, confirmText, fallback = true }) {
+        const fallbackConfirm = () =>
+            typeof window !== "undefined" && typeof window.confirm === "function" ? window.confirm(message) : fallback;
         if (kettu?.UI?.showConfirmation) {
             return new Promise((resolve) => {
                 try {
                     kettu.UI.showConfirmation({
-                        title: "Clear Cached Config",
+                        title,
                         body: message,
-                        confirmText: "Clear",
+                        confirmText,
                         cancelText: "Cancel",
                         onConfirm: () => resolve(true),
                         onCancel: () => resolve(false)
                     });
                 } catch (error) {
                     this.warn("kettu.UI.showConfirmation failed, using fallback confirm", error);
-                    resolve(typeof window !== "undefined" ? window.confirm(message) : true);
+                    resolve(fallbackConfirm());
                 }
             });
         }
-
-        if (typeof window !== "undefined" && typeof window.confirm === "function") {
-            return window.confirm(message);
-        }
-        return true;
+        return fallbackConfirm();
     }
 
     // ------------------------------------------------------------------
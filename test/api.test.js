@@ -0,0 +1,135 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { installMockKettu, flush } = require("./mock-kettu");
+const FakeMessageComposer = require("../MessageUtilities.js");
+
+const PLUGIN_ID = "test.fake-message-composer";
+const CHANNEL = "200000000000000001";
+const AUTHOR = { id: "300000000000000001", username: "alice" };
+
+async function startPlugin(t) {
+    const runtime = installMockKettu({ users: [AUTHOR], channels: [{ id: CHANNEL, type: 0 }] });
+    runtime.storage.set(PLUGIN_ID, "FakeMessageComposerConfig", { schemaVersion: 4, impersonationAcknowledged: true });
+    const plugin = new FakeMessageComposer({ id: PLUGIN_ID });
+    t.after(() => {
+        plugin.stop();
+        runtime.uninstall();
+    });
+    await plugin.start();
+    await flush();
+    return { runtime, plugin };
+}
+
+test("inject shows a marked message and returns a handle", async (t) => {
+    const { runtime, plugin } = await startPlugin(t);
+
+    const handle = await plugin.inject(CHANNEL, { discordId: AUTHOR.id, content: "from another plugin" });
+
+    const stored = runtime.messageStore.getMessage(CHANNEL, handle.id);
+    assert.equal(stored.content, "from another plugin");
+    assert.equal(stored.author.username, "alice");
+    assert.equal(stored.__fakeMessageComposer, true);
+    assert.ok(plugin.isInjectedMessageId(handle.id));
+});
+
+test("the marker and badge cannot be overridden by the spec", async (t) => {
+    const { runtime, plugin } = await startPlugin(t);
+    plugin.timestampBadgePatched = false;
+
+    const handle = await plugin.inject(CHANNEL, { content: "sneaky", __fakeMessageComposer: false, id: "1" });
+
+    const stored = runtime.messageStore.getMessage(CHANNEL, handle.id);
+    assert.equal(stored.__fakeMessageComposer, true);
+    assert.equal(stored.content, "[LOCAL FAKE] sneaky");
+    assert.notEqual(handle.id, "1");
+});
+
+test("messages without an author are shown as the current user", async (t) => {
+    const { runtime, plugin } = await startPlugin(t);
+
+    const handle = await plugin.inject(CHANNEL, { content: "me", author: undefined });
+
+    assert.equal(handle.message.author.id, runtime.userStore.getCurrentUser().id);
+    const custom = await plugin.inject(CHANNEL, { content: "bot", author: { id: "42", username: "Bot", bot: true } });
+    assert.equal(custom.message.author.username, "Bot");
+});
+
+test("an author override with an unknown account ID still needs the acknowledgement", async (t) => {
+    const { runtime, plugin } = await startPlugin(t);
+    const stranger = { id: "300000000000000099", username: "mallory" };
+    plugin.updateConfig({ impersonationAcknowledged: false }, { skipReload: true });
+
+    await assert.rejects(plugin.inject(CHANNEL, { content: "hi", author: stranger }), /acknowledgement/);
+
+    plugin.updateConfig({ impersonationAcknowledged: true }, { skipReload: true });
+    const handle = await plugin.inject(CHANNEL, { content: "hi", author: stranger });
+    assert.equal(runtime.messageStore.getMessage(CHANNEL, handle.id).__fakeMessageComposerImpersonation, true);
+});
+
+test("update re-renders in place and remove deletes the message", async (t) => {
+    const { runtime, plugin } = await startPlugin(t);
+    const handle = await plugin.inject(CHANNEL, { content: "before" });
+
+    await handle.update({ content: "after" }, { edited: true });
+    const stored = runtime.messageStore.getMessage(CHANNEL, handle.id);
+    assert.equal(stored.content, "after");
+    assert.ok(stored.edited_timestamp);
+
+    assert.equal(handle.remove(), true);
+    assert.equal(handle.remove(), false);
+    assert.equal(handle.removed, true);
+    assert.equal(runtime.messageStore.getMessage(CHANNEL, handle.id), null);
+    await assert.rejects(handle.update({ content: "again" }), /already removed/);
+});
+
+test("a failed update keeps the previous spec", async (t) => {
+    const { plugin } = await startPlugin(t);
+    const handle = await plugin.inject(CHANNEL, { content: "before" });
+    const fetchUser = plugin.fetchUser;
+    plugin.fetchUser = async () => {
+        throw new Error("offline");
+    };
+
+    await assert.rejects(handle.update({ content: "after", discordId: AUTHOR.id }), /offline/);
+    assert.equal(handle.message.content, "before");
+
+    plugin.fetchUser = fetchUser;
+    await handle.update({});
+    assert.equal(handle.message.content, "before");
+});
+
+test("events fire for injected, updated and removed messages", async (t) => {
+    const { plugin } = await startPlugin(t);
+    const events = [];
+    for (const name of ["injected", "updated", "removed"]) {
+        plugin.on(name, ({ messageId }) => events.push([name, messageId]));
+    }
+
+    const handle = await plugin.inject(CHANNEL, { content: "watched" });
+    await handle.update({ content: "changed" });
+    handle.remove();
+
+    assert.deepEqual(events, [
+        ["injected", handle.id],
+        ["updated", handle.id],
+        ["removed", handle.id]
+    ]);
+    assert.throws(() => plugin.on("typo", () => {}), /Unknown event/);
+});
+
+test("stop removes API messages, and inject refuses afterwards", async (t) => {
+    const { runtime, plugin } = await startPlugin(t);
+    const handle = await plugin.inject(CHANNEL, { content: "temporary" });
+
+    plugin.updateConfig({ enabled: false });
+    await flush();
+    assert.ok(runtime.messageStore.getMessage(CHANNEL, handle.id), "settings changes leave API messages alone");
+
+    plugin.stop();
+
+    assert.equal(runtime.messageStore.getMessage(CHANNEL, handle.id), null);
+    assert.equal(handle.removed, true);
+    await assert.rejects(plugin.inject(CHANNEL, { content: "late" }), /not running/);
+});
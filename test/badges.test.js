@@ -0,0 +1,124 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { installMockKettu, collectText, flush } = require("./mock-kettu");
+const FakeMessageComposer = require("../MessageUtilities.js");
+
+const PLUGIN_ID = "test.fake-message-composer";
+const GENERAL = "200000000000000001";
+const AUTHOR = { id: "300000000000000001", username: "alice" };
+
+async function startPlugin(t, options = {}) {
+    const runtime = installMockKettu({
+        users: [AUTHOR],
+        channels: [{ id: GENERAL, guild_id: "400000000000000001", type: 0 }],
+        selectedChannelId: GENERAL,
+        ...options
+    });
+    runtime.storage.set(PLUGIN_ID, "FakeMessageComposerConfig", {
+        schemaVersion: 4,
+        enabled: true,
+        impersonationAcknowledged: true,
+        scenarios: [{ id: "s1", messages: [{ id: "m1", discordId: AUTHOR.id, content: "hello" }] }]
+    });
+    const plugin = new FakeMessageComposer({ id: PLUGIN_ID });
+    plugin.badgeCheckDelayMs = 20;
+    t.after(() => {
+        plugin.stop();
+        runtime.uninstall();
+    });
+    await plugin.start();
+    return { runtime, plugin };
+}
+
+function fakeMessagesIn(runtime, channelId) {
+    return runtime.messageStore.getMessages(channelId).filter((message) => message.__fakeMessageComposer);
+}
+
+function strategy(plugin, id) {
+    return plugin.getBadgeState().strategies.find((entry) => entry.id === id);
+}
+
+test("a rendered badge passes the self-check", async (t) => {
+    const { runtime, plugin } = await startPlugin(t, { messageAccessories: true });
+    await flush(40);
+
+    assert.equal(plugin.badgeFailure, null);
+    assert.equal(fakeMessagesIn(runtime, GENERAL).length, 1);
+    assert.ok(strategy(plugin, "timestamp").verified);
+    assert.ok(strategy(plugin, "accessory").verified);
+    assert.equal(strategy(plugin, "prefix").available, false);
+    assert.ok(collectText(runtime.rendered).some((text) => text.includes("only visible on this device")));
+});
+
+test("the row banner is reported as unavailable when the module is missing", async (t) => {
+    const { plugin } = await startPlugin(t);
+
+    assert.equal(plugin.accessoryBadgePatched, false);
+    assert.match(strategy(plugin, "accessory").problem, /not found/);
+});
+
+test("nothing rendered means every local message is removed and injection is refused", async (t) => {
+    const { runtime, plugin } = await startPlugin(t, { render: false });
+    await flush();
+    assert.equal(fakeMessagesIn(runtime, GENERAL).length, 1);
+
+    await flush(40);
+
+    assert.match(plugin.badgeFailure, /Timestamp badge: patched but never rendered/);
+    assert.equal(fakeMessagesIn(runtime, GENERAL).length, 0);
+    assert.equal(runtime.toasts.length, 1);
+    await assert.rejects(plugin.inject(GENERAL, { content: "api" }), /Refusing to inject/);
+    assert.match(plugin.playTimeline("s1"), /Refusing to inject/);
+
+    plugin.retryBadgeCheck();
+    await flush();
+    // This time the client draws the row.
+    for (const message of fakeMessagesIn(runtime, GENERAL)) runtime.timestampModule.default({ message });
+    await flush(40);
+
+    assert.equal(plugin.badgeFailure, null);
+    assert.equal(fakeMessagesIn(runtime, GENERAL).length, 1);
+});
+
+test("the content prefix passes when no rendered badge is patched", async (t) => {
+    const { runtime, plugin } = await startPlugin(t, { render: false });
+    await flush();
+
+    plugin.timestampBadgePatched = false;
+    plugin.reapplyFakeMessages();
+    await flush(40);
+
+    assert.equal(plugin.badgeFailure, null);
+    assert.equal(fakeMessagesIn(runtime, GENERAL)[0].content, "[FAKE - NOT SENT BY THIS USER] hello");
+    assert.ok(strategy(plugin, "prefix").verified);
+});
+
+test("messages outside the open channel are not judged", async (t) => {
+    const { runtime, plugin } = await startPlugin(t, { render: false });
+    await flush();
+    plugin.clearInjectedMessages();
+    plugin.clearBadgeCheck();
+
+    await plugin.inject("200000000000000002", { content: "elsewhere" });
+    await flush(40);
+
+    assert.equal(plugin.badgeFailure, null);
+    assert.equal(fakeMessagesIn(runtime, "200000000000000002").length, 1);
+});
+
+test("a badge lost after an earlier pass still fails the next check", async (t) => {
+    const { runtime, plugin } = await startPlugin(t);
+    await flush(40);
+    assert.equal(plugin.badgeFailure, null);
+    assert.ok(strategy(plugin, "timestamp").verified);
+
+    // Discord swaps in a timestamp component the patch never wrapped.
+    runtime.timestampModule.default = (props) => ({ type: "MessageTimestamp", props });
+    await plugin.inject(GENERAL, { content: "later" });
+    await flush(40);
+
+    assert.match(plugin.badgeFailure, /No LOCAL FAKE label was rendered/);
+    assert.equal(fakeMessagesIn(runtime, GENERAL).length, 0);
+});
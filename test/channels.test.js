@@ -0,0 +1,107 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { installMockKettu, renderTree, collectText, flush } = require("./mock-kettu");
+const FakeMessageComposer = require("../MessageUtilities.js");
+
+const PLUGIN_ID = "test.fake-message-composer";
+const GUILD = { id: "400000000000000001", name: "Testing Grounds", icon: "abc" };
+const OTHER_GUILD = { id: "400000000000000002", name: "Book Club", icon: null };
+const FRIEND = { id: "300000000000000001", username: "alice", avatar: "def" };
+const CHANNELS = [
+    { id: "200000000000000001", guild_id: GUILD.id, type: 0, name: "welcome", position: 0 },
+    { id: "200000000000000002", guild_id: GUILD.id, type: 4, name: "Chat", position: 1 },
+    { id: "200000000000000003", guild_id: GUILD.id, type: 0, name: "general", position: 0, parent_id: "200000000000000002" },
+    { id: "200000000000000004", guild_id: GUILD.id, type: 11, name: "plans", parent_id: "200000000000000003" },
+    { id: "200000000000000005", guild_id: GUILD.id, type: 4, name: "Empty", position: 2 },
+    { id: "200000000000000006", guild_id: OTHER_GUILD.id, type: 0, name: "reading", position: 0 },
+    { id: "200000000000000007", type: 1, recipients: [FRIEND.id] }
+];
+
+async function startPlugin(t, config) {
+    const runtime = installMockKettu({ users: [FRIEND], guilds: [GUILD, OTHER_GUILD], channels: CHANNELS });
+    if (config) runtime.storage.set(PLUGIN_ID, "FakeMessageComposerConfig", { schemaVersion: 4, ...config });
+    const plugin = new FakeMessageComposer({ id: PLUGIN_ID });
+    t.after(() => {
+        plugin.stop();
+        runtime.uninstall();
+    });
+    await plugin.start();
+    await flush();
+    return { runtime, plugin };
+}
+
+const labels = (result) => result.rows.map((row) => `${"  ".repeat(row.depth)}${row.label}`);
+
+test("the directory lists DMs, then guilds with categories, channels and threads", async (t) => {
+    const { plugin } = await startPlugin(t);
+
+    assert.deepEqual(labels(plugin.searchChannelDirectory()), [
+        "Direct messages",
+        "  @alice",
+        "Book Club",
+        "  #reading",
+        "Testing Grounds",
+        "  #welcome",
+        "  CHAT",
+        "    #general",
+        "      > plans"
+    ]);
+    const rows = plugin.searchChannelDirectory().rows;
+    assert.equal(
+        rows.find((row) => row.label === "Testing Grounds").iconUrl,
+        "https://cdn.discordapp.com/icons/400000000000000001/abc.png?size=64"
+    );
+    assert.match(rows.find((row) => row.label === "@alice").iconUrl, /avatars\/300000000000000001\/def/);
+    assert.equal(rows.find((row) => row.type === "category").selectable, false);
+});
+
+test("searching keeps matches and the rows above them", async (t) => {
+    const { plugin } = await startPlugin(t);
+
+    assert.deepEqual(labels(plugin.searchChannelDirectory("plan")), [
+        "Testing Grounds",
+        "  CHAT",
+        "    #general",
+        "      > plans"
+    ]);
+    assert.deepEqual(labels(plugin.searchChannelDirectory("book")), ["Book Club", "  #reading"]);
+    assert.deepEqual(labels(plugin.searchChannelDirectory("200000000000000001")), ["Testing Grounds", "  #welcome"]);
+    assert.deepEqual(labels(plugin.searchGuildDirectory("test")), ["Testing Grounds"]);
+});
+
+test("saved IDs resolve to names and flag channels that are gone", async (t) => {
+    const { runtime, plugin } = await startPlugin(t);
+
+    assert.deepEqual(plugin.describeChannelId("200000000000000003"), {
+        id: "200000000000000003",
+        accessible: true,
+        label: "#general in Testing Grounds"
+    });
+    assert.equal(plugin.describeChannelId("200000000000000007").label, "@alice");
+    assert.equal(plugin.describeChannelId("299999999999999999").accessible, false);
+
+    runtime.guildStore.guilds.delete(OTHER_GUILD.id);
+    assert.equal(plugin.describeChannelId("200000000000000006").accessible, false);
+    assert.equal(plugin.describeGuildId(OTHER_GUILD.id).accessible, false);
+});
+
+test("the rules editor shows saved channels by name", async (t) => {
+    const { plugin } = await startPlugin(t, {
+        scenarios: [
+            {
+                id: "s1",
+                messages: [{ id: "m1", content: "hi" }],
+                rules: { allowChannelIds: ["200000000000000003", "299999999999999999"], allowGuildIds: [GUILD.id] }
+            }
+        ]
+    });
+
+    const texts = collectText(renderTree(plugin.getSettingsPanel()()));
+
+    assert.ok(texts.includes("#general in Testing Grounds"));
+    assert.ok(texts.includes("Testing Grounds"));
+    assert.ok(texts.some((text) => text.startsWith("299999999999999999: no longer accessible")));
+    assert.ok(texts.includes("Pick channels"));
+});
@@ -0,0 +1,209 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { installMockKettu, flush } = require("./mock-kettu");
+const FakeMessageComposer = require("../MessageUtilities.js");
+
+const PLUGIN_ID = "test.fake-message-composer";
+const CONFIG_SLOT = "FakeMessageComposerConfig";
+const BACKUP_SLOT = "FakeMessageComposerConfigBackup";
+
+function createPlugin(t, stored) {
+    const runtime = installMockKettu();
+    if (stored !== undefined) runtime.storage.set(PLUGIN_ID, CONFIG_SLOT, stored);
+    const plugin = new FakeMessageComposer({ id: PLUGIN_ID });
+    t.after(() => {
+        plugin.stop();
+        runtime.uninstall();
+    });
+    return { runtime, plugin };
+}
+
+test("an empty store loads the defaults without writing them", (t) => {
+    const { runtime, plugin } = createPlugin(t);
+
+    const config = plugin.loadConfig();
+
+    assert.equal(config.enabled, true);
+    assert.equal(config.scenarios.length, 1);
+    assert.equal(config.impersonationAcknowledged, false);
+    assert.deepEqual(Object.keys(config).sort(), Object.keys(plugin.mergeWithDefaults({})).sort());
+    assert.equal(runtime.storage.get(PLUGIN_ID, CONFIG_SLOT), null);
+});
+
+test("a legacy single-message config is migrated and written back", (t) => {
+    const { runtime, plugin } = createPlugin(t, {
+        enabled: true,
+        discordId: "300000000000000001",
+        messageContent: "legacy",
+        channelMode: "specific",
+        targetChannelId: "200000000000000001",
+        embeds: [{ label: "Docs", url: "https://example.com" }]
+    });
+
+    const config = plugin.loadConfig();
+
+    const [scenario] = config.scenarios;
+    assert.equal(config.schemaVersion, 4);
+    assert.equal(scenario.messages[0].content, "legacy");
+    assert.equal(scenario.messages[0].embeds[0].title, "Docs");
+    assert.deepEqual(scenario.rules.allowChannelIds, ["200000000000000001"]);
+    assert.equal(runtime.storage.get(PLUGIN_ID, CONFIG_SLOT).schemaVersion, 4);
+});
+
+test("a config from a newer schema is backed up and replaced with defaults", (t) => {
+    const { runtime, plugin } = createPlugin(t, { schemaVersion: 999, enabled: false });
+
+    const config = plugin.loadConfig();
+
+    assert.equal(config.enabled, true);
+    const backup = runtime.storage.get(PLUGIN_ID, BACKUP_SLOT);
+    assert.ok(backup, "the unreadable config is kept");
+    assert.match(JSON.stringify(backup), /999/);
+});
+
+test("updates are persisted once after the debounce", async (t) => {
+    const { runtime, plugin } = createPlugin(t);
+    plugin.config = plugin.loadConfig();
+    let writes = 0;
+    const set = runtime.storage.set;
+    runtime.storage.set = (...args) => {
+        if (args[1] === CONFIG_SLOT) writes += 1;
+        return set(...args);
+    };
+
+    plugin.updateConfig({ enabled: false }, { skipReload: true });
+    plugin.updateConfig({ enabled: true }, { skipReload: true });
+    plugin.updateConfig({ enabled: false }, { skipReload: true });
+    assert.equal(writes, 0);
+
+    await flush(300);
+    assert.equal(writes, 1);
+    assert.equal(runtime.storage.get(PLUGIN_ID, CONFIG_SLOT).enabled, false);
+});
+
+test("a persisted config survives a restart", async (t) => {
+    const { runtime, plugin } = createPlugin(t);
+    await plugin.start();
+    plugin.updateConfig({ personas: [{ id: "persona-1", name: "Bot", bot: true }] });
+    await flush(300);
+    plugin.stop();
+
+    const restarted = new FakeMessageComposer({ id: PLUGIN_ID });
+    t.after(() => restarted.stop());
+    await restarted.start();
+
+    assert.equal(restarted.config.personas[0].name, "Bot");
+    assert.equal(runtime.storage.get(PLUGIN_ID, CONFIG_SLOT).personas.length, 1);
+});
+
+test("normalisation drops malformed entries and duplicate ids", (t) => {
+    const { plugin } = createPlugin(t);
+
+    const config = plugin.mergeWithDefaults({
+        scenarios: [
+            {
+                id: "s1",
+                messages: [null, { id: "dup", content: "a" }, { id: "dup", content: "b" }],
+                rules: { allowChannelIds: ["not-an-id", "200000000000000001"], nsfw: "maybe" }
+            }
+        ],
+        personas: [{ id: "p1", name: "First" }, 7, { id: "p1", name: "Second" }]
+    });
+
+    const [scenario] = config.scenarios;
+    assert.equal(scenario.messages.length, 2);
+    assert.notEqual(scenario.messages[0].id, scenario.messages[1].id);
+    assert.deepEqual(scenario.rules.allowChannelIds, ["200000000000000001"]);
+    assert.equal(scenario.rules.nsfw, "any");
+    assert.deepEqual(
+        config.personas.map((persona) => persona.name),
+        ["First", "Second"]
+    );
+    assert.equal(config.personas[0].id, "p1");
+    assert.notEqual(config.personas[1].id, "p1");
+});
+
+test("a config pack round-trips through export and import", (t) => {
+    const { plugin } = createPlugin(t);
+    plugin.config = plugin.mergeWithDefaults({
+        scenarios: [{ id: "s1", name: "Exported", messages: [{ id: "m1", content: "packed" }] }]
+    });
+
+    const parsed = plugin.parsePack(plugin.serializePack(plugin.exportConfigPack()));
+
+    assert.deepEqual(parsed.errors, []);
+    assert.equal(parsed.config.scenarios[0].name, "Exported");
+    assert.equal(parsed.config.scenarios[0].messages[0].content, "packed");
+});
+
+test("pack values named after Object.prototype keys are not accepted", (t) => {
+    const { plugin } = createPlugin(t);
+    const pack = {
+        format: "fake-message-composer-pack",
+        packVersion: 1,
+        kind: "scenarios",
+        schemaVersion: 4,
+        scenarios: [
+            {
+                id: "s1",
+                messages: [{ id: "m1", content: "hi" }],
+                rules: { channelKinds: ["constructor", "toString", "text"] },
+                placement: { mode: "constructor" },
+                timeline: { steps: [{ action: "toString", entryId: "m1" }] }
+            }
+        ]
+    };
+
+    const [scenario] = plugin.parsePack(JSON.stringify(pack)).config.scenarios;
+
+    assert.deepEqual(scenario.rules.channelKinds, ["text"]);
+    assert.equal(scenario.placement.mode, "bottom");
+    assert.equal(scenario.timeline.steps[0].action, "send");
+});
+
+test("an imported persona whose id is taken is kept under a new id", (t) => {
+    const { plugin } = createPlugin(t);
+    plugin.config = plugin.mergeWithDefaults({
+        scenarios: [{ id: "s1", messages: [{ id: "m1", authorType: "persona", personaId: "p1", content: "mine" }] }],
+        personas: [{ id: "p1", name: "Local" }]
+    });
+    const pack = {
+        format: "fake-message-composer-pack",
+        packVersion: 1,
+        kind: "scenarios",
+        schemaVersion: 4,
+        scenarios: [{ id: "s1", messages: [{ id: "m1", authorType: "persona", personaId: "p1", content: "theirs" }] }],
+        personas: [{ id: "p1", name: "Imported" }]
+    };
+
+    const config = plugin.importPack(plugin.parsePack(JSON.stringify(pack)), "merge");
+
+    const [local, imported] = config.personas;
+    assert.equal(local.name, "Local");
+    assert.equal(imported.name, "Imported");
+    assert.notEqual(imported.id, "p1");
+    assert.equal(config.scenarios[0].messages[0].personaId, "p1");
+    assert.equal(config.scenarios[1].messages[0].personaId, imported.id);
+
+    plugin.importPack(plugin.parsePack(JSON.stringify({ ...pack, personas: [local] })), "merge");
+    assert.equal(plugin.config.personas.length, 2);
+});
+
+test("embeds with more than 25 fields are flagged before an import cuts them", (t) => {
+    const { plugin } = createPlugin(t);
+    const fields = Array.from({ length: 30 }, (_, index) => ({ name: `f${index}`, value: "v" }));
+    const pack = {
+        format: "fake-message-composer-pack",
+        packVersion: 1,
+        kind: "scenarios",
+        schemaVersion: 4,
+        scenarios: [{ id: "s1", messages: [{ id: "m1", embeds: [{ type: "rich", title: "Big", fields }] }] }]
+    };
+
+    const parsed = plugin.parsePack(JSON.stringify(pack));
+
+    assert.ok(parsed.warnings.includes("1 embed(s) have more than 25 fields; only the first 25 are kept."));
+    assert.equal(parsed.config.scenarios[0].messages[0].embeds[0].fields.length, 25);
+});
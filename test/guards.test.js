@@ -0,0 +1,116 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { installMockKettu, flush } = require("./mock-kettu");
+const FakeMessageComposer = require("../MessageUtilities.js");
+
+const PLUGIN_ID = "test.fake-message-composer";
+const GUILD = "400000000000000001";
+const GENERAL = "200000000000000001";
+const REAL_MESSAGE = "500000000000000001";
+const AUTHOR = { id: "300000000000000001", username: "alice" };
+
+async function startPlugin(t) {
+    const runtime = installMockKettu({
+        users: [AUTHOR],
+        channels: [{ id: GENERAL, guild_id: GUILD, type: 0 }],
+        selectedChannelId: GENERAL,
+        messageActions: true
+    });
+    runtime.storage.set(PLUGIN_ID, "FakeMessageComposerConfig", {
+        schemaVersion: 4,
+        enabled: true,
+        impersonationAcknowledged: true,
+        scenarios: [
+            {
+                id: "s1",
+                messages: [
+                    { id: "m1", discordId: AUTHOR.id, content: "one" },
+                    { id: "m2", discordId: AUTHOR.id, content: "two" }
+                ]
+            }
+        ]
+    });
+    const plugin = new FakeMessageComposer({ id: PLUGIN_ID });
+    t.after(() => {
+        plugin.stop();
+        runtime.uninstall();
+    });
+    await plugin.start();
+    await flush();
+    const [fake, other] = plugin.injectedMessages.get(GENERAL);
+    return { runtime, plugin, fake, other };
+}
+
+test("editing a fake message happens locally and survives a history reload", async (t) => {
+    const { runtime, plugin, fake } = await startPlugin(t);
+
+    await runtime.messageActions.editMessage(GENERAL, fake, { content: "changed" });
+    await runtime.messageActions.editMessage(GENERAL, REAL_MESSAGE, { content: "real edit" });
+
+    assert.equal(runtime.messageStore.getMessage(GENERAL, fake).content, "changed");
+    assert.ok(runtime.messageStore.getMessage(GENERAL, fake).edited_timestamp);
+    assert.deepEqual(
+        runtime.calls.filter((call) => call.name === "editMessage").map((call) => call.args[1]),
+        [REAL_MESSAGE]
+    );
+    assert.match(runtime.toasts.at(-1), /Edited on this device only/);
+
+    runtime.dispatcher.dispatch({ type: "LOAD_MESSAGES_SUCCESS", channelId: GENERAL, messages: [] });
+    await flush();
+    assert.equal(runtime.messageStore.getMessage(GENERAL, fake).content, "changed");
+    assert.equal(plugin.isInjectedMessageId(fake), true);
+});
+
+test("deleting a fake message removes it locally and forgets it", async (t) => {
+    const { runtime, plugin, fake, other } = await startPlugin(t);
+
+    await runtime.messageActions.deleteMessage(GENERAL, fake);
+
+    assert.equal(runtime.messageStore.getMessage(GENERAL, fake), null);
+    assert.deepEqual(plugin.injectedMessages.get(GENERAL), [other]);
+    assert.equal(plugin.isInjectedMessageId(fake), false);
+    assert.match(runtime.toasts.at(-1), /Removed from this device only/);
+
+    // The plugin's own removals still go through unguarded.
+    plugin.stop();
+    assert.equal(runtime.messageStore.getMessage(GENERAL, other), null);
+});
+
+test("pin, reply and report are blocked with a notice", async (t) => {
+    const { runtime, fake } = await startPlugin(t);
+    const channel = runtime.channelStore.getChannel(GENERAL);
+    const message = runtime.messageStore.getMessage(GENERAL, fake);
+
+    await runtime.pinActions.pinMessage(channel, fake);
+    await runtime.pinActions.unpinMessage(channel, fake);
+    await runtime.replyActions.createPendingReply({ channel, message, shouldMention: true });
+    await runtime.reportActions.showReportModalForMessage(message);
+    runtime.dispatcher.dispatch({ type: "CREATE_PENDING_REPLY", channel, message });
+    await runtime.pinActions.pinMessage(channel, REAL_MESSAGE);
+
+    assert.deepEqual(
+        runtime.calls.map((call) => call.name),
+        ["pinMessage"]
+    );
+    assert.equal(runtime.dispatcher.actionsOfType("CREATE_PENDING_REPLY").length, 0);
+    assert.equal(runtime.toasts.length, 5);
+    assert.match(runtime.toasts[0], /cannot be pinned/);
+    assert.match(runtime.toasts[2], /cannot be replied to/);
+    assert.match(runtime.toasts[3], /nothing to report/);
+});
+
+test("copying a link to a fake message copies nothing", async (t) => {
+    const { runtime, fake } = await startPlugin(t);
+
+    const copied = runtime.clipboard.copy(`https://discord.com/channels/${GUILD}/${GENERAL}/${fake}`);
+    runtime.clipboard.copy(`https://discord.com/channels/${GUILD}/${GENERAL}/${REAL_MESSAGE}`);
+
+    assert.equal(copied, false);
+    assert.deepEqual(
+        runtime.calls.filter((call) => call.name === "copy").map((call) => call.args[0]),
+        [`https://discord.com/channels/${GUILD}/${GENERAL}/${REAL_MESSAGE}`]
+    );
+    assert.match(runtime.toasts.at(-1), /no link/);
+});
@@ -0,0 +1,195 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { installMockKettu, renderTree, collectText } = require("./mock-kettu");
+const FakeMessageComposer = require("../MessageUtilities.js");
+
+const PLUGIN_ID = "test.fake-message-composer";
+
+function createPlugin(t) {
+    const runtime = installMockKettu();
+    const plugin = new FakeMessageComposer({ id: PLUGIN_ID });
+    t.after(() => {
+        plugin.stop();
+        runtime.uninstall();
+    });
+    plugin.config = plugin.loadConfig();
+    return { runtime, plugin };
+}
+
+// What the panel does for each change: record, then apply.
+function edit(plugin, patch) {
+    const next = { ...plugin.config, ...patch };
+    plugin.recordEdit(plugin.findTextEditPath(plugin.config, next));
+    plugin.applyConfig(next, { skipReload: true, skipPersist: true });
+}
+
+function renameScenario(plugin, name) {
+    const scenarios = plugin.config.scenarios.slice();
+    scenarios[0] = { ...scenarios[0], name };
+    edit(plugin, { scenarios });
+}
+
+test("undo and redo walk through recorded edits", (t) => {
+    const { plugin } = createPlugin(t);
+
+    edit(plugin, { enabled: false });
+    edit(plugin, { personas: [plugin.createPersona({ name: "Bot" })] });
+
+    assert.deepEqual(plugin.getEditHistoryState(), { undoCount: 2, redoCount: 0 });
+    assert.equal(plugin.undoEdit().personas.length, 0);
+    assert.equal(plugin.undoEdit().enabled, true);
+    assert.equal(plugin.undoEdit(), null);
+    assert.equal(plugin.redoEdit().enabled, false);
+    assert.deepEqual(plugin.getEditHistoryState(), { undoCount: 1, redoCount: 1 });
+
+    edit(plugin, { enabled: true });
+    assert.equal(plugin.getEditHistoryState().redoCount, 0);
+});
+
+test("typing in one field is a single step", (t) => {
+    const { plugin } = createPlugin(t);
+    const original = plugin.config.scenarios[0].name;
+
+    for (const name of ["D", "De", "Dem", "Demo"]) renameScenario(plugin, name);
+    edit(plugin, { enabled: false });
+
+    assert.equal(plugin.getEditHistoryState().undoCount, 2);
+    plugin.undoEdit();
+    assert.equal(plugin.undoEdit().scenarios[0].name, original);
+});
+
+test("only a single changed string counts as typing", (t) => {
+    const { plugin } = createPlugin(t);
+    const base = { a: { text: "x" }, list: [{ text: "y" }], flag: true };
+
+    assert.equal(plugin.findTextEditPath(base, { ...base, a: { text: "xy" } }), "/a/text");
+    assert.equal(plugin.findTextEditPath(base, { ...base, flag: false }), null);
+    assert.equal(plugin.findTextEditPath(base, { ...base, list: [] }), null);
+    assert.equal(plugin.findTextEditPath(base, { ...base, a: { text: "1" }, list: [{ text: "2" }] }), null);
+});
+
+test("the history is bounded", (t) => {
+    const { plugin } = createPlugin(t);
+
+    for (let index = 0; index < 120; index++) edit(plugin, { enabled: index % 2 === 0 });
+    assert.equal(plugin.getEditHistoryState().undoCount, 100);
+});
+
+test("undo returns to the profile a step was taken in, even a deleted one", (t) => {
+    const { plugin } = createPlugin(t);
+    renameScenario(plugin, "Kept");
+    const [original] = plugin.getProfiles();
+
+    plugin.recordEdit();
+    plugin.switchProfile(plugin.duplicateProfile(original.id));
+    plugin.recordEdit();
+    plugin.deleteProfile(original.id);
+    assert.equal(plugin.getProfiles().length, 1);
+
+    plugin.undoEdit();
+    plugin.undoEdit();
+    const active = plugin.getProfiles().find((profile) => profile.active);
+    assert.equal(active.id, original.id);
+    assert.equal(plugin.config.scenarios[0].name, "Kept");
+});
+
+test("an import can be undone", (t) => {
+    const { plugin } = createPlugin(t);
+    renameScenario(plugin, "Before");
+    const parsed = plugin.parsePack(plugin.serializePack(plugin.exportConfigPack()));
+
+    plugin.importPack(parsed, "merge");
+    assert.equal(plugin.config.scenarios.length, 2);
+
+    assert.equal(plugin.undoEdit().scenarios.length, 1);
+    assert.equal(plugin.config.scenarios[0].name, "Before");
+});
+
+// Just enough stateful useState to drive one component across renders, the
+// way React re-renders after a state update during render.
+function mount(React, element) {
+    const slots = [];
+    return (props) => {
+        const stubbed = React.useState;
+        let output;
+        try {
+            for (let pass = 0; pass < 2; pass++) {
+                let cursor = 0;
+                React.useState = (initial) => {
+                    const index = cursor++;
+                    if (!(index in slots)) slots[index] = typeof initial === "function" ? initial() : initial;
+                    const set = (value) => {
+                        slots[index] = typeof value === "function" ? value(slots[index]) : value;
+                    };
+                    return [slots[index], set];
+                };
+                output = element.type({ ...element.props, ...props });
+            }
+        } finally {
+            React.useState = stubbed;
+        }
+        return output;
+    };
+}
+
+// Expands function components until one named `name` turns up.
+function findElement(node, name) {
+    if (Array.isArray(node)) {
+        for (const child of node) {
+            const found = findElement(child, name);
+            if (found) return found;
+        }
+        return null;
+    }
+    if (!node || typeof node !== "object") return null;
+    if (typeof node.type === "function") {
+        if (node.type.name === name) return node;
+        return findElement(node.type({ ...node.props, children: node.children }), name);
+    }
+    return findElement(node.children, name);
+}
+
+function findInput(node, placeholder) {
+    if (Array.isArray(node)) return node.map((child) => findInput(child, placeholder)).find(Boolean) ?? null;
+    if (!node || typeof node !== "object") return null;
+    if (node.props?.placeholder === placeholder) return node;
+    if (typeof node.type === "function") return findInput(node.type({ ...node.props, children: node.children }), placeholder);
+    return findInput(node.children, placeholder);
+}
+
+test("drafts follow undo instead of writing back the undone text", (t) => {
+    const { plugin } = createPlugin(t);
+    plugin.React = global.kettu.Modules.common.React;
+    const Settings = plugin.getSettingsPanel();
+    const rows = [{ type: 1, components: [{ type: 2, style: 1, label: "Go", custom_id: "go" }] }];
+
+    const components = mount(plugin.React, findElement(Settings(), "FakeMessageComponentsEditor"));
+    findInput(components({}), "[]").props.onChangeText(JSON.stringify(rows));
+    assert.equal(plugin.config.scenarios[0].messages[0].components.length, 1);
+    const channels = mount(plugin.React, findElement(Settings(), "FakeMessageIdListInput"));
+    const placeholder = "Channel IDs, comma separated (empty = any)";
+    findInput(channels({}), placeholder).props.onChangeText("200000000000000001");
+    assert.deepEqual(plugin.config.scenarios[0].rules.allowChannelIds, ["200000000000000001"]);
+
+    plugin.undoEdit();
+    plugin.undoEdit();
+    const restored = Settings();
+    const channelInput = findInput(channels(findElement(restored, "FakeMessageIdListInput").props), placeholder);
+    const componentInput = findInput(components(findElement(restored, "FakeMessageComponentsEditor").props), "[]");
+
+    assert.equal(channelInput.props.value, "");
+    assert.equal(componentInput.props.value, "");
+    assert.deepEqual(plugin.config.scenarios[0].messages[0].components, []);
+});
+
+test("the panel shows undo and redo", (t) => {
+    const { plugin } = createPlugin(t);
+    edit(plugin, { enabled: false });
+
+    const texts = collectText(renderTree(plugin.getSettingsPanel()()));
+
+    assert.ok(texts.includes("Undo (1)"));
+    assert.ok(texts.includes("Redo"));
+});
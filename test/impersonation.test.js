@@ -0,0 +1,112 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { installMockKettu, renderTree, collectText, flush } = require("./mock-kettu");
+const FakeMessageComposer = require("../MessageUtilities.js");
+
+const PLUGIN_ID = "test.fake-message-composer";
+const GENERAL = "200000000000000001";
+const ME = { id: "100000000000000001", username: "tester" };
+const FRIEND = { id: "300000000000000001", username: "alice" };
+
+async function startPlugin(t, config = {}) {
+    const runtime = installMockKettu({
+        currentUser: ME,
+        users: [FRIEND],
+        channels: [{ id: GENERAL, guild_id: "400000000000000001", type: 0 }],
+        selectedChannelId: GENERAL
+    });
+    runtime.storage.set(PLUGIN_ID, "FakeMessageComposerConfig", {
+        schemaVersion: 4,
+        enabled: true,
+        scenarios: [
+            {
+                id: "s1",
+                messages: [
+                    { id: "m1", discordId: FRIEND.id, content: "from alice" },
+                    { id: "m2", discordId: ME.id, content: "from me" },
+                    { id: "m3", authorType: "persona", personaId: "p1", content: "from a persona" }
+                ]
+            }
+        ],
+        personas: [{ id: "p1", name: "Helper" }],
+        ...config
+    });
+    const plugin = new FakeMessageComposer({ id: PLUGIN_ID });
+    t.after(() => {
+        plugin.stop();
+        runtime.uninstall();
+    });
+    await plugin.start();
+    await flush();
+    return { runtime, plugin };
+}
+
+function fakeMessagesIn(runtime) {
+    return runtime.messageStore.getMessages(GENERAL).filter((message) => message.__fakeMessageComposer);
+}
+
+test("another real user is skipped until acknowledged, with a single notice", async (t) => {
+    const { runtime, plugin } = await startPlugin(t);
+
+    assert.deepEqual(
+        fakeMessagesIn(runtime).map((message) => message.content),
+        ["from me", "from a persona"]
+    );
+    await assert.rejects(plugin.inject(GENERAL, { discordId: FRIEND.id, content: "api" }), /acknowledgement/);
+    assert.equal(runtime.toasts.length, 1);
+    assert.equal(fakeMessagesIn(runtime).length, 2);
+});
+
+test("acknowledged messages carry the stronger label", async (t) => {
+    const { runtime, plugin } = await startPlugin(t, { impersonationAcknowledged: true });
+
+    const [alice, mine, persona] = fakeMessagesIn(runtime);
+    assert.equal(alice.__fakeMessageComposerImpersonation, true);
+    assert.ok(plugin.impersonationIds.has(alice.id));
+    assert.equal(mine.__fakeMessageComposerImpersonation, false);
+    assert.equal(persona.__fakeMessageComposerImpersonation, false);
+
+    const badge = runtime.timestampModule.default({ message: alice });
+    assert.equal(badge.children[1].children[0], "FAKE - NOT SENT BY THIS USER");
+    assert.equal(runtime.timestampModule.default({ message: mine }).children[1].children[0], "LOCAL FAKE");
+});
+
+test("the prefix fallback uses the impersonation label", async (t) => {
+    const { runtime, plugin } = await startPlugin(t, { impersonationAcknowledged: true });
+
+    plugin.timestampBadgePatched = false;
+    plugin.reapplyFakeMessages();
+    await flush();
+
+    assert.deepEqual(
+        fakeMessagesIn(runtime).map((message) => message.content),
+        ["[FAKE - NOT SENT BY THIS USER] from alice", "[LOCAL FAKE] from me", "[LOCAL FAKE] from a persona"]
+    );
+});
+
+test("exported packs never carry the acknowledgement", async (t) => {
+    const { plugin } = await startPlugin(t, { impersonationAcknowledged: true });
+
+    assert.equal("impersonationAcknowledged" in plugin.exportConfigPack().config, false);
+});
+
+test("the panel offers the acknowledgement and a persona swap", async (t) => {
+    const { plugin } = await startPlugin(t);
+
+    const texts = collectText(renderTree(plugin.getSettingsPanel()()));
+
+    assert.ok(texts.includes("I understand"));
+    assert.ok(texts.includes("Swap in a persona"));
+});
+
+test("without a confirmation UI the acknowledgement is not granted", async (t) => {
+    const { runtime, plugin } = await startPlugin(t);
+    delete runtime.kettu.UI.showConfirmation;
+
+    assert.equal(await plugin.confirmImpersonation(), false);
+    assert.equal(plugin.config.impersonationAcknowledged, false);
+    // Clearing settings keeps its old default.
+    assert.equal(await plugin.confirmReset(), true);
+});
@@ -0,0 +1,241 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { installMockKettu, flush } = require("./mock-kettu");
+const FakeMessageComposer = require("../MessageUtilities.js");
+
+const PLUGIN_ID = "test.fake-message-composer";
+const GENERAL = "200000000000000001";
+const RANDOM = "200000000000000002";
+const AUTHOR = { id: "300000000000000001", username: "alice" };
+
+function scenario(overrides = {}) {
+    return {
+        id: "scenario-test",
+        name: "Test",
+        enabled: true,
+        messages: [
+            { id: "m1", discordId: AUTHOR.id, content: "hello" },
+            { id: "m2", discordId: AUTHOR.id, content: "world" }
+        ],
+        ...overrides
+    };
+}
+
+async function startPlugin(t, config = { scenarios: [scenario()] }, options = {}) {
+    const runtime = installMockKettu({
+        users: [AUTHOR],
+        channels: [
+            { id: GENERAL, guild_id: "400000000000000001", type: 0 },
+            { id: RANDOM, guild_id: "400000000000000001", type: 0 }
+        ],
+        selectedChannelId: GENERAL,
+        ...options
+    });
+    runtime.storage.set(PLUGIN_ID, "FakeMessageComposerConfig", {
+        schemaVersion: 4,
+        enabled: true,
+        impersonationAcknowledged: true,
+        ...config
+    });
+    const plugin = new FakeMessageComposer({ id: PLUGIN_ID });
+    t.after(() => {
+        plugin.stop();
+        runtime.uninstall();
+    });
+    await plugin.start();
+    await flush();
+    return { runtime, plugin };
+}
+
+function fakeMessagesIn(runtime, channelId) {
+    return runtime.messageStore.getMessages(channelId).filter((message) => message.__fakeMessageComposer);
+}
+
+test("start injects the scenario into the open channel", async (t) => {
+    const { runtime, plugin } = await startPlugin(t);
+
+    const messages = fakeMessagesIn(runtime, GENERAL);
+    assert.equal(messages.length, 2);
+    assert.deepEqual(
+        messages.map((message) => message.author.id),
+        [AUTHOR.id, AUTHOR.id]
+    );
+    assert.ok(messages[0].timestamp < messages[1].timestamp);
+    assert.deepEqual(plugin.injectedMessages.get(GENERAL), messages.map((message) => message.id));
+});
+
+test("the timestamp badge replaces the inline content marker", async (t) => {
+    const { runtime } = await startPlugin(t);
+    assert.equal(fakeMessagesIn(runtime, GENERAL)[0].content, "hello");
+});
+
+test("the content marker is used when the timestamp cannot be patched", async (t) => {
+    const { runtime, plugin } = await startPlugin(t);
+    plugin.timestampBadgePatched = false;
+    plugin.reapplyFakeMessages();
+    await flush();
+    assert.equal(fakeMessagesIn(runtime, GENERAL)[0].content, "[FAKE - NOT SENT BY THIS USER] hello");
+});
+
+test("switching channels injects into the newly selected channel", async (t) => {
+    const { runtime, plugin } = await startPlugin(t);
+
+    runtime.selectChannel(RANDOM);
+    await flush();
+
+    assert.equal(fakeMessagesIn(runtime, RANDOM).length, 2);
+    assert.equal(plugin.injectedMessages.get(RANDOM).length, 2);
+});
+
+test("channel rules keep a scenario out of other channels", async (t) => {
+    const { runtime } = await startPlugin(t, { scenarios: [scenario({ rules: { allowChannelIds: [GENERAL] } })] });
+
+    runtime.selectChannel(RANDOM);
+    await flush();
+
+    assert.equal(fakeMessagesIn(runtime, GENERAL).length, 2);
+    assert.equal(fakeMessagesIn(runtime, RANDOM).length, 0);
+});
+
+test("config changes re-inject without leaving duplicates behind", async (t) => {
+    const { runtime, plugin } = await startPlugin(t);
+
+    plugin.updateConfig({
+        scenarios: [scenario({ messages: [{ id: "m1", discordId: AUTHOR.id, content: "edited" }] })]
+    });
+    await flush();
+
+    const messages = fakeMessagesIn(runtime, GENERAL);
+    assert.equal(messages.length, 1);
+    assert.equal(messages[0].content, "edited");
+});
+
+test("a slower refresh cannot inject after a newer one", async (t) => {
+    const { runtime, plugin } = await startPlugin(t);
+
+    plugin.refreshChannel(GENERAL);
+    plugin.refreshChannel(GENERAL);
+    await flush();
+
+    assert.equal(fakeMessagesIn(runtime, GENERAL).length, 2);
+});
+
+test("disabling the plugin config removes injected messages", async (t) => {
+    const { runtime, plugin } = await startPlugin(t);
+
+    plugin.updateConfig({ enabled: false });
+    await flush();
+
+    assert.equal(fakeMessagesIn(runtime, GENERAL).length, 0);
+    assert.equal(plugin.injectedMessages.size, 0);
+});
+
+test("stop removes every injected message and unsubscribes", async (t) => {
+    const { runtime, plugin } = await startPlugin(t);
+    runtime.selectChannel(RANDOM);
+    await flush();
+
+    plugin.stop();
+
+    assert.equal(fakeMessagesIn(runtime, GENERAL).length, 0);
+    assert.equal(fakeMessagesIn(runtime, RANDOM).length, 0);
+    assert.equal(plugin.injectedMessages.size, 0);
+    assert.equal(runtime.dispatcher.listenerCount("CHANNEL_SELECT"), 0);
+
+    runtime.selectChannel(GENERAL);
+    await flush();
+    assert.equal(fakeMessagesIn(runtime, GENERAL).length, 0);
+});
+
+test("message actions are preferred over raw dispatches when present", async (t) => {
+    const { runtime } = await startPlugin(t, undefined, { messageActions: true });
+    assert.equal(fakeMessagesIn(runtime, GENERAL).length, 2);
+});
+
+test("clearInjectedMessages removes every stress message, even mid-run", async (t) => {
+    const { runtime, plugin } = await startPlugin(t);
+
+    const report = await plugin.runStressTest(RANDOM, { count: 250, seed: 1 });
+    assert.equal(report.injected, 250);
+    assert.equal(fakeMessagesIn(runtime, RANDOM).length, 250);
+
+    const pending = plugin.runStressTest(RANDOM, { count: 1000, seed: 2 });
+    await flush();
+    plugin.clearInjectedMessages();
+    const cancelled = await pending;
+
+    assert.ok(cancelled.cancelled);
+    assert.equal(cancelled.clearedCount, 250 + cancelled.injected);
+    assert.equal(fakeMessagesIn(runtime, RANDOM).length, 0);
+    assert.equal(fakeMessagesIn(runtime, GENERAL).length, 0);
+    assert.equal(plugin.getStressState().injectedCount, 0);
+});
+
+test("stop cancels pending timeline steps", async (t) => {
+    const timelineScenario = scenario({
+        timeline: {
+            enabled: true,
+            steps: [
+                { action: "send", entryId: "m1", delayMs: 0 },
+                { action: "send", entryId: "m2", delayMs: 60 }
+            ]
+        }
+    });
+    const { runtime, plugin } = await startPlugin(t, { scenarios: [timelineScenario] });
+    assert.equal(fakeMessagesIn(runtime, GENERAL).length, 0, "timeline scenarios are not injected statically");
+
+    assert.equal(plugin.playTimeline("scenario-test"), null);
+    await flush(20);
+    assert.equal(fakeMessagesIn(runtime, GENERAL).length, 1);
+
+    plugin.stop();
+    await flush(80);
+
+    assert.equal(fakeMessagesIn(runtime, GENERAL).length, 0);
+    assert.equal(plugin.timelinePlayers.size, 0);
+});
+
+test("a history reload re-injects the scenario once, in order", async (t) => {
+    const { runtime, plugin } = await startPlugin(t);
+    const real = { id: "500000000000000001", channel_id: GENERAL, content: "real" };
+
+    runtime.dispatcher.dispatch({ type: "LOAD_MESSAGES_SUCCESS", channelId: GENERAL, messages: [real] });
+    runtime.dispatcher.dispatch({ type: "LOAD_MESSAGES_SUCCESS", channelId: GENERAL, messages: [real], jump: {} });
+    await flush();
+
+    const messages = fakeMessagesIn(runtime, GENERAL);
+    assert.deepEqual(
+        messages.map((message) => message.content),
+        ["hello", "world"]
+    );
+    assert.deepEqual(plugin.injectedMessages.get(GENERAL), messages.map((message) => message.id));
+    assert.equal(plugin.reconcileChannel(GENERAL), 0, "nothing is re-injected while the store is intact");
+    assert.equal(fakeMessagesIn(runtime, GENERAL).length, 2);
+});
+
+test("a reconnect restores scenario and API messages and prunes stress messages", async (t) => {
+    const { runtime, plugin } = await startPlugin(t);
+    const handle = await plugin.inject(RANDOM, { content: "from the api" });
+    await plugin.runStressTest(RANDOM, { count: 10, seed: 1 });
+
+    runtime.dispatcher.dispatch({ type: "CONNECTION_OPEN" });
+    await flush();
+
+    assert.equal(fakeMessagesIn(runtime, GENERAL).length, 2);
+    assert.ok(runtime.messageStore.getMessage(RANDOM, handle.id));
+    assert.equal(fakeMessagesIn(runtime, RANDOM).length, 1);
+    assert.equal(plugin.getStressState().injectedCount, 0);
+});
+
+test("stop unsubscribes from store resets", async (t) => {
+    const { runtime, plugin } = await startPlugin(t);
+
+    plugin.stop();
+    runtime.dispatcher.dispatch({ type: "CONNECTION_OPEN" });
+    await flush();
+
+    assert.equal(runtime.dispatcher.listenerCount("LOAD_MESSAGES_SUCCESS"), 1, "only the mock store still listens");
+    assert.equal(fakeMessagesIn(runtime, GENERAL).length, 0);
+});
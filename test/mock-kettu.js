@@ -0,0 +1,310 @@
+/**
+ * Offline stand-in for the kettu runtime, so the plugin's lifecycle can run
+ * under Node without a Discord client. Install it before constructing the
+ * plugin; the plugin reads the `kettu` global at call time, so a fresh
+ * runtime per test is enough:
+ *
+ *   const { installMockKettu } = require("./mock-kettu");
+ *   const runtime = installMockKettu();
+ *   const plugin = new FakeMessageComposer({ id: "test" });
+ *   await plugin.start();
+ *   ...
+ *   plugin.stop();
+ *   runtime.uninstall();
+ *
+ * Run the suite with `node --test test/*.test.js` (Node 20+).
+ */
+
+"use strict";
+
+function createDispatcher() {
+    const handlers = new Map();
+    return {
+        actions: [],
+        dispatch(action) {
+            this.actions.push(action);
+            for (const handler of Array.from(handlers.get(action?.type) ?? [])) {
+                handler(action);
+            }
+            return Promise.resolve();
+        },
+        subscribe(type, handler) {
+            if (!handlers.has(type)) handlers.set(type, new Set());
+            handlers.get(type).add(handler);
+        },
+        unsubscribe(type, handler) {
+            handlers.get(type)?.delete(handler);
+        },
+        listenerCount(type) {
+            return handlers.get(type)?.size ?? 0;
+        },
+        actionsOfType(type) {
+            return this.actions.filter((action) => action?.type === type);
+        }
+    };
+}
+
+// Mirrors the Flux actions Discord's MessageStore reacts to, so tests can
+// assert on what a channel would actually show.
+function createMessageStore(dispatcher) {
+    const channels = new Map();
+    const channel = (channelId) => {
+        if (!channels.has(channelId)) channels.set(channelId, new Map());
+        return channels.get(channelId);
+    };
+
+    dispatcher.subscribe("MESSAGE_CREATE", ({ channelId, message }) => {
+        channel(channelId ?? message.channel_id).set(message.id, message);
+    });
+    dispatcher.subscribe("MESSAGE_UPDATE", ({ message }) => {
+        const messages = channel(message.channel_id);
+        if (messages.has(message.id)) messages.set(message.id, { ...messages.get(message.id), ...message });
+    });
+    dispatcher.subscribe("MESSAGE_DELETE", ({ channelId, id }) => {
+        channel(channelId).delete(id);
+    });
+    dispatcher.subscribe("MESSAGE_DELETE_BULK", ({ channelId, ids }) => {
+        for (const id of ids) channel(channelId).delete(id);
+    });
+    // History loads and jumps replace the channel's list; reconnects drop every cache.
+    dispatcher.subscribe("LOAD_MESSAGES_SUCCESS", ({ channelId, messages = [] }) => {
+        channels.set(channelId, new Map(messages.map((message) => [message.id, message])));
+    });
+    dispatcher.subscribe("CONNECTION_OPEN", () => {
+        channels.clear();
+    });
+
+    return {
+        getMessage: (channelId, messageId) => channels.get(channelId)?.get(messageId) ?? null,
+        getMessages: (channelId) => Array.from(channels.get(channelId)?.values() ?? []),
+        putMessage: (message) => channel(message.channel_id).set(message.id, message)
+    };
+}
+
+function createStorage() {
+    const data = new Map();
+    const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+    return {
+        data,
+        get: (pluginId, key) => clone(data.get(`${pluginId}:${key}`)) ?? null,
+        set: (pluginId, key, value) => {
+            data.set(`${pluginId}:${key}`, clone(value));
+        },
+        delete: (pluginId, key) => {
+            data.delete(`${pluginId}:${key}`);
+        }
+    };
+}
+
+// Just enough React for ensureModules and a one-off render of the settings panel.
+function createReact() {
+    return {
+        createElement: (type, props, ...children) => ({ type, props: props ?? {}, children }),
+        useState: (initial) => [typeof initial === "function" ? initial() : initial, () => {}],
+        useEffect: () => {},
+        useCallback: (callback) => callback,
+        useMemo: (factory) => factory(),
+        useRef: (current) => ({ current })
+    };
+}
+
+function createLogger() {
+    const entries = [];
+    const record = (level) => (...args) => entries.push({ level, args });
+    const logger = { entries, log: record("log"), info: record("info"), warn: record("warn"), error: record("error") };
+    logger.create = () => logger;
+    return logger;
+}
+
+/**
+ * Builds a runtime without touching globals. Options:
+ * - currentUser: the signed-in user (defaults to a stub with id "100000000000000001")
+ * - users / channels / guilds: arrays seeded into the user, channel and guild stores
+ * - selectedChannelId: the channel open at start
+ * - messageActions: also expose receiveMessage/deleteMessage (the plugin prefers them over raw dispatches)
+ * - messageAccessories: also expose a desktop-style MessageAccessories component
+ * - render: draw messages arriving in the open channel (defaults to true); false mimics a client
+ *   whose rows never reach the patched components
+ * - confirm: what showConfirmation answers (defaults to true)
+ */
+function createMockKettu(options = {}) {
+    const dispatcher = createDispatcher();
+    const currentUser = options.currentUser ?? { id: "100000000000000001", username: "tester" };
+
+    const users = new Map([[currentUser.id, currentUser]]);
+    for (const user of options.users ?? []) users.set(user.id, user);
+    const userStore = {
+        users,
+        getUser: (userId) => users.get(userId) ?? null,
+        getCurrentUser: () => currentUser
+    };
+
+    const channels = new Map();
+    for (const channel of options.channels ?? []) channels.set(channel.id, channel);
+    const channelStore = {
+        channels,
+        getChannel: (channelId) => channels.get(channelId) ?? null,
+        // No thread lookup here, so threads come back with the rest of the guild.
+        getMutableGuildChannelsForGuild: (guildId) =>
+            Object.fromEntries(Array.from(channels).filter(([, channel]) => channel.guild_id === guildId)),
+        getSortedPrivateChannels: () => Array.from(channels.values()).filter((channel) => !channel.guild_id)
+    };
+
+    const guilds = new Map();
+    for (const guild of options.guilds ?? []) guilds.set(guild.id, guild);
+    const guildStore = {
+        guilds,
+        getGuild: (guildId) => guilds.get(guildId) ?? null,
+        getGuilds: () => Object.fromEntries(guilds)
+    };
+
+    let selectedChannelId = options.selectedChannelId ?? null;
+    const selectedChannelStore = {
+        getChannelId: () => selectedChannelId,
+        getCurrentlySelectedChannelId: () => selectedChannelId
+    };
+
+    const messageStore = createMessageStore(dispatcher);
+    const calls = [];
+    const record = (name) =>
+        function recorded(...args) {
+            calls.push({ name, args });
+            return Promise.resolve();
+        };
+
+    const timestampModule = {
+        default: Object.assign((props) => ({ type: "MessageTimestamp", props }), { displayName: "MessageTimestamp" })
+    };
+    const iconUtils = { getUserAvatarURL: (user) => `https://cdn.example/avatars/${user?.id}.png` };
+    const reactionActions = { addReaction: record("addReaction"), removeReaction: record("removeReaction") };
+    const interactionActions = { executeMessageComponentInteraction: record("executeMessageComponentInteraction") };
+    // Context menu actions the plugin guards on its own messages.
+    const pinActions = { pinMessage: record("pinMessage"), unpinMessage: record("unpinMessage") };
+    const replyActions = { createPendingReply: record("createPendingReply") };
+    const reportActions = { showReportModalForMessage: record("showReportModalForMessage") };
+    const clipboard = { SUPPORTS_COPY: true, copy: (text) => calls.push({ name: "copy", args: [text] }) };
+
+    const accessoriesModule = {
+        MessageAccessories: class MessageAccessories {
+            constructor(props) {
+                this.props = props;
+            }
+            render() {
+                return { type: "MessageAccessories", props: this.props, children: [] };
+            }
+        }
+    };
+
+    const modules = [userStore, channelStore, guildStore, selectedChannelStore, messageStore, timestampModule, iconUtils];
+    modules.push(reactionActions, interactionActions, pinActions, replyActions, reportActions, clipboard);
+    if (options.messageAccessories) modules.push(accessoriesModule);
+    const messageActions = options.messageActions
+        ? {
+              receiveMessage: (channelId, message) => dispatcher.dispatch({ type: "MESSAGE_CREATE", channelId, message }),
+              sendMessage: record("sendMessage"),
+              editMessage: record("editMessage"),
+              startEditMessage: record("startEditMessage"),
+              deleteMessage: (channelId, id) => dispatcher.dispatch({ type: "MESSAGE_DELETE", channelId, id })
+          }
+        : null;
+    if (messageActions) modules.push(messageActions);
+
+    // Renders the way the client would once a message reaches the open channel,
+    // going through whatever the plugin has patched.
+    const rendered = [];
+    const renderMessage = ({ channelId, message }) => {
+        if (options.render === false || (channelId ?? message?.channel_id) !== selectedChannelId) return;
+        rendered.push(timestampModule.default({ message }));
+        if (options.messageAccessories) {
+            rendered.push(new accessoriesModule.MessageAccessories({ message }).render());
+        }
+    };
+    dispatcher.subscribe("MESSAGE_CREATE", renderMessage);
+    dispatcher.subscribe("MESSAGE_UPDATE", renderMessage);
+
+    const toasts = [];
+    const storage = createStorage();
+    const logger = createLogger();
+
+    const kettu = {
+        Modules: {
+            common: { React: createReact(), ReactNative: null, FluxDispatcher: dispatcher },
+            getByProps: (...props) => modules.find((module) => props.every((prop) => prop in module)) ?? null,
+            find: (predicate) => modules.find((module) => predicate(module)) ?? null
+        },
+        PluginStorage: storage,
+        Logger: logger,
+        UI: {
+            showToast: (message) => toasts.push(message),
+            showConfirmation: ({ onConfirm, onCancel }) => (options.confirm === false ? onCancel() : onConfirm())
+        }
+    };
+
+    return {
+        kettu,
+        dispatcher,
+        storage,
+        logger,
+        toasts,
+        calls,
+        rendered,
+        userStore,
+        channelStore,
+        guildStore,
+        selectedChannelStore,
+        messageStore,
+        timestampModule,
+        iconUtils,
+        accessoriesModule,
+        reactionActions,
+        interactionActions,
+        messageActions,
+        pinActions,
+        replyActions,
+        reportActions,
+        clipboard,
+        // Switches channels the way the client does: store first, then CHANNEL_SELECT.
+        selectChannel(channelId) {
+            selectedChannelId = channelId;
+            dispatcher.dispatch({ type: "CHANNEL_SELECT", channelId });
+        }
+    };
+}
+
+function installMockKettu(options = {}) {
+    const runtime = createMockKettu(options);
+    global.kettu = runtime.kettu;
+    runtime.uninstall = () => {
+        if (global.kettu === runtime.kettu) delete global.kettu;
+    };
+    return runtime;
+}
+
+// Expands function components with the stub hooks above, giving a plain tree
+// of host elements; enough to catch render errors in the settings panel.
+function renderTree(node) {
+    if (Array.isArray(node)) return node.map(renderTree);
+    if (!node || typeof node !== "object") return node;
+    if (typeof node.type === "function") {
+        return renderTree(node.type({ ...node.props, children: node.children }));
+    }
+    return { ...node, children: node.children.map(renderTree) };
+}
+
+function collectText(tree, texts = []) {
+    if (Array.isArray(tree)) {
+        for (const child of tree) collectText(child, texts);
+    } else if (typeof tree === "string") {
+        texts.push(tree);
+    } else if (tree?.children) {
+        collectText(tree.children, texts);
+    }
+    return texts;
+}
+
+// Lets queued promise chains and zero-delay timers settle.
+function flush(ms = 0) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+module.exports = { createMockKettu, installMockKettu, renderTree, collectText, flush };
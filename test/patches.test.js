@@ -0,0 +1,146 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { installMockKettu, flush } = require("./mock-kettu");
+const FakeMessageComposer = require("../MessageUtilities.js");
+
+const PLUGIN_ID = "test.fake-message-composer";
+const CHANNEL = "200000000000000001";
+const REAL_MESSAGE = "500000000000000001";
+
+async function startPlugin(t) {
+    const runtime = installMockKettu({ channels: [{ id: CHANNEL, type: 0 }], selectedChannelId: CHANNEL });
+    runtime.storage.set(PLUGIN_ID, "FakeMessageComposerConfig", {
+        schemaVersion: 4,
+        enabled: true,
+        scenarios: [
+            {
+                id: "s1",
+                messages: [{ id: "m1", authorType: "persona", personaId: "persona-1", content: "hi" }]
+            }
+        ],
+        personas: [{ id: "persona-1", name: "Helper", avatar: "data:image/png;base64,AAAA" }]
+    });
+    const originals = {
+        timestamp: runtime.timestampModule.default,
+        avatar: runtime.iconUtils.getUserAvatarURL,
+        addReaction: runtime.reactionActions.addReaction,
+        removeReaction: runtime.reactionActions.removeReaction,
+        interaction: runtime.interactionActions.executeMessageComponentInteraction,
+        dispatch: runtime.dispatcher.dispatch
+    };
+    const plugin = new FakeMessageComposer({ id: PLUGIN_ID });
+    t.after(() => {
+        plugin.stop();
+        runtime.uninstall();
+    });
+    await plugin.start();
+    await flush();
+    const [fake] = runtime.messageStore.getMessages(CHANNEL);
+    return { runtime, plugin, originals, fake };
+}
+
+test("start patches every target and stop restores the originals", async (t) => {
+    const { runtime, plugin, originals } = await startPlugin(t);
+
+    assert.notEqual(runtime.timestampModule.default, originals.timestamp);
+    assert.notEqual(runtime.iconUtils.getUserAvatarURL, originals.avatar);
+    assert.notEqual(runtime.reactionActions.addReaction, originals.addReaction);
+    assert.notEqual(runtime.reactionActions.removeReaction, originals.removeReaction);
+    assert.notEqual(runtime.interactionActions.executeMessageComponentInteraction, originals.interaction);
+    assert.notEqual(runtime.dispatcher.dispatch, originals.dispatch);
+
+    plugin.stop();
+
+    assert.equal(runtime.timestampModule.default, originals.timestamp);
+    assert.equal(runtime.iconUtils.getUserAvatarURL, originals.avatar);
+    assert.equal(runtime.reactionActions.addReaction, originals.addReaction);
+    assert.equal(runtime.reactionActions.removeReaction, originals.removeReaction);
+    assert.equal(runtime.interactionActions.executeMessageComponentInteraction, originals.interaction);
+    assert.equal(runtime.dispatcher.dispatch, originals.dispatch);
+    assert.equal(plugin.patches.length, 0);
+    assert.equal(plugin.timestampBadgePatched, false);
+});
+
+test("restarting does not stack patches", async (t) => {
+    const { runtime, plugin, originals } = await startPlugin(t);
+
+    plugin.stop();
+    await plugin.start();
+    await flush();
+    const patchCount = plugin.patches.length;
+    plugin.stop();
+
+    assert.ok(patchCount > 0);
+    assert.equal(runtime.timestampModule.default, originals.timestamp);
+    assert.equal(runtime.dispatcher.dispatch, originals.dispatch);
+});
+
+test("the timestamp badge only decorates fake messages", async (t) => {
+    const { runtime, fake } = await startPlugin(t);
+    const Timestamp = runtime.timestampModule.default;
+
+    const decorated = Timestamp({ message: fake });
+    const plain = Timestamp({ message: { id: REAL_MESSAGE } });
+
+    assert.equal(decorated.children[0].type, "MessageTimestamp");
+    assert.equal(decorated.children[1].children[0], "LOCAL FAKE");
+    assert.equal(plain.type, "MessageTimestamp");
+});
+
+test("persona avatars resolve to the stored image", async (t) => {
+    const { runtime, fake } = await startPlugin(t);
+
+    assert.equal(runtime.iconUtils.getUserAvatarURL(fake.author), "data:image/png;base64,AAAA");
+    assert.match(runtime.iconUtils.getUserAvatarURL({ id: "1" }), /cdn\.example/);
+});
+
+test("reactions on fake messages stay local", async (t) => {
+    const { runtime, fake } = await startPlugin(t);
+
+    await runtime.reactionActions.addReaction(CHANNEL, fake.id, { name: "\u{1F44D}" });
+    await runtime.reactionActions.addReaction(CHANNEL, REAL_MESSAGE, { name: "\u{1F44D}" });
+
+    assert.deepEqual(
+        runtime.calls.map((call) => [call.name, call.args[1]]),
+        [["addReaction", REAL_MESSAGE]]
+    );
+    const [local] = runtime.dispatcher.actionsOfType("MESSAGE_REACTION_ADD");
+    assert.equal(local.messageId, fake.id);
+    assert.equal(local.userId, runtime.userStore.getCurrentUser().id);
+});
+
+test("component interactions on fake messages are sandboxed", async (t) => {
+    const { runtime, plugin, fake } = await startPlugin(t);
+
+    await runtime.interactionActions.executeMessageComponentInteraction({ messageId: fake.id, customId: "confirm" });
+    await runtime.interactionActions.executeMessageComponentInteraction({ messageId: REAL_MESSAGE, customId: "real" });
+    runtime.dispatcher.dispatch({ type: "INTERACTION_CREATE", messageId: fake.id, customId: "queued" });
+
+    assert.deepEqual(
+        runtime.calls.map((call) => call.args[0].customId),
+        ["real"]
+    );
+    assert.equal(runtime.dispatcher.actionsOfType("INTERACTION_CREATE").length, 0);
+    assert.deepEqual(
+        plugin.interactionLog.map((entry) => entry.customId),
+        ["queued", "confirm"]
+    );
+});
+
+test("component messages belong to a local application ID, not their author", async (t) => {
+    const { plugin } = await startPlugin(t);
+    const components = [{ type: 1, components: [{ type: 2, style: 1, label: "Go", custom_id: "go" }] }];
+
+    const { message } = await plugin.inject(CHANNEL, {
+        authorType: "persona",
+        personaId: "persona-1",
+        content: "pick one",
+        components
+    });
+
+    assert.ok(plugin.isSnowflake(message.application_id));
+    assert.notEqual(message.application_id, message.author.id);
+    assert.equal((await plugin.inject(CHANNEL, { content: "plain" })).message.application_id, null);
+});
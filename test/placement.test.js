@@ -0,0 +1,109 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { installMockKettu, flush } = require("./mock-kettu");
+const FakeMessageComposer = require("../MessageUtilities.js");
+
+const PLUGIN_ID = "test.fake-message-composer";
+const GENERAL = "200000000000000001";
+const AUTHOR = { id: "300000000000000001", username: "alice" };
+// Real messages a few seconds apart, as Discord would have loaded them.
+const HISTORY = ["1100000000000000000", "1100000020000000000", "1100000040000000000"];
+
+async function startPlugin(t, placement) {
+    const runtime = installMockKettu({
+        users: [AUTHOR],
+        channels: [{ id: GENERAL, guild_id: "400000000000000001", type: 0 }],
+        selectedChannelId: GENERAL
+    });
+    for (const id of HISTORY) runtime.messageStore.putMessage({ id, channel_id: GENERAL, content: "real" });
+    runtime.storage.set(PLUGIN_ID, "FakeMessageComposerConfig", {
+        schemaVersion: 4,
+        enabled: true,
+        impersonationAcknowledged: true,
+        scenarios: [
+            {
+                id: "s1",
+                placement,
+                messages: [
+                    { id: "m1", discordId: AUTHOR.id, content: "one" },
+                    { id: "m2", discordId: AUTHOR.id, content: "two" }
+                ]
+            }
+        ]
+    });
+    const plugin = new FakeMessageComposer({ id: PLUGIN_ID });
+    t.after(() => {
+        plugin.stop();
+        runtime.uninstall();
+    });
+    await plugin.start();
+    await flush();
+    return { runtime, plugin, ids: plugin.injectedMessages.get(GENERAL) ?? [] };
+}
+
+const big = (ids) => ids.map((id) => BigInt(id));
+
+test("scenario messages get ascending snowflakes below the newest message", async (t) => {
+    const { ids } = await startPlugin(t);
+
+    assert.equal(ids.length, 2);
+    for (const id of ids) assert.match(id, /^\d{17,20}$/);
+    const [first, second] = big(ids);
+    assert.ok(first > BigInt(HISTORY[2]));
+    assert.ok(second > first);
+});
+
+test("top placement goes above the oldest loaded message", async (t) => {
+    const { ids } = await startPlugin(t, { mode: "top" });
+
+    const [first, second] = big(ids);
+    assert.ok(second < BigInt(HISTORY[0]));
+    assert.ok(first < second);
+});
+
+test("after placement lands between the anchor and the next message", async (t) => {
+    const { ids } = await startPlugin(t, { mode: "after", messageId: HISTORY[1] });
+
+    for (const id of big(ids)) {
+        assert.ok(id > BigInt(HISTORY[1]) && id < BigInt(HISTORY[2]));
+    }
+});
+
+test("an anchor that is not loaded falls back to the bottom", async (t) => {
+    const { ids } = await startPlugin(t, { mode: "after", messageId: "999999999999999999" });
+
+    assert.ok(big(ids)[0] > BigInt(HISTORY[2]));
+});
+
+test("allocation skips IDs that are already taken", async (t) => {
+    const { runtime, plugin } = await startPlugin(t);
+    const anchor = BigInt(HISTORY[0]);
+    runtime.messageStore.putMessage({ id: (anchor + 1n).toString(), channel_id: GENERAL });
+
+    const [id] = plugin.allocateMessageIds(GENERAL, 1, { mode: "after", messageId: HISTORY[0] });
+    const [next] = plugin.allocateMessageIds(GENERAL, 1, { mode: "after", messageId: HISTORY[0] });
+
+    assert.equal(id, (anchor + 2n).toString());
+    assert.equal(next, (anchor + 3n).toString());
+});
+
+test("IDs stay registered until their message is removed", async (t) => {
+    const { runtime, plugin, ids } = await startPlugin(t);
+    const handle = await plugin.inject(GENERAL, { content: "api" });
+
+    assert.ok(ids.every((id) => plugin.isInjectedMessageId(id)));
+    assert.ok(plugin.isInjectedMessageId(handle.id));
+    assert.equal(plugin.isInjectedMessageId(HISTORY[0]), false);
+
+    // A record rebuilt without the marker still gets the badge through the registry.
+    const rendered = runtime.timestampModule.default({ message: { id: handle.id } });
+    assert.equal(rendered.children[1].children[0], "LOCAL FAKE");
+
+    handle.remove();
+    plugin.updateConfig({ enabled: false });
+    await flush();
+    assert.equal(plugin.isInjectedMessageId(handle.id), false);
+    assert.ok(ids.every((id) => !plugin.isInjectedMessageId(id)));
+});
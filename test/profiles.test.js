@@ -0,0 +1,66 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { installMockKettu, renderTree } = require("./mock-kettu");
+const FakeMessageComposer = require("../MessageUtilities.js");
+
+const PLUGIN_ID = "test.fake-message-composer";
+const CONFIG_SLOT = "FakeMessageComposerConfig";
+const PROFILES_SLOT = "FakeMessageComposerProfiles";
+
+function createPlugin(t) {
+    const runtime = installMockKettu();
+    const plugin = new FakeMessageComposer({ id: PLUGIN_ID });
+    t.after(() => {
+        plugin.stop();
+        runtime.uninstall();
+    });
+    plugin.config = plugin.loadConfig();
+    return { runtime, plugin };
+}
+
+function findByPlaceholder(node, placeholder) {
+    if (Array.isArray(node)) return node.map((child) => findByPlaceholder(child, placeholder)).find(Boolean) ?? null;
+    if (!node || typeof node !== "object") return null;
+    if (node.props?.placeholder === placeholder) return node;
+    return findByPlaceholder(node.children, placeholder);
+}
+
+test("the registry keeps no copy of the active profile's config", (t) => {
+    const { runtime, plugin } = createPlugin(t);
+    plugin.updateConfig({ enabled: false }, { skipReload: true });
+    const [first] = plugin.getProfiles();
+
+    const second = plugin.createProfile("Second");
+    plugin.switchProfile(second);
+    let registry = runtime.storage.get(PLUGIN_ID, PROFILES_SLOT);
+    assert.equal(registry.profiles.find((profile) => profile.id === second).config, null);
+    assert.equal(registry.profiles.find((profile) => profile.id === first.id).config.enabled, false);
+    assert.equal(runtime.storage.get(PLUGIN_ID, CONFIG_SLOT).enabled, true);
+
+    plugin.switchProfile(first.id);
+    registry = runtime.storage.get(PLUGIN_ID, PROFILES_SLOT);
+    assert.equal(registry.profiles.find((profile) => profile.id === first.id).config, null);
+    assert.equal(runtime.storage.get(PLUGIN_ID, CONFIG_SLOT).enabled, false);
+    assert.equal(plugin.config.enabled, false);
+});
+
+test("renaming a profile saves once, when the field loses focus", (t) => {
+    const { runtime, plugin } = createPlugin(t);
+    const writes = [];
+    const set = runtime.storage.set;
+    runtime.storage.set = (pluginId, key, value) => {
+        if (key === PROFILES_SLOT) writes.push(value);
+        return set(pluginId, key, value);
+    };
+
+    const input = findByPlaceholder(renderTree(plugin.getSettingsPanel()()), "Profile name");
+    for (const name of ["W", "Wo", "Wor", "Work"]) input.props.onChangeText(name);
+    assert.equal(writes.length, 0);
+    assert.equal(plugin.getProfiles()[0].name, "Default");
+
+    input.props.onBlur();
+    assert.equal(writes.length, 1);
+    assert.equal(plugin.getProfiles()[0].name, "Work");
+});
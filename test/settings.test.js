@@ -0,0 +1,123 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { installMockKettu, renderTree, collectText, flush } = require("./mock-kettu");
+const FakeMessageComposer = require("../MessageUtilities.js");
+
+const PLUGIN_ID = "test.fake-message-composer";
+const CHANNEL = "200000000000000001";
+
+async function renderPanel(t, config) {
+    const runtime = installMockKettu({ channels: [{ id: CHANNEL, type: 0 }], selectedChannelId: CHANNEL });
+    if (config) runtime.storage.set(PLUGIN_ID, "FakeMessageComposerConfig", { schemaVersion: 4, ...config });
+    const plugin = new FakeMessageComposer({ id: PLUGIN_ID });
+    t.after(() => {
+        plugin.stop();
+        runtime.uninstall();
+    });
+    await plugin.start();
+    await flush();
+    const Settings = plugin.getSettingsPanel();
+    return collectText(renderTree(Settings()));
+}
+
+test("the settings panel renders with the default config", async (t) => {
+    const texts = await renderPanel(t);
+
+    assert.ok(texts.includes("Scenarios"));
+    assert.ok(texts.some((text) => text.includes("only visible to you")));
+});
+
+test("the settings panel renders every editor for a full scenario", async (t) => {
+    const texts = await renderPanel(t, {
+        scenarios: [
+            {
+                id: "s1",
+                name: "Everything",
+                messages: [
+                    {
+                        id: "m1",
+                        discordId: "300000000000000001",
+                        content: "hi",
+                        embeds: [{ type: "rich", title: "Embed", fields: [{ name: "a", value: "b" }] }],
+                        reactions: [{ emojiName: "wave", count: 2 }],
+                        reply: { kind: "message", messageId: "500000000000000001" },
+                        components: [{ type: 1, components: [{ type: 2, style: 1, label: "Go", custom_id: "go" }] }]
+                    }
+                ],
+                timeline: { enabled: true, steps: [{ action: "send", entryId: "m1" }] }
+            }
+        ],
+        personas: [{ id: "persona-1", name: "Helper" }]
+    });
+
+    assert.ok(texts.includes("Everything"));
+    assert.ok(texts.includes("Step 1"));
+    assert.ok(texts.includes("Reaction 1"));
+});
+
+test("the preview builds the message as it would be injected", async (t) => {
+    const runtime = installMockKettu({ channels: [{ id: CHANNEL, name: "general", type: 0 }], selectedChannelId: CHANNEL });
+    const plugin = new FakeMessageComposer({ id: PLUGIN_ID });
+    t.after(() => {
+        plugin.stop();
+        runtime.uninstall();
+    });
+    await plugin.start();
+
+    const original = plugin.createMessageEntry({ id: "m1", discordId: "300000000000000001", content: "first" });
+    const reply = plugin.createMessageEntry({
+        id: "m2",
+        discordId: "300000000000000001",
+        content: "in #{{channel}}",
+        reply: { kind: "fixture", fixtureId: "m1" }
+    });
+
+    const preview = await plugin.buildPreviewMessage(reply, [original, reply]);
+
+    assert.equal(preview.content, "in #general");
+    assert.equal(preview.referenced_message.content, "first");
+    assert.equal(await plugin.buildPreviewMessage(plugin.createMessageEntry({ discordId: "" })), null);
+    assert.equal(plugin.findMessageRenderer(), null, "the mock runtime has no ChannelMessage component");
+});
+
+test("a reply to a message that is not loaded is not shown as deleted", async (t) => {
+    const runtime = installMockKettu({ channels: [{ id: CHANNEL, type: 0 }], selectedChannelId: CHANNEL });
+    const plugin = new FakeMessageComposer({ id: PLUGIN_ID });
+    t.after(() => {
+        plugin.stop();
+        runtime.uninstall();
+    });
+    await plugin.start();
+    const replyTo = (reply) => plugin.createMessageEntry({ discordId: "300000000000000001", content: "re", reply });
+
+    const unloaded = await plugin.buildPreviewMessage(replyTo({ kind: "message", messageId: "500000000000000009" }));
+    const deleted = await plugin.buildPreviewMessage(
+        replyTo({ kind: "message", messageId: "500000000000000009", deleted: true })
+    );
+
+    assert.equal(unloaded.message_reference.message_id, "500000000000000009");
+    assert.equal("referenced_message" in unloaded, false);
+    assert.equal(deleted.referenced_message, null);
+});
+
+test("a reply whose scenario target is gone shows the original as deleted", async (t) => {
+    const runtime = installMockKettu({ channels: [{ id: CHANNEL, type: 0 }], selectedChannelId: CHANNEL });
+    const plugin = new FakeMessageComposer({ id: PLUGIN_ID });
+    t.after(() => {
+        plugin.stop();
+        runtime.uninstall();
+    });
+    await plugin.start();
+    const entry = plugin.createMessageEntry({
+        discordId: "300000000000000001",
+        content: "re",
+        reply: { kind: "fixture", fixtureId: "removed" }
+    });
+
+    const preview = await plugin.buildPreviewMessage(entry, [entry]);
+
+    assert.equal(preview.type, 19);
+    assert.equal(preview.referenced_message, null);
+});
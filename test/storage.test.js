@@ -0,0 +1,159 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { installMockKettu } = require("./mock-kettu");
+const FakeMessageComposer = require("../MessageUtilities.js");
+
+const PLUGIN_ID = "test.fake-message-composer";
+const CONFIG_SLOT = "FakeMessageComposerConfig";
+const HISTORY_SLOT = "FakeMessageComposerConfigHistory";
+const BACKUP_SLOT = "FakeMessageComposerConfigBackup";
+
+function named(name) {
+    return { schemaVersion: 4, scenarios: [{ id: "s1", name, messages: [{ id: "m1", content: name }] }] };
+}
+
+function createPlugin(t, seed = {}) {
+    const runtime = installMockKettu();
+    for (const [slot, value] of Object.entries(seed)) runtime.storage.set(PLUGIN_ID, slot, value);
+    const plugin = new FakeMessageComposer({ id: PLUGIN_ID });
+    t.after(() => {
+        plugin.stop();
+        runtime.uninstall();
+    });
+    return { runtime, plugin };
+}
+
+const quotaError = () => Object.assign(new Error("The quota has been exceeded."), { name: "QuotaExceededError" });
+
+test("writes store the value once, next to a checksum record", (t) => {
+    const { runtime, plugin } = createPlugin(t, { [CONFIG_SLOT]: named("first") });
+    plugin.config = plugin.loadConfig();
+
+    plugin.updateConfig({ enabled: false }, { skipReload: true, skipPersist: true });
+    assert.equal(plugin.persistConfig(), true);
+
+    assert.equal(runtime.storage.get(PLUGIN_ID, CONFIG_SLOT).enabled, false);
+    assert.equal(runtime.storage.get(PLUGIN_ID, `${CONFIG_SLOT}.tmp`), null);
+    const commit = runtime.storage.get(PLUGIN_ID, `${CONFIG_SLOT}.commit`);
+    assert.equal(commit.checksum, plugin.checksumText(JSON.stringify(runtime.storage.get(PLUGIN_ID, CONFIG_SLOT))));
+});
+
+test("a slot matching neither committed checksum restores the newest backup", (t) => {
+    const { runtime, plugin } = createPlugin(t, {
+        [CONFIG_SLOT]: named("old"),
+        [HISTORY_SLOT]: [{ savedAt: "2026-01-01T00:00:00.000Z", config: named("backup") }]
+    });
+    const checksum = (config) => plugin.checksumText(JSON.stringify(config));
+    runtime.storage.set(PLUGIN_ID, `${CONFIG_SLOT}.commit`, {
+        checksum: checksum(named("new")),
+        previous: checksum(named("old"))
+    });
+
+    // Interrupted between the record and the slot: the previous write is whole.
+    assert.equal(plugin.loadConfig().scenarios[0].name, "old");
+
+    runtime.storage.set(PLUGIN_ID, CONFIG_SLOT, named("damaged"));
+    assert.equal(plugin.loadConfig().scenarios[0].name, "backup");
+    assert.match(plugin.getStorageUsage().recovery.reason, /does not match/);
+});
+
+test("backups are capped by size and counted in the usage", (t) => {
+    const { runtime, plugin } = createPlugin(t, { [CONFIG_SLOT]: named("v0") });
+    plugin.config = plugin.loadConfig();
+    plugin.configHistoryIntervalMs = 0;
+    const save = (name) => {
+        plugin.updateConfig(named(name), { skipReload: true, skipPersist: true });
+        plugin.persistConfig();
+    };
+    const names = () => runtime.storage.get(PLUGIN_ID, HISTORY_SLOT).map((entry) => entry.config.scenarios[0].name);
+
+    for (let version = 1; version <= 5; version++) save(`v${version}`);
+    assert.deepEqual(names(), ["v0", "v1", "v2", "v3", "v4"]);
+
+    const [oldest] = runtime.storage.get(PLUGIN_ID, HISTORY_SLOT);
+    plugin.configHistoryMaxBytes = JSON.stringify(oldest).length * 2 * 2.5;
+    save("v6");
+    assert.deepEqual(names(), ["v4", "v5"]);
+
+    const usage = plugin.getStorageUsage();
+    assert.equal(usage.backupBytes, JSON.stringify(runtime.storage.get(PLUGIN_ID, HISTORY_SLOT)).length * 2);
+    assert.ok(usage.pluginBytes > usage.backupBytes);
+});
+
+test("corrupt JSON restores the newest backup that still loads", (t) => {
+    const { runtime, plugin } = createPlugin(t, {
+        [CONFIG_SLOT]: '{"schemaVersion":4,"scenar',
+        [HISTORY_SLOT]: [
+            { savedAt: "2026-01-01T00:00:00.000Z", config: named("older") },
+            { savedAt: "2026-01-02T00:00:00.000Z", config: named("newest") }
+        ]
+    });
+
+    const config = plugin.loadConfig();
+
+    assert.equal(config.scenarios[0].name, "newest");
+    assert.equal(plugin.getStorageUsage().recovery.backupSavedAt, "2026-01-02T00:00:00.000Z");
+    assert.equal(runtime.storage.get(PLUGIN_ID, CONFIG_SLOT).scenarios[0].name, "newest");
+    assert.equal(runtime.storage.get(PLUGIN_ID, BACKUP_SLOT).blob, '{"schemaVersion":4,"scenar');
+});
+
+test("a full store is reported once and leaves the last good config readable", (t) => {
+    const { runtime, plugin } = createPlugin(t, { [CONFIG_SLOT]: named("saved") });
+    plugin.config = plugin.loadConfig();
+    const set = runtime.storage.set;
+    runtime.storage.set = (pluginId, key, value) => {
+        if (key.startsWith(CONFIG_SLOT)) throw quotaError();
+        return set(pluginId, key, value);
+    };
+
+    plugin.updateConfig(named("too big"), { skipReload: true, skipPersist: true });
+    assert.equal(plugin.persistConfig(), false);
+    plugin.updateConfig(named("still too big"), { skipReload: true, skipPersist: true });
+    assert.equal(plugin.persistConfig(), false);
+
+    assert.equal(runtime.toasts.length, 1);
+    assert.equal(plugin.getStorageUsage().error.quota, true);
+    assert.equal(plugin.loadConfig().scenarios[0].name, "saved");
+
+    runtime.storage.set = set;
+    assert.equal(plugin.persistConfig(), true);
+    assert.equal(plugin.getStorageUsage().error, null);
+});
+
+test("the localStorage fallback reports usage against its quota", (t) => {
+    const items = new Map();
+    const localStorage = {
+        get length() {
+            return items.size;
+        },
+        key: (index) => Array.from(items.keys())[index] ?? null,
+        getItem: (key) => items.get(key) ?? null,
+        setItem: (key, value) => {
+            if (String(value).length > 1000) throw quotaError();
+            items.set(key, String(value));
+        },
+        removeItem: (key) => items.delete(key)
+    };
+    global.window = { localStorage };
+    const runtime = installMockKettu();
+    delete runtime.kettu.PluginStorage;
+    const plugin = new FakeMessageComposer({ id: PLUGIN_ID });
+    t.after(() => {
+        plugin.stop();
+        runtime.uninstall();
+        delete global.window;
+    });
+    items.set(`${PLUGIN_ID}:${CONFIG_SLOT}`, "{not json");
+
+    assert.equal(plugin.loadConfig().scenarios.length, 1);
+    assert.equal(plugin.writeSlot("Small", { ok: true }), true);
+    assert.equal(plugin.writeSlot("Large", { text: "x".repeat(2000) }), false);
+
+    const usage = plugin.getStorageUsage();
+    assert.equal(usage.quotaBytes, 5 * 1024 * 1024);
+    assert.ok(usage.usedBytes > 0);
+    assert.equal(usage.error.quota, true);
+    assert.equal(items.has(`${PLUGIN_ID}:Large.commit`), false);
+});
@@ -0,0 +1,97 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { installMockKettu, flush } = require("./mock-kettu");
+const FakeMessageComposer = require("../MessageUtilities.js");
+
+const PLUGIN_ID = "test.fake-message-composer";
+const CHANNEL = "200000000000000001";
+const DM = "200000000000000002";
+const FRIEND = { id: "300000000000000001", username: "alice", global_name: "Alice" };
+
+async function startPlugin(t, messages = []) {
+    const runtime = installMockKettu({
+        users: [FRIEND],
+        guilds: [{ id: "400000000000000001", name: "Test Server" }],
+        channels: [
+            { id: CHANNEL, name: "general", guild_id: "400000000000000001", type: 0 },
+            { id: DM, type: 1, recipients: [FRIEND.id] }
+        ],
+        selectedChannelId: CHANNEL
+    });
+    runtime.storage.set(PLUGIN_ID, "FakeMessageComposerConfig", {
+        schemaVersion: 4,
+        impersonationAcknowledged: true,
+        scenarios: [{ id: "s1", messages }]
+    });
+    const plugin = new FakeMessageComposer({ id: PLUGIN_ID });
+    t.after(() => {
+        plugin.stop();
+        runtime.uninstall();
+    });
+    await plugin.start();
+    await flush();
+    return { runtime, plugin };
+}
+
+test("channel, guild and user variables follow the open channel", async (t) => {
+    const { runtime, plugin } = await startPlugin(t, [
+        { id: "m1", discordId: FRIEND.id, content: "{{user}} in #{{channel}} on {{guild}}" }
+    ]);
+
+    assert.equal(runtime.messageStore.getMessages(CHANNEL)[0].content, "tester in #general on Test Server");
+
+    runtime.selectChannel(DM);
+    await flush();
+    assert.equal(runtime.messageStore.getMessages(DM)[0].content, "tester in #Alice on ");
+    assert.deepEqual(plugin.validateTemplate("{{user}} in #{{channel}} on {{guild}}"), []);
+});
+
+test("counters count across the messages of one channel", async (t) => {
+    const { runtime } = await startPlugin(t, [
+        { id: "m1", discordId: FRIEND.id, content: "#{{counter}} / {{counter:ticket:100}}" },
+        { id: "m2", discordId: FRIEND.id, content: "#{{counter}} / {{counter:ticket:100}}" }
+    ]);
+
+    assert.deepEqual(
+        runtime.messageStore.getMessages(CHANNEL).map((message) => message.content),
+        ["#1 / 100", "#2 / 101"]
+    );
+});
+
+test("times render as Discord timestamp markup with offsets", async (t) => {
+    const { plugin } = await startPlugin(t);
+    const context = { ...plugin.createTemplateContext(CHANNEL), now: 1_700_000_000_000 };
+
+    const { text, errors } = plugin.renderTemplate("{{relative:-5m}} {{time}} {{date:+1d}} {{datetime:2h}}", context);
+
+    assert.deepEqual(errors, []);
+    assert.equal(text, "<t:1699999700:R> <t:1700000000:t> <t:1700086400:D> <t:1700007200:f>");
+});
+
+test("lorem output has the requested length and is stable per message", async (t) => {
+    const { plugin } = await startPlugin(t);
+    const context = plugin.createTemplateContext(CHANNEL);
+
+    const words = plugin.renderTemplate("{{lorem:12}}", context, "m1").text;
+    assert.equal(words.split(" ").length, 12);
+    assert.equal(plugin.renderTemplate("{{lorem:12}}", context, "m1").text, words);
+    assert.equal(plugin.renderTemplate("{{lorem:3s}}", context, "m1").text.split(". ").length, 3);
+    assert.equal(plugin.renderTemplate("{{lorem:2p}}", context, "m1").text.split("\n\n").length, 2);
+});
+
+test("unknown or malformed variables are reported and left in place", async (t) => {
+    const { plugin } = await startPlugin(t);
+
+    const { text, errors } = plugin.renderTemplate(
+        "{{nope}} {{lorem:many}} {{relative:soon}}",
+        plugin.createTemplateContext(CHANNEL)
+    );
+
+    assert.equal(text, "{{nope}} {{lorem:many}} {{relative:soon}}");
+    assert.equal(errors.length, 3);
+    assert.match(errors[0], /unknown variable "nope"/);
+    assert.match(plugin.validateTemplate("open {{channel")[0], /Unclosed/);
+    assert.deepEqual(plugin.validateTemplate("literal \\{{channel}}"), []);
+});